@@ -4,20 +4,22 @@
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
-const { app, BrowserWindow, ipcMain, shell, Tray, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, Tray, Menu, dialog } = require('electron');
 const { spawn } = require('child_process');
 const fixPath = async () => {
     const { default: fp } = await import('fix-path');
     fp();
 };
 const WebSocket = require('ws');
-const pty = require('node-pty');
 const http = require('http');
 const net = require('net');
 const fs = require('fs');
 const crypto = require('crypto');
+const zlib = require('zlib');
 const cloudflared = require('cloudflared');
 const keytar = require('keytar');
+const QRCode = require('qrcode');
+const { createOutputFilter, filterTerminalOutput, setLogger: setOutputFilterLogger } = require('./output-filter');
 
 let store;
 const isDev = !app.isPackaged;
@@ -41,6 +43,7 @@ const KEYTAR_SERVICE = 'RootOperator';
 const KEYTAR_CF_TOKEN = 'cloudflare-token';
 const KEYTAR_TUNNEL_TOKEN = 'tunnel-token';
 const KEYTAR_WORKER_PRIVATE_KEY = 'worker-private-key';
+const KEYTAR_HOST_IDENTITY_KEY = 'host-identity-key';
 
 // Worker API configuration (loaded from .env file)
 const WORKER_BASE_URL = process.env.WORKER_BASE_URL;
@@ -51,11 +54,9 @@ let mainWindow;
 let tray;
 let server;
 let wss;
-let ptyProcess;
-let outputBuffer = "";
+let sessions = new Map(); // sessionId -> {id, title, createdAt}, mirrors the session daemon
 let tunnelProcess;
 let wakeLock;
-let pendingConns = new Map(); // kid -> ws
 let activeClients = new Set();
 let currentTunnelUrl = null; // Track tunnel URL for state sync
 let isConnecting = false; // Track if tunnel is in the process of starting
@@ -65,70 +66,73 @@ let pendingPairings = new Map(); // code -> {ws, kid, jwk, createdAt}
 const PAIRING_CODE_EXPIRY_MS = 120000; // 2 minutes
 const MAX_PENDING_PAIRINGS = 5;
 const PAIRING_CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // No ambiguous chars
+let pairingLink = null; // {token, role, profileId, createdAt}: the QR code shown in the tray, one at a time
+const DEVICE_NAME_PATTERN = /^[a-zA-Z0-9]+(-[a-zA-Z0-9]+)*$/; // 3-10 chars, same rule as the tray
+
+// Device key expiry (see DEVICE KEY EXPIRY)
+const DEFAULT_KEY_MAX_AGE_DAYS = 90; // cfSettings.keyMaxAgeDays, 0 = never
+const DEFAULT_KEY_IDLE_DAYS = 30; // cfSettings.keyIdleDays, 0 = never
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_REVALIDATE_MS = 60 * 1000; // How often live connections are checked against their keys
+
+// Session daemon state (the daemon owns the PTYs so shells outlive this process)
+const SESSION_DAEMON_PROTOCOL = 3; // Must match PROTOCOL_VERSION in session-daemon.js
+const DAEMON_CONNECT_RETRY_MS = 100;
+const DAEMON_CONNECT_ATTEMPTS = 50;
+let daemonSocket = null;
+let daemonConnecting = null; // Promise while connecting/spawning
+let daemonRequests = new Map(); // reqId -> {resolve, reject}
+let daemonRequestId = 0;
+
+// Shell profiles (stored in electron-store under 'shellProfiles')
+const DEFAULT_PROFILE_ID = 'default';
+const MAX_SHELL_PROFILES = 16;
+const MAX_PROFILE_ARGS = 16;
+const ENV_VAR_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TMUX_SESSION_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/; // Must match session-daemon.js
+const TMUX_PATHS = ['/opt/homebrew/bin/tmux', '/usr/local/bin/tmux', '/usr/bin/tmux'];
+
+// How a session's size is chosen when several clients show it (cfSettings.resizePolicy)
+// - smallest: every client fits (smallest cols and rows)
+// - typist: the client that last typed into the session
+// - owner: one pinned client, the earliest attached unless another one claims it
+const RESIZE_POLICIES = ['smallest', 'typist', 'owner'];
+
+// What a paired device may do once authenticated (role field of its 'keys' entry)
+// - full: everything (devices paired before roles existed)
+// - read-only: sees output; input, resizes and opening/closing tabs are rejected
+// - restricted: full control, but only over sessions of one shell profile (profileId)
+const DEVICE_ROLES = ['full', 'read-only', 'restricted'];
+const DEFAULT_DEVICE_ROLE = 'full';
+
+// Whether OSC 52 clipboard writes reach a device (clipboard field of its 'keys' entry):
+// never, after the user confirms each one, or directly
+const CLIPBOARD_MODES = ['off', 'ask', 'allow'];
+const DEFAULT_CLIPBOARD_MODE = 'off';
+
+// Session recordings (asciicast v2 files written by the session daemon)
+const RECORDING_FILE_PATTERN = /^\d+-[0-9a-f]{12}\.cast$/; // <start ms>-<session id>.cast
+const MAX_PLAYBACK_BYTES = 16 * 1024 * 1024; // Largest recording sent to the PWA
+const RECORDING_CHUNK_BYTES = 256 * 1024; // Recordings are sent as several encrypted frames
+const RECORDING_BUFFERED_LIMIT = 512 * 1024; // ws.bufferedAmount to drain below before the next chunk
+const TRAY_RECORDINGS = 10; // Most recent recordings listed in the tray menu
+
+// Shell integration (OSC 133 prompt/command marks)
+const MAX_COMMAND_TEXT = 1024; // Command line kept per finished command
+const COMMAND_HISTORY_LIMIT = 50; // Finished commands remembered per session
+const DEFAULT_COMMAND_NOTIFY_SECONDS = 30; // cfSettings.commandNotifySeconds, 0 = off
+const COMMAND_IDLE_MS = 5000; // Without shell integration, output quiet this long ends a command
+
+// Output flow control (see OUTPUT FLOW CONTROL)
+const FLOW_WINDOW_BYTES = 512 * 1024; // Output a client may leave unacknowledged before it is behind
+const FLOW_CAUGHT_UP_BYTES = 128 * 1024; // A lagging client is resynced once below this
+const FLOW_BUFFERED_LIMIT = 1024 * 1024; // ws.bufferedAmount that counts as behind even without acks
+const FLOW_CHECK_MS = 250; // Recheck paused sessions and lagging clients while any exist
 
 // ANSI ESCAPE SEQUENCE SANITIZER
-// Blocks dangerous sequences while preserving normal terminal functionality
-// Reference: https://www.cyberark.com/resources/threat-research-blog/dont-trust-this-title-abusing-terminal-emulators-with-ansi-escape-characters
-function sanitizeTerminalOutput(data) {
-    // OSC (Operating System Command) sequences: ESC ] ... (ST or BEL)
-    // ST = ESC \ or 0x9C, BEL = 0x07
-    // Dangerous: OSC 52 (clipboard), OSC 0/1/2 (title - can be used for phishing)
-
-    // Pattern matches OSC sequences: ESC ] <number> ; <content> (BEL or ESC \)
-    const oscPattern = /\x1b\](\d+);[^\x07\x1b]*(?:\x07|\x1b\\)/g;
-
-    // DCS (Device Control String): ESC P ... ST - can execute commands on some terminals
-    const dcsPattern = /\x1bP[^\x1b]*\x1b\\/g;
-
-    // APC (Application Program Command): ESC _ ... ST
-    const apcPattern = /\x1b_[^\x1b]*\x1b\\/g;
-
-    // PM (Privacy Message): ESC ^ ... ST
-    const pmPattern = /\x1b\^[^\x1b]*\x1b\\/g;
-
-    // SOS (Start of String): ESC X ... ST
-    const sosPattern = /\x1bX[^\x1b]*\x1b\\/g;
-
-    let sanitized = data;
-
-    // Filter OSC sequences - allow only safe ones (color palette: 4, 10, 11, 12, 104, 110, 111, 112)
-    sanitized = sanitized.replace(oscPattern, (match, oscNum) => {
-        const num = parseInt(oscNum, 10);
-        // Safe OSC codes for color configuration
-        const safeOsc = [4, 10, 11, 12, 104, 110, 111, 112, 17, 19];
-        if (safeOsc.includes(num)) {
-            return match; // Allow color-related OSC
-        }
-        logDebug(`[SECURITY] Blocked OSC ${num} sequence`);
-        return ''; // Block title changes (0,1,2), clipboard (52), and others
-    });
-
-    // Block all DCS sequences (rarely needed, high risk)
-    sanitized = sanitized.replace(dcsPattern, (match) => {
-        logDebug('[SECURITY] Blocked DCS sequence');
-        return '';
-    });
-
-    // Block APC sequences
-    sanitized = sanitized.replace(apcPattern, (match) => {
-        logDebug('[SECURITY] Blocked APC sequence');
-        return '';
-    });
-
-    // Block PM sequences
-    sanitized = sanitized.replace(pmPattern, (match) => {
-        logDebug('[SECURITY] Blocked PM sequence');
-        return '';
-    });
-
-    // Block SOS sequences
-    sanitized = sanitized.replace(sosPattern, (match) => {
-        logDebug('[SECURITY] Blocked SOS sequence');
-        return '';
-    });
-
-    return sanitized;
-}
+// Lives in output-filter.js (createOutputFilter, filterTerminalOutput) so its test
+// vectors run without Electron. Blocked sequences go to the debug log.
+setOutputFilterLogger(logDebug);
 
 // E2E ENCRYPTION MODULE
 // Provides zero-knowledge encryption using ECDH key exchange + AES-256-GCM
@@ -190,46 +194,187 @@ function generateFingerprint(sharedSecret, salt) {
     return words.join('-');
 }
 
-// Encrypt message with AES-256-GCM
-function encryptMessage(plaintext, sessionKey) {
-    const iv = crypto.randomBytes(12);
-    const cipher = crypto.createCipheriv('aes-256-gcm', sessionKey, iv);
+// What a returning device signs to authenticate: its challenge bound to the key exchange
+// of this connection (both ECDH public keys and the salt, fixed-length raw bytes). A
+// relay that forwards the challenge but runs its own exchange with either side ends up
+// with a different transcript, so the signature only verifies on the channel it was
+// made for. Must match the PWA's authTranscript.
+function buildAuthTranscript(e2e, challenge) {
+    return crypto.createHash('sha256')
+        .update('root-operator-auth-v1')
+        .update(e2e.serverPublicKey)
+        .update(e2e.clientPublicKey)
+        .update(e2e.salt)
+        .update(challenge)
+        .digest();
+}
+
+// Nonces are a direction byte, the 24-bit key epoch (bumped by every rekey) and a 64-bit
+// counter kept per direction, so host and client never reuse a nonce under a shared key.
+// The receiver only accepts counters above the last one it accepted, which rejects
+// replayed and reordered frames; frames reflected back to their sender fail the
+// direction check. The direction, message
+// type, session ID and the output's seq, baseSeq and frame flags are authenticated as
+// AES-GCM additional data (context below: { type, sessionId, seq, baseSeq, flags }, each
+// omitted where the message has none), so none of the cleartext header can be rewritten.
+// A JSON message carries no flags, so they count as 0 there.
+const DIRECTION_TO_CLIENT = 1;
+const DIRECTION_TO_HOST = 2;
+
+function buildNonce(direction, epoch, counter) {
+    const iv = Buffer.alloc(12);
+    iv.writeUInt8(direction, 0);
+    iv.writeUIntBE(epoch, 1, 3);
+    iv.writeBigUInt64BE(counter, 4);
+    return iv;
+}
+
+function buildAad(direction, { type, sessionId, seq, baseSeq, flags }) {
+    const dir = direction === DIRECTION_TO_CLIENT ? 'h2c' : 'c2h';
+    return Buffer.from(`${dir}|${type}|${sessionId || ''}|${seq ?? ''}|${baseSeq ?? ''}|${flags || 0}`, 'utf8');
+}
 
-    const encrypted = Buffer.concat([
-        cipher.update(plaintext, 'utf8'),
+// Encrypt a string or Buffer for the client with AES-256-GCM, returning raw Buffers
+function encryptBytes(plaintext, e2e, context) {
+    e2e.sendCounter += 1n;
+    e2e.messages++;
+    e2e.bytes += plaintext.length;
+    const iv = buildNonce(DIRECTION_TO_CLIENT, e2e.epoch, e2e.sendCounter);
+    const cipher = crypto.createCipheriv('aes-256-gcm', e2e.sessionKey, iv);
+    cipher.setAAD(buildAad(DIRECTION_TO_CLIENT, context));
+
+    const data = Buffer.concat([
+        cipher.update(plaintext),
         cipher.final()
     ]);
-    const authTag = cipher.getAuthTag();
-
-    return {
-        iv: iv.toString('base64'),
-        data: encrypted.toString('base64'),
-        tag: authTag.toString('base64')
-    };
+    return { iv, data, tag: cipher.getAuthTag() };
 }
 
-// Decrypt message with AES-256-GCM
-function decryptMessage(encrypted, sessionKey) {
-    try {
-        const iv = Buffer.from(encrypted.iv, 'base64');
-        const data = Buffer.from(encrypted.data, 'base64');
-        const authTag = Buffer.from(encrypted.tag, 'base64');
+// Decrypt raw Buffers from the client with AES-256-GCM
+// Returns null if authentication fails or the frame is replayed, reordered or reflected
+function decryptBytes({ iv, data, tag }, e2e, context) {
+    if (iv.length !== 12 || iv[0] !== DIRECTION_TO_HOST) {
+        logDebug('[SECURITY] Frame with a foreign nonce rejected (reflected?)');
+        return null;
+    }
+    if (iv.readUIntBE(1, 3) !== e2e.epoch) {
+        logDebug(`[SECURITY] Frame for key epoch ${iv.readUIntBE(1, 3)} rejected (current ${e2e.epoch})`);
+        return null;
+    }
+    const counter = iv.readBigUInt64BE(4);
+    if (counter <= e2e.recvCounter) {
+        logDebug(`[SECURITY] Replayed or reordered frame rejected (counter ${counter}, last ${e2e.recvCounter})`);
+        return null;
+    }
 
-        const decipher = crypto.createDecipheriv('aes-256-gcm', sessionKey, iv);
-        decipher.setAuthTag(authTag);
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', e2e.sessionKey, iv);
+        decipher.setAAD(buildAad(DIRECTION_TO_HOST, context));
+        decipher.setAuthTag(tag);
 
         const decrypted = Buffer.concat([
             decipher.update(data),
             decipher.final()
         ]);
-
-        return decrypted.toString('utf8');
+        // Only an authentic frame moves the counter
+        e2e.recvCounter = counter;
+        e2e.messages++;
+        e2e.bytes += decrypted.length;
+        return decrypted;
     } catch (e) {
         logDebug(`[E2E] Decryption failed: ${e.message}`);
         return null;
     }
 }
 
+// Encrypt message with AES-256-GCM (base64 fields for JSON messages)
+function encryptMessage(plaintext, e2e, context) {
+    const { iv, data, tag } = encryptBytes(Buffer.from(plaintext, 'utf8'), e2e, context);
+
+    return {
+        iv: iv.toString('base64'),
+        data: data.toString('base64'),
+        tag: tag.toString('base64')
+    };
+}
+
+// Decrypt message with AES-256-GCM (base64 fields from JSON messages)
+function decryptMessage(encrypted, e2e, context) {
+    if (typeof encrypted.iv !== 'string' || typeof encrypted.data !== 'string' || typeof encrypted.tag !== 'string') {
+        return null;
+    }
+    const decrypted = decryptBytes({
+        iv: Buffer.from(encrypted.iv, 'base64'),
+        data: Buffer.from(encrypted.data, 'base64'),
+        tag: Buffer.from(encrypted.tag, 'base64')
+    }, e2e, context);
+
+    return decrypted === null ? null : decrypted.toString('utf8');
+}
+
+// BINARY FRAMES
+// Terminal output and input can travel as binary WebSocket messages instead of JSON
+// with base64 fields (a third smaller, no JSON parse on the phone). Clients ask for it
+// in e2e_client_key; e2e_ready says what was agreed, and clients that don't ask keep
+// the JSON messages. Layout (big-endian):
+//   u8 type | u8 flags | u8 idLength | sessionId | u32 seq | [u32 baseSeq] | iv(12) | ciphertext | tag(16)
+// Output payloads may be deflated (raw, one frame at a time) before encryption.
+const FRAME_TYPES = { e2e_output: 1, e2e_snapshot: 2, e2e_input: 3 };
+const FRAME_TYPE_NAMES = Object.fromEntries(Object.entries(FRAME_TYPES).map(([name, code]) => [code, name]));
+const FRAME_FLAG_DEFLATE = 0x01;
+const FRAME_FLAG_BASE_SEQ = 0x02;
+const FRAME_COMPRESSION = 'deflate-raw';
+const COMPRESS_MIN_BYTES = 256; // Smaller payloads rarely shrink
+
+// Build a binary frame for ws (which must have negotiated binary framing)
+function encodeFrame(ws, frame) {
+    const { sessionId, seq, data, type = 'e2e_output', baseSeq } = frame;
+    const id = Buffer.from(sessionId, 'ascii');
+    const hasBaseSeq = baseSeq !== undefined;
+
+    let payload = Buffer.from(data, 'utf8');
+    let flags = hasBaseSeq ? FRAME_FLAG_BASE_SEQ : 0;
+    if (ws.e2e.compression === FRAME_COMPRESSION && payload.length >= COMPRESS_MIN_BYTES) {
+        const deflated = zlib.deflateRawSync(payload);
+        if (deflated.length < payload.length) {
+            payload = deflated;
+            flags |= FRAME_FLAG_DEFLATE;
+        }
+    }
+
+    const header = Buffer.alloc(3 + id.length + (hasBaseSeq ? 8 : 4));
+    header.writeUInt8(FRAME_TYPES[type], 0);
+    header.writeUInt8(flags, 1);
+    header.writeUInt8(id.length, 2);
+    id.copy(header, 3);
+    header.writeUInt32BE(seq, 3 + id.length);
+    if (hasBaseSeq) header.writeUInt32BE(baseSeq, 7 + id.length);
+
+    const { iv, data: ciphertext, tag } = encryptBytes(payload, ws.e2e, { type, sessionId, seq, baseSeq, flags });
+    return Buffer.concat([header, iv, ciphertext, tag]);
+}
+
+// Split a binary frame into its fields (null if malformed)
+function decodeFrame(buf) {
+    if (buf.length < 3) return null;
+    const type = FRAME_TYPE_NAMES[buf[0]];
+    const flags = buf[1];
+    const idEnd = 3 + buf[2];
+    const seqEnd = idEnd + ((flags & FRAME_FLAG_BASE_SEQ) ? 8 : 4);
+    if (!type || buf.length < seqEnd + 12 + 16) return null;
+
+    return {
+        type,
+        flags,
+        sessionId: buf.toString('ascii', 3, idEnd),
+        seq: buf.readUInt32BE(idEnd),
+        ...((flags & FRAME_FLAG_BASE_SEQ) && { baseSeq: buf.readUInt32BE(idEnd + 4) }),
+        iv: buf.subarray(seqEnd, seqEnd + 12),
+        data: buf.subarray(seqEnd + 12, buf.length - 16),
+        tag: buf.subarray(buf.length - 16)
+    };
+}
+
 // E2E setup timeout (10 seconds)
 const E2E_SETUP_TIMEOUT_MS = 10000;
 
@@ -242,8 +387,17 @@ function initE2EKeyExchange(ws) {
     ws.e2e = {
         ecdh: keyPair.ecdh,
         salt: salt,
+        serverPublicKey: Buffer.from(keyPair.publicKey, 'base64'), // Of the first exchange,
+        clientPublicKey: null, // which device authentication is bound to
         sessionKey: null,
         fingerprint: null,
+        epoch: 0, // Bumped by every rekey
+        sendCounter: 0n, // Last nonce counter used towards the client
+        recvCounter: 0n, // Last nonce counter accepted from the client
+        keyCreatedAt: null,
+        messages: 0, // Messages and plaintext bytes under the current key (rekey triggers)
+        bytes: 0,
+        rekey: null, // { ecdh, salt, timeout } while a rekey waits for the client
         ready: false
     };
 
@@ -255,27 +409,53 @@ function initE2EKeyExchange(ws) {
         }
     }, E2E_SETUP_TIMEOUT_MS);
 
-    // Send our public key and salt to client
+    // Commit to our public key and salt; they follow in e2e_ready, once the client has
+    // sent its own key (see commitKeyExchange)
     ws.send(JSON.stringify({
         type: 'e2e_init',
-        publicKey: keyPair.publicKey,
-        salt: salt.toString('base64')
+        commitment: commitKeyExchange(ws.e2e.serverPublicKey, salt)
     }));
 
     logDebug('[E2E] Key exchange initiated');
 }
 
+// e2e_init carries only a hash of the host's ECDH key and salt; the client sends its key
+// before it learns ours, and checks the hash when e2e_ready reveals them. Neither side
+// can choose its key knowing the other's, so a relay can't grind keys until the pairing
+// codes of its two exchanges match (derivePairingCode). Must match the PWA's
+// checkCommitment.
+function commitKeyExchange(serverPublicKey, salt) {
+    return crypto.createHash('sha256')
+        .update('root-operator-commit-v1')
+        .update(serverPublicKey)
+        .update(salt)
+        .digest('base64');
+}
+
 // Complete E2E setup when we receive client's public key
-function completeE2EKeyExchange(ws, clientPublicKey) {
+// offer: { framing, compression, rekey } the client supports; older clients send none
+function completeE2EKeyExchange(ws, clientPublicKey, offer = { framing: [], compression: [], rekey: false }) {
     if (!ws.e2e || !ws.e2e.ecdh) {
         logDebug('[E2E] Error: No ECDH context for this connection');
         return false;
     }
+    // Keys change only through a rekey; a second exchange could restart the counters
+    if (ws.e2e.ready) {
+        logDebug('[E2E] Key exchange already complete, ignoring client key');
+        return false;
+    }
 
     try {
         const sharedSecret = deriveSharedSecret(ws.e2e.ecdh, clientPublicKey);
         ws.e2e.sessionKey = deriveSessionKey(sharedSecret, ws.e2e.salt);
         ws.e2e.fingerprint = generateFingerprint(sharedSecret, ws.e2e.salt);
+        ws.e2e.clientPublicKey = Buffer.from(clientPublicKey, 'base64');
+        ws.e2e.framing = offer.framing.includes('binary') ? 'binary' : 'json';
+        ws.e2e.compression = ws.e2e.framing === 'binary' && offer.compression.includes(FRAME_COMPRESSION)
+            ? FRAME_COMPRESSION
+            : null;
+        ws.e2e.rekeySupported = offer.rekey === true;
+        ws.e2e.keyCreatedAt = Date.now();
         ws.e2e.ready = true;
 
         // Clear E2E setup timeout
@@ -284,29 +464,38 @@ function completeE2EKeyExchange(ws, clientPublicKey) {
             ws.e2eTimeout = null;
         }
 
-        // Update global fingerprint for tray display (shown in right-click menu)
-        currentFingerprint = ws.e2e.fingerprint;
-
-        logDebug(`[E2E] Key exchange complete. Fingerprint: ${ws.e2e.fingerprint}`);
-
-        // Flush any buffered output now that E2E is ready
-        if (ws.pendingOutput && ws.pendingOutput.length > 0) {
-            logDebug(`[E2E] Flushing ${ws.pendingOutput.length} buffered messages`);
-            for (const data of ws.pendingOutput) {
-                sendEncryptedOutput(ws, data);
-            }
-            ws.pendingOutput = [];
+        // Volume triggers are checked as messages go out; this catches idle connections
+        if (ws.e2e.rekeySupported) {
+            ws.rekeyTimer = setInterval(() => maybeRekey(ws), REKEY_CHECK_MS);
         }
 
-        // Notify client that E2E is ready
+        logDebug(`[E2E] Key exchange complete. Fingerprint: ${ws.e2e.fingerprint} (${ws.e2e.framing} frames${ws.e2e.compression ? `, ${ws.e2e.compression}` : ''})`);
+
+        // Notify client that E2E is ready, revealing the key and salt e2e_init committed
+        // to, signed by the host identity
         ws.send(JSON.stringify({
             type: 'e2e_ready',
-            fingerprint: ws.e2e.fingerprint
+            publicKey: ws.e2e.serverPublicKey.toString('base64'),
+            salt: ws.e2e.salt.toString('base64'),
+            identity: signKeyExchange(ws.e2e.serverPublicKey, ws.e2e.salt),
+            fingerprint: ws.e2e.fingerprint,
+            framing: ws.e2e.framing,
+            compression: ws.e2e.compression
         }));
 
-        // Notify renderer to show fingerprint
-        if (mainWindow) {
-            mainWindow.webContents.send('E2E_FINGERPRINT', ws.e2e.fingerprint);
+        // Flush any buffered control messages and output now that E2E is ready (after
+        // e2e_ready, so the client knows the framing)
+        const pendingControl = ws.pendingControl || [];
+        ws.pendingControl = [];
+        for (const message of pendingControl) {
+            sendControl(ws, message);
+        }
+        if (ws.pendingOutput && ws.pendingOutput.length > 0) {
+            logDebug(`[E2E] Flushing ${ws.pendingOutput.length} buffered messages`);
+            for (const frame of ws.pendingOutput) {
+                sendEncryptedOutput(ws, frame);
+            }
+            ws.pendingOutput = [];
         }
 
         return true;
@@ -316,29 +505,224 @@ function completeE2EKeyExchange(ws, clientPublicKey) {
     }
 }
 
-// Send encrypted output to client
-function sendEncryptedOutput(ws, data) {
+// Show a connection's fingerprint in the tray (right-click menu) and renderer. Only for
+// authenticated connections: every connection exchanges keys before authenticating,
+// and nobody compares the words of one that never gets further.
+function publishFingerprint(ws) {
+    currentFingerprint = ws.e2e.fingerprint;
+    if (mainWindow) {
+        mainWindow.webContents.send('E2E_FINGERPRINT', ws.e2e.fingerprint);
+    }
+}
+
+// Send encrypted output for a terminal session to client
+// frame: { sessionId, seq, data, type, baseSeq }
+// - type is 'e2e_output' for PTY data or 'e2e_snapshot' for a full screen repaint
+// - seq is the sequence number of the last output frame the payload covers
+// - baseSeq is set on coalesced resume deltas: the sequence the payload continues from
+function sendEncryptedOutput(ws, frame) {
     if (!ws.e2e || !ws.e2e.ready) {
         // Buffer output until E2E is ready - NO UNENCRYPTED FALLBACK
         if (!ws.pendingOutput) ws.pendingOutput = [];
-        ws.pendingOutput.push(data);
-        logDebug(`[E2E] Buffering output (${data.length} bytes) until E2E ready`);
+        ws.pendingOutput.push(frame);
+        logDebug(`[E2E] Buffering output (${frame.data.length} bytes) until E2E ready`);
+        return;
+    }
+
+    // A snapshot replaces whatever was in flight rather than adding to it
+    if (frame.type !== 'e2e_snapshot') {
+        noteOutputSent(ws, frame.sessionId, frame.seq, frame.data.length);
+    }
+    if (ws.e2e.framing === 'binary') {
+        ws.send(encodeFrame(ws, frame));
+        maybeRekey(ws);
         return;
     }
 
-    const encrypted = encryptMessage(data, ws.e2e.sessionKey);
+    const { sessionId, seq, data, type = 'e2e_output', baseSeq } = frame;
+    const encrypted = encryptMessage(data, ws.e2e, { type, sessionId, seq, baseSeq });
     ws.send(JSON.stringify({
-        type: 'e2e_output',
+        type,
+        sessionId,
+        seq,
+        ...(baseSeq !== undefined && { baseSeq }),
         ...encrypted
     }));
+    maybeRekey(ws);
 }
 
-// Decrypt input from client
-function decryptInput(ws, encrypted) {
+// Decrypt a message from the client; context is its { type, sessionId }
+function decryptInput(ws, encrypted, context) {
     if (!ws.e2e || !ws.e2e.ready) {
         return null;
     }
-    return decryptMessage(encrypted, ws.e2e.sessionKey);
+    return decryptMessage(encrypted, ws.e2e, context);
+}
+
+// CONTROL MESSAGES
+// Once the handshake is done, everything that isn't already an e2e_* message (session
+// lists, resizes, acks, heartbeats, errors) travels inside an e2e_control envelope, so
+// the tunnel sees neither window sizes nor activity beyond message timing and length.
+// The plaintext protocol is the key exchange only; pairing and auth follow inside.
+// Client messages that are e2e_* envelopes of their own and may arrive once E2E is ready
+const CLIENT_ENVELOPE_TYPES = new Set(['e2e_input', 'e2e_scrollback', 'e2e_rekey_ack', 'e2e_control']);
+
+// Send a control message to a client. Messages sent while the key exchange is still
+// running wait for it (like output does).
+function sendControl(ws, message) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    if (ws.e2e?.ready) {
+        ws.send(JSON.stringify({
+            type: 'e2e_control',
+            ...encryptMessage(JSON.stringify(message), ws.e2e, { type: 'e2e_control' })
+        }));
+        maybeRekey(ws);
+    } else {
+        if (!ws.pendingControl) ws.pendingControl = [];
+        ws.pendingControl.push(message);
+    }
+}
+
+// Open a client's e2e_control envelope; null if it doesn't decrypt or doesn't hold a
+// control message (envelopes don't nest)
+function openControl(ws, m) {
+    let message;
+    try {
+        message = JSON.parse(decryptInput(ws, { iv: m.iv, data: m.data, tag: m.tag }, { type: 'e2e_control' }));
+    } catch (e) {
+        return null;
+    }
+    if (typeof message?.type !== 'string' || message.type.startsWith('e2e_')) {
+        return null;
+    }
+    return message;
+}
+
+// SESSION KEY ROTATION
+// A connection's key is replaced in-band once it is REKEY_INTERVAL_MS old or has
+// protected REKEY_MESSAGES messages or REKEY_BYTES bytes. The exchange runs inside the
+// current key, so the relay can't substitute its own ECDH key:
+//   host:   e2e_rekey { publicKey, salt }      (old key)
+//   client: e2e_rekey_ack { publicKey }         (old key; its later messages use the new key)
+//   host:   e2e_rekey_done { fingerprint }      (new key; the host switches both directions)
+// The client keeps the old key until the first message under the new one, for output
+// already in flight. A client that doesn't answer in time is disconnected.
+const REKEY_INTERVAL_MS = 30 * 60 * 1000;
+const REKEY_MESSAGES = 10000;
+const REKEY_BYTES = 100 * 1024 * 1024;
+const REKEY_TIMEOUT_MS = 30000;
+const REKEY_CHECK_MS = 60 * 1000; // Time trigger check for idle connections
+
+function maybeRekey(ws) {
+    const e2e = ws.e2e;
+    if (!ws.authenticated || !e2e?.ready || !e2e.rekeySupported || e2e.rekey || ws.readyState !== WebSocket.OPEN) return;
+    const due = Date.now() - e2e.keyCreatedAt >= REKEY_INTERVAL_MS ||
+        e2e.messages >= REKEY_MESSAGES ||
+        e2e.bytes >= REKEY_BYTES;
+    if (due) startRekey(ws);
+}
+
+function startRekey(ws) {
+    const keyPair = generateECDHKeyPair();
+    const salt = crypto.randomBytes(16);
+    ws.e2e.rekey = {
+        ecdh: keyPair.ecdh,
+        salt,
+        timeout: setTimeout(() => {
+            logDebug('[SECURITY] Rekey not answered in time, closing connection');
+            ws.close(1008, 'Rekey timeout');
+        }, REKEY_TIMEOUT_MS)
+    };
+
+    logDebug(`[E2E] Rekeying (epoch ${ws.e2e.epoch}, ${ws.e2e.messages} messages, ${ws.e2e.bytes} bytes)`);
+    ws.send(JSON.stringify({
+        type: 'e2e_rekey',
+        ...encryptMessage(JSON.stringify({
+            publicKey: keyPair.publicKey,
+            salt: salt.toString('base64')
+        }), ws.e2e, { type: 'e2e_rekey' })
+    }));
+}
+
+// The client's half of the new exchange arrived (decrypted under the old key)
+function completeRekey(ws, clientPublicKey) {
+    const { rekey } = ws.e2e;
+    clearTimeout(rekey.timeout);
+    ws.e2e.rekey = null;
+
+    let sharedSecret;
+    try {
+        sharedSecret = deriveSharedSecret(rekey.ecdh, clientPublicKey);
+    } catch (e) {
+        logDebug(`[E2E] Rekey failed: ${e.message}`);
+        ws.close(1008, 'Rekey failed');
+        return;
+    }
+
+    Object.assign(ws.e2e, {
+        sessionKey: deriveSessionKey(sharedSecret, rekey.salt),
+        fingerprint: generateFingerprint(sharedSecret, rekey.salt),
+        epoch: (ws.e2e.epoch + 1) % 0x1000000,
+        sendCounter: 0n,
+        recvCounter: 0n,
+        keyCreatedAt: Date.now(),
+        messages: 0,
+        bytes: 0
+    });
+    logDebug(`[E2E] Rekey complete (epoch ${ws.e2e.epoch}). Fingerprint: ${ws.e2e.fingerprint}`);
+
+    ws.send(JSON.stringify({
+        type: 'e2e_rekey_done',
+        ...encryptMessage(JSON.stringify({ fingerprint: ws.e2e.fingerprint }), ws.e2e, { type: 'e2e_rekey_done' })
+    }));
+    publishFingerprint(ws);
+}
+
+// HOST IDENTITY
+// A long-term ECDSA P-256 key that signs the ephemeral ECDH key and salt of every
+// key exchange (sent in e2e_ready). The private JWK lives in the Keychain next to the worker key, the public one
+// in electron-store. The PWA pins the identity when it pairs and refuses to authenticate
+// to a host that signs with anything else, so a relay running its own key exchange is
+// caught without anyone comparing fingerprints. Loaded when the bridge starts, which
+// refuses to start without it: an unsigned exchange would teach devices to expect none.
+let hostIdentity = null; // { privateKey: KeyObject, publicKeyJWK }
+
+async function loadHostIdentity() {
+    const privateKeyJson = await keytar.getPassword(KEYTAR_SERVICE, KEYTAR_HOST_IDENTITY_KEY);
+    let publicKeyJWK = store.get('hostIdentityPublicKeyJWK');
+    let privateKeyJWK;
+
+    if (privateKeyJson && publicKeyJWK) {
+        privateKeyJWK = JSON.parse(privateKeyJson);
+    } else {
+        // Same key type as the worker key; a new identity makes pinned devices re-pair
+        logDebug('[IDENTITY] Generating new host identity key...');
+        ({ publicKeyJWK, privateKeyJWK } = await generateWorkerKeyPair());
+        await keytar.setPassword(KEYTAR_SERVICE, KEYTAR_HOST_IDENTITY_KEY, JSON.stringify(privateKeyJWK));
+        store.set('hostIdentityPublicKeyJWK', publicKeyJWK);
+    }
+
+    hostIdentity = {
+        privateKey: crypto.createPrivateKey({ key: privateKeyJWK, format: 'jwk' }),
+        publicKeyJWK: { kty: publicKeyJWK.kty, crv: publicKeyJWK.crv, x: publicKeyJWK.x, y: publicKeyJWK.y }
+    };
+    logDebug('[IDENTITY] Host identity key loaded');
+}
+
+// The identity block of e2e_ready: the public key and its signature (raw r||s, as WebCrypto
+// expects) over a label, the raw ECDH public key and the salt. Must match the PWA's
+// verifyHostIdentity.
+function signKeyExchange(serverPublicKey, salt) {
+    const data = Buffer.concat([Buffer.from('root-operator-host-v1'), serverPublicKey, salt]);
+    const signature = crypto.sign('sha256', data, { key: hostIdentity.privateKey, dsaEncoding: 'ieee-p1363' });
+    return { jwk: hostIdentity.publicKeyJWK, signature: signature.toString('base64') };
+}
+
+// The id the PWA pins: hex SHA-256 of the raw (uncompressed) public key
+function hostIdentityId() {
+    const { x, y } = hostIdentity.publicKeyJWK;
+    const raw = Buffer.concat([Buffer.from([0x04]), Buffer.from(x, 'base64url'), Buffer.from(y, 'base64url')]);
+    return crypto.createHash('sha256').update(raw).digest('hex');
 }
 
 // WORKER AUTHENTICATION MODULE
@@ -779,6 +1163,29 @@ function showAboutWindow() {
     });
 }
 
+// Recent recordings, each saved to a user-chosen location when clicked
+function buildRecordingsMenu() {
+    const recordings = listRecordings().slice(0, TRAY_RECORDINGS);
+    const items = recordings.map(recording => ({
+        label: `${recording.title} - ${new Date(recording.startedAt).toLocaleString()}`,
+        click: () => saveRecordingAs(recording.id)
+    }));
+    if (items.length === 0) {
+        items.push({ label: isRecordingEnabled() ? 'No recordings yet' : 'Recording is off (Settings)', enabled: false });
+    }
+    items.push(
+        { type: 'separator' },
+        {
+            label: 'Open Recordings Folder',
+            click: () => {
+                fs.mkdirSync(getRecordingsDir(), { recursive: true, mode: 0o700 });
+                shell.openPath(getRecordingsDir());
+            }
+        }
+    );
+    return items;
+}
+
 // Build tray context menu (shown on right-click)
 function buildTrayMenu() {
     const menuItems = [
@@ -787,6 +1194,20 @@ function buildTrayMenu() {
         { label: 'About', click: () => showAboutWindow() },
         { label: 'Website', click: () => shell.openExternal('https://rootoperator.dev') },
         { type: 'separator' },
+        {
+            // Sessions keep running after quitting, so offer an explicit way to end them
+            // (tmux panes included, which closing their tabs leaves running)
+            label: `End Terminal Sessions (${sessions.size})`,
+            enabled: sessions.size > 0,
+            click: () => {
+                for (const id of sessions.keys()) closeSession(id, true);
+            }
+        },
+        {
+            label: 'Recordings',
+            submenu: buildRecordingsMenu()
+        },
+        { type: 'separator' },
         { label: 'Quit', click: () => app.quit() }
     ];
 
@@ -802,11 +1223,18 @@ app.whenReady().then(async () => {
 
     const { default: ES } = await import('electron-store');
     store = new ES();
+    // Removing, expiring or changing a device applies to its live connections too
+    store.onDidChange('keys', () => revalidateClients());
     logFile = path.join(app.getPath('userData'), 'pocket_bridge_debug.log');
 
     await fixPath();
     createWindow();
     createTray();
+
+    // Reattach to terminal sessions that survived the last quit, crash or update
+    ensureSessionDaemon(false).catch(err => {
+        logDebug(`[DAEMON] No session daemon to reattach to: ${err.message}`);
+    });
 });
 
 // 2. IPC API (Frontend -> Backend)
@@ -821,7 +1249,15 @@ ipcMain.handle('START', async (event, cfSettings) => {
 });
 
 ipcMain.handle('GET_STORE', (event, key) => store.get(key));
-ipcMain.handle('SET_STORE', (event, key, val) => store.set(key, val));
+ipcMain.handle('SET_STORE', (event, key, val) => {
+    store.set(key, val);
+    // Resize policy, recording and key expiry changes apply to open sessions right away
+    if (key === 'cfSettings') {
+        for (const session of sessions.values()) arbitrateSize(session, { broadcast: true });
+        revalidateClients();
+        if (daemonSocket) daemonSend('record', { enabled: isRecordingEnabled() });
+    }
+});
 
 // Authoritative tunnel state - renderer requests this on mount to avoid race conditions
 ipcMain.handle('GET_TUNNEL_STATE', () => getTunnelState());
@@ -936,6 +1372,32 @@ ipcMain.handle('GET_MACHINE_ID', () => {
     return getMachineId();
 });
 
+// Shell profiles (edited in settings, picked by the PWA when opening a tab)
+ipcMain.handle('GET_SHELL_PROFILES', () => getShellProfiles());
+
+ipcMain.handle('SET_SHELL_PROFILES', (event, profiles) => {
+    if (!Array.isArray(profiles) || profiles.length > MAX_SHELL_PROFILES) {
+        return { success: false, error: 'Invalid profiles' };
+    }
+
+    const sanitized = profiles.map(sanitizeShellProfile);
+    const invalid = profiles.findIndex((p, i) => !sanitized[i]);
+    if (invalid !== -1) {
+        const name = profiles[invalid]?.name || `#${invalid + 1}`;
+        return { success: false, error: `Profile "${name}" is invalid (check paths and tmux session name)` };
+    }
+
+    const ids = new Set(sanitized.map(p => p.id));
+    if (ids.size !== sanitized.length) {
+        return { success: false, error: 'Duplicate profile' };
+    }
+
+    store.set('shellProfiles', sanitized);
+    broadcastSessionList();
+    logDebug(`[PROFILES] Saved ${sanitized.length} shell profiles`);
+    return { success: true, profiles: getShellProfiles() };
+});
+
 // Logging with rotation and sensitive data redaction
 const LOG_MAX_SIZE = 1024 * 1024; // 1MB max log size
 const LOG_MAX_FILES = 3; // Keep 3 rotated files
@@ -1032,6 +1494,14 @@ function isOriginAllowed(origin, cfSettings) {
 }
 
 async function startBridge(cfSettings) {
+    // Every key exchange is signed with the host identity (devices pin it), so no identity, no bridge
+    try {
+        await loadHostIdentity();
+    } catch (err) {
+        logDebug(`[IDENTITY] Failed to load host identity: ${err.message}`);
+        throw new Error(`Host identity key unavailable: ${err.message}`);
+    }
+
     isConnecting = true;
 
     // Store settings for origin validation (include Worker domain)
@@ -1046,7 +1516,7 @@ async function startBridge(cfSettings) {
     // Using noServer: true to manually handle upgrades (needed for Vite HMR proxy in dev)
     wss = new WebSocket.Server({
         noServer: true,
-        maxPayload: 64 * 1024 // 64KB max message size (enforced at server level)
+        maxPayload: MAX_MESSAGE_BYTES // Enforced at server level
     });
 
     wss.on('connection', (ws, req) => handleConnection(ws, req));
@@ -1240,10 +1710,7 @@ function stopBridge() {
     try {
         if (wakeLock) wakeLock.kill();
         if (server) server.close();
-        if (ptyProcess) {
-            ptyProcess.kill();
-            ptyProcess = null;
-        }
+        // Terminal sessions live in the session daemon and survive the bridge restart
     } catch (e) {
         logDebug('[SYSTEM] Error during cleanup: ' + e.message);
     }
@@ -1252,11 +1719,9 @@ function stopBridge() {
     wakeLock = null;
     server = null;
     wss = null;
-    ptyProcess = null;
-    outputBuffer = "";
     activeClients.clear();
-    pendingConns.clear();
     pendingPairings.clear();
+    pairingLink = null;
     currentTunnelUrl = null;
     currentFingerprint = null;
     isConnecting = false;
@@ -1270,6 +1735,9 @@ const CHALLENGE_EXPIRY_MS = 30000; // Challenge expires after 30 seconds
 const MAX_CONNECTIONS_PER_MINUTE = 20;
 const MAX_AUTH_ATTEMPTS_PER_CONNECTION = 3;
 const MAX_INPUT_SIZE = 131072; // Max bytes per input message (128KB)
+const MAX_MESSAGE_BYTES = 64 * 1024; // WebSocket maxPayload, checked again per message (JSON and binary)
+const MAX_JSON_MESSAGE_BYTES = 32 * 1024; // JSON messages are parsed whole, so they get a tighter cap
+const MAX_SCROLLBACK_REQUEST_BYTES = 4 * 1024; // Encrypted scrollback op; search queries are at most 256 chars
 
 let connectionAttempts = [];
 
@@ -1280,12 +1748,25 @@ function isRateLimited() {
     return connectionAttempts.length >= MAX_CONNECTIONS_PER_MINUTE;
 }
 
-// Generate 6-character pairing code
-function generatePairingCode() {
+// Derive a new device's 6-character pairing code from the connection's key exchange
+// transcript (like buildAuthTranscript). The PWA shows it and the operator types it into
+// the tray, which thereby confirms the channel itself: a relay running separate exchanges
+// with each side would need both transcripts to land on the same code, and with the host
+// committing to its key first (commitKeyExchange) it can't search for keys that do - one
+// try, a 1 in 30^6 chance. Must match the PWA's derivePairingCode.
+function derivePairingCode(e2e) {
+    const hash = crypto.createHash('sha256')
+        .update('root-operator-pairing-v1')
+        .update(e2e.serverPublicKey)
+        .update(e2e.clientPublicKey)
+        .update(e2e.salt)
+        .digest();
+    const base = BigInt(PAIRING_CODE_CHARS.length);
+    let value = hash.readBigUInt64BE(0);
     let code = '';
-    const randomBytes = crypto.randomBytes(6);
     for (let i = 0; i < 6; i++) {
-        code += PAIRING_CODE_CHARS[randomBytes[i] % PAIRING_CODE_CHARS.length];
+        code += PAIRING_CODE_CHARS[Number(value % base)];
+        value /= base;
     }
     return code;
 }
@@ -1296,7 +1777,7 @@ function cleanupExpiredPairings() {
     for (const [code, data] of pendingPairings.entries()) {
         if (now - data.createdAt > PAIRING_CODE_EXPIRY_MS) {
             if (data.ws && data.ws.readyState === WebSocket.OPEN) {
-                data.ws.send(JSON.stringify({ type: 'pairing_expired' }));
+                sendControl(data.ws, { type: 'pairing_expired' });
             }
             pendingPairings.delete(code);
         }
@@ -1306,6 +1787,44 @@ function cleanupExpiredPairings() {
 // Run cleanup every 30 seconds
 setInterval(cleanupExpiredPairings, 30000);
 
+// Save a newly paired key and let its connection in. Shared by the tray's code entry
+// (VERIFY_PAIRING_CODE) and QR pairing links.
+function approvePairing(ws, kid, jwk, name, access) {
+    const keys = store.get('keys', []);
+    if (!keys.find(k => k.kid === kid)) {
+        const now = Date.now();
+        keys.push({ kid, jwk, name, ...access, pairedAt: now, lastUsedAt: now });
+        store.set('keys', keys);
+    }
+
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.authenticated = true;
+        ws.kid = kid;
+        clearTimeout(ws.authTimeout);
+        sendControl(ws, { type: 'pairing_success' });
+        publishFingerprint(ws);
+        attachClient(ws);
+    }
+    logDebug(`[PAIRING] Device paired successfully: ${kid.substring(0, 8)}...`);
+}
+
+// The tray's pairing link if token is its token and it hasn't expired. A wrong token
+// leaves the link alone (256 random bits aren't guessed).
+function matchPairingLink(token) {
+    const link = pairingLink;
+    if (!link || typeof token !== 'string') return null;
+
+    const expected = Buffer.from(link.token);
+    const given = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    if (Date.now() - link.createdAt > PAIRING_CODE_EXPIRY_MS) {
+        pairingLink = null;
+        return null;
+    }
+    return link;
+}
+
 function handleConnection(ws, req) {
     // Rate limiting check
     if (isRateLimited()) {
@@ -1328,49 +1847,71 @@ function handleConnection(ws, req) {
 
     console.log('[WS] Client connected');
     ws.send(JSON.stringify({ type: 'connected' }));
+    // Keys are exchanged first; pairing and authentication then run inside the channel
+    initE2EKeyExchange(ws);
 
     ws.on('error', (err) => {
         console.error('[WS] Error:', err);
     });
 
-    ws.on('message', (msg) => {
+    ws.on('message', (msg, isBinary) => {
         let m;
         try {
             // SECURITY: Message size limit (defense in depth - maxPayload already enforces at WebSocket level)
-            // 32KB matches the maxPayload setting
-            if (msg.length > 32768) {
+            if (msg.length > MAX_MESSAGE_BYTES) {
                 logDebug('[SECURITY] Message too large, ignoring');
                 return;
             }
+            if (isBinary) {
+                handleBinaryFrame(ws, msg);
+                return;
+            }
+            if (msg.length > MAX_JSON_MESSAGE_BYTES) {
+                logDebug('[SECURITY] JSON message too large, ignoring');
+                return;
+            }
             m = JSON.parse(msg);
         } catch (e) {
             return;
         }
 
+        // Once E2E is up, control messages must come inside e2e_control envelopes;
+        // anything else in the clear could have been injected on the way
+        if (ws.e2e?.ready) {
+            if (!CLIENT_ENVELOPE_TYPES.has(m?.type)) {
+                logDebug(`[SECURITY] Plaintext ${typeof m?.type === 'string' ? m.type.slice(0, 32) : 'message'} after key exchange rejected`);
+                return;
+            }
+            if (m.type === 'e2e_control') {
+                m = openControl(ws, m);
+                if (!m) {
+                    logDebug('[E2E] Invalid control message');
+                    return;
+                }
+            }
+        } else if (m?.type !== 'e2e_client_key' && m?.type !== 'ping') {
+            // Nothing else happens before the key exchange (see buildAuthTranscript)
+            logDebug('[SECURITY] Message before key exchange rejected');
+            return;
+        }
+
         // Heartbeat - respond to ping immediately
         if (m.type === 'ping') {
-            ws.send(JSON.stringify({ type: 'pong', timestamp: m.timestamp }));
+            sendControl(ws, { type: 'pong', timestamp: m.timestamp });
             return;
         }
 
         // Pairing Request - new device pairing flow
         if (!ws.authenticated && m.type === 'pairing_request') {
             // Validate required fields
-            if (!m.code || typeof m.code !== 'string' ||
-                !m.keyId || typeof m.keyId !== 'string' ||
+            if (!m.keyId || typeof m.keyId !== 'string' ||
                 !m.jwk || typeof m.jwk !== 'object' || m.jwk.kty !== 'RSA') {
-                ws.send(JSON.stringify({ type: 'pairing_error', message: 'Invalid request' }));
+                sendControl(ws, { type: 'pairing_error', message: 'Invalid request' });
                 return;
             }
 
-            // Normalize code (uppercase)
-            const code = m.code.toUpperCase();
-
-            // Validate code format
-            if (code.length !== 6 || !/^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{6}$/.test(code)) {
-                ws.send(JSON.stringify({ type: 'pairing_error', message: 'Invalid code format' }));
-                return;
-            }
+            // The code comes from this connection's key exchange, not from the client
+            const code = derivePairingCode(ws.e2e);
 
             // Check if device is already registered
             const authorized = store.get('keys', []);
@@ -1381,7 +1922,44 @@ function handleConnection(ws, req) {
                 ws.challenge = challenge;
                 ws.challengeTime = Date.now();
                 ws.challengeKeyId = m.keyId;
-                ws.send(JSON.stringify({ type: 'auth_challenge', challenge }));
+                sendControl(ws, { type: 'auth_challenge', challenge });
+                return;
+            }
+
+            // Opened from the tray's QR code: the link's token is the approval, and the
+            // device names itself since nobody types a name in the tray. The first request
+            // only checks the link; the token is spent once the name arrives.
+            if (m.pairingToken !== undefined) {
+                const link = matchPairingLink(m.pairingToken);
+                if (!link) {
+                    logDebug('[SECURITY] Invalid or expired pairing link');
+                    sendControl(ws, { type: 'pairing_error', message: 'Pairing link expired or already used' });
+                    return;
+                }
+
+                if (m.name === undefined) {
+                    sendControl(ws, { type: 'pairing_name_required' });
+                    return;
+                }
+
+                const name = typeof m.name === 'string' ? m.name : '';
+                if (name.length < 3 || name.length > 10 || !DEVICE_NAME_PATTERN.test(name)) {
+                    sendControl(ws, { type: 'pairing_error', message: 'Invalid device name' });
+                    return;
+                }
+
+                // The role was picked while the code was on screen; its profile may be gone since
+                const access = sanitizeDeviceRole(link.role, link.profileId);
+                if (!access) {
+                    sendControl(ws, { type: 'pairing_error', message: 'Device role no longer available' });
+                    return;
+                }
+
+                pairingLink = null;
+                approvePairing(ws, m.keyId, m.jwk, name, access);
+                if (mainWindow && !mainWindow.isDestroyed()) {
+                    mainWindow.webContents.send('PAIRING_LINK_USED', name);
+                }
                 return;
             }
 
@@ -1390,13 +1968,13 @@ function handleConnection(ws, req) {
 
             // Check max pending pairings limit
             if (pendingPairings.size >= MAX_PENDING_PAIRINGS) {
-                ws.send(JSON.stringify({ type: 'pairing_error', message: 'Too many pending requests' }));
+                sendControl(ws, { type: 'pairing_error', message: 'Too many pending requests' });
                 return;
             }
 
-            // Check for duplicate codes
+            // Check for duplicate codes (a repeated request on this connection)
             if (pendingPairings.has(code)) {
-                ws.send(JSON.stringify({ type: 'pairing_error', message: 'Code already in use' }));
+                sendControl(ws, { type: 'pairing_error', message: 'Code already in use' });
                 return;
             }
 
@@ -1408,7 +1986,7 @@ function handleConnection(ws, req) {
                 createdAt: Date.now()
             });
 
-            ws.send(JSON.stringify({ type: 'pairing_pending', code }));
+            sendControl(ws, { type: 'pairing_pending' });
             logDebug(`[PAIRING] New pairing request initiated for key ${m.keyId.substring(0, 8)}...`);
             return;
         }
@@ -1426,14 +2004,14 @@ function handleConnection(ws, req) {
             // Verify challenge was issued
             if (!ws.challenge || !ws.challengeTime) {
                 logDebug('[SECURITY] Auth response without challenge');
-                ws.send(JSON.stringify({ type: 'auth_error', message: 'No challenge issued' }));
+                sendControl(ws, { type: 'auth_error', message: 'No challenge issued' });
                 return;
             }
 
             // Check challenge expiration
             if (Date.now() - ws.challengeTime > CHALLENGE_EXPIRY_MS) {
                 logDebug('[SECURITY] Challenge expired, rejecting auth');
-                ws.send(JSON.stringify({ type: 'auth_error', message: 'Challenge expired' }));
+                sendControl(ws, { type: 'auth_error', message: 'Challenge expired' });
                 ws.close(1008, 'Challenge expired');
                 return;
             }
@@ -1448,45 +2026,69 @@ function handleConnection(ws, req) {
             // Verify keyId matches the challenged device
             if (ws.challengeKeyId && m.keyId !== ws.challengeKeyId) {
                 logDebug('[SECURITY] KeyId mismatch in auth response');
-                ws.send(JSON.stringify({ type: 'auth_error', message: 'Key mismatch' }));
+                sendControl(ws, { type: 'auth_error', message: 'Key mismatch' });
                 return;
             }
 
             logDebug(`[WS] Auth response from KID: ${m.keyId.substring(0, 8)}`);
-            if (verifySignature(m.keyId, m.signature, ws.challenge)) {
+            const result = verifySignature(m.keyId, m.signature, buildAuthTranscript(ws.e2e, ws.challenge));
+            if (result.valid) {
                 logDebug(`[WS] Auth SUCCESS: ${m.keyId.substring(0, 8)}`);
                 ws.authenticated = true;
+                ws.kid = m.keyId;
                 clearTimeout(ws.authTimeout);
-                ws.send(JSON.stringify({ type: 'auth_success' }));
-                // Initiate E2E key exchange
-                initE2EKeyExchange(ws);
-                startPty(ws);
+                sendControl(ws, { type: 'auth_success' });
+                publishFingerprint(ws);
+                attachClient(ws);
+            } else if (result.expired) {
+                // The device holds the key; the operator has to re-approve it in Settings
+                logDebug(`[WS] Auth EXPIRED (${result.expired}): ${m.keyId.substring(0, 8)}`);
+                sendControl(ws, deviceExpiredMessage(result.expired));
             } else {
                 logDebug(`[WS] Auth FAILED: ${m.keyId.substring(0, 8)}`);
-                ws.send(JSON.stringify({ type: 'auth_error', message: 'Authentication failed' }));
+                sendControl(ws, { type: 'auth_error', message: 'Authentication failed' });
             }
             return;
         }
 
-        // Register Key (If user approves)
-        if (m.type === 'register_key') {
-            const keys = store.get('keys', []);
-            keys.push({ kid: m.kid, jwk: m.jwk });
-            store.set('keys', keys);
-            ws.send(JSON.stringify({ type: 'registered' }));
-            return;
-        }
+        // NOTE: Client-side 'register_key' handler removed for security
+        // Device keys are only stored once the operator approves a pairing code
 
         // E2E: Receive client's ECDH public key
-        if (ws.authenticated && m.type === 'e2e_client_key') {
+        if (m.type === 'e2e_client_key') {
             if (m.publicKey && typeof m.publicKey === 'string') {
-                completeE2EKeyExchange(ws, m.publicKey);
+                completeE2EKeyExchange(ws, m.publicKey, {
+                    framing: Array.isArray(m.framing) ? m.framing : [],
+                    compression: Array.isArray(m.compression) ? m.compression : [],
+                    rekey: m.rekey === true
+                });
             } else {
                 logDebug('[E2E] Invalid client key format');
             }
             return;
         }
 
+        // Rekey - the client's new public key, encrypted under the key being replaced
+        if (ws.authenticated && m.type === 'e2e_rekey_ack') {
+            if (!ws.e2e?.rekey) {
+                logDebug('[E2E] Unexpected rekey answer');
+                return;
+            }
+            let answer;
+            try {
+                answer = JSON.parse(decryptInput(ws, { iv: m.iv, data: m.data, tag: m.tag }, { type: m.type }));
+            } catch (e) {
+                answer = null;
+            }
+            if (typeof answer?.publicKey !== 'string') {
+                logDebug('[SECURITY] Invalid rekey answer, closing connection');
+                ws.close(1008, 'Rekey failed');
+                return;
+            }
+            completeRekey(ws, answer.publicKey);
+            return;
+        }
+
         // E2E Encrypted Input - only from authenticated clients with E2E
         if (ws.authenticated && m.type === 'e2e_input') {
             if (!ws.e2e || !ws.e2e.ready) {
@@ -1494,30 +2096,14 @@ function handleConnection(ws, req) {
                 return;
             }
 
-            // SECURITY: Check encrypted payload size BEFORE decryption to prevent resource exhaustion
-            // Base64 encoded data is ~33% larger than raw, so check against 1.5x MAX_INPUT_SIZE
-            if (m.data && m.data.length > MAX_INPUT_SIZE * 2) {
-                logDebug('[SECURITY] Encrypted payload too large, rejecting before decryption');
-                return;
-            }
-
-            const decrypted = decryptInput(ws, { iv: m.iv, data: m.data, tag: m.tag });
+            // Encrypted payload size is already bounded by MAX_MESSAGE_BYTES on the whole frame
+            const decrypted = decryptInput(ws, { iv: m.iv, data: m.data, tag: m.tag }, { type: m.type, sessionId: m.sessionId });
             if (decrypted === null) {
                 logDebug('[E2E] Failed to decrypt input');
                 return;
             }
 
-            // Limit input size (defense in depth - also checked above before decryption)
-            let inputData = decrypted;
-            if (inputData.length > MAX_INPUT_SIZE) {
-                logDebug('[SECURITY] E2E Input too large, truncating');
-                inputData = inputData.substring(0, MAX_INPUT_SIZE);
-            }
-
-            if (ptyProcess) {
-                logDebug(`[PTY] Writing E2E input (len: ${inputData.length})`);
-                ptyProcess.write(inputData);
-            }
+            writeSessionInput(ws, m.sessionId, decrypted);
             return;
         }
 
@@ -1525,37 +2111,189 @@ function handleConnection(ws, req) {
         // All terminal input MUST go through e2e_input after E2E is established
 
         // Resize - validate dimensions
+        // This is the size the client would like; the resize policy decides what the PTY gets
         if (ws.authenticated && m.type === 'resize') {
             const cols = parseInt(m.cols, 10);
             const rows = parseInt(m.rows, 10);
+            const session = sessions.get(m.sessionId);
             // Validate reasonable terminal dimensions
-            if (cols > 0 && cols <= 500 && rows > 0 && rows <= 200) {
-                if (ptyProcess) ptyProcess.resize(cols, rows);
+            if (session && canControlSession(ws, session) && ws.sessionSizes &&
+                cols > 0 && cols <= 500 && rows > 0 && rows <= 200) {
+                ws.sessionSizes.set(session.id, { cols, rows });
+                arbitrateSize(session, { requester: ws });
             }
+            return;
         }
-    });
 
-    ws.on('close', () => {
-        clearTimeout(ws.authTimeout);
-        activeClients.delete(ws);
-        // Cleanup pending conns if any
-        for (let [kid, pWs] of pendingConns.entries()) {
-            if (pWs === ws) pendingConns.delete(kid);
-        }
-        // Cleanup pending pairings if any
-        for (const [code, data] of pendingPairings.entries()) {
-            if (data.ws === ws) pendingPairings.delete(code);
+        // Resize - make this client's size the one that counts (typist/owner policies)
+        if (ws.authenticated && m.type === 'resize_claim') {
+            const session = sessions.get(m.sessionId);
+            if (session && canControlSession(ws, session)) {
+                session.typist = ws;
+                session.owner = ws;
+                arbitrateSize(session, { requester: ws });
+            }
+            return;
         }
-    });
-}
 
-// SECURITY: Constant-time signature verification to prevent timing side-channel attacks
-// Always performs full verification flow regardless of whether key exists
-function verifySignature(kid, signature, challenge) {
-    const authorized = store.get('keys', []);
-    const key = authorized.find(k => k.kid === kid);
+        // Session management - open a new tab
+        if (ws.authenticated && m.type === 'session_create') {
+            if (ws.role === 'read-only') {
+                sendControl(ws, { type: 'session_error', message: 'Not permitted on this device' });
+                return;
+            }
+            // Restricted devices always get their own profile
+            const profileId = ws.role === 'restricted' ? ws.profileId
+                : typeof m.profileId === 'string' ? m.profileId : DEFAULT_PROFILE_ID;
+            createSession(profileId).then(session => {
+                for (const client of activeClients) {
+                    if (client.readyState === WebSocket.OPEN && canViewSession(client, session)) {
+                        // Only the requesting client switches to the new tab
+                        sendControl(client, { type: 'session_created', session, focus: client === ws });
+                    }
+                }
+            }).catch(err => {
+                logDebug(`[PTY] Failed to create session: ${err.message}`);
+                if (ws.readyState === WebSocket.OPEN) {
+                    sendControl(ws, { type: 'session_error', message: err.message });
+                }
+            });
+            return;
+        }
 
-    // Always perform cryptographic operations to prevent timing-based key ID enumeration
+        // Session management - close a tab (clients are notified when the PTY exits)
+        if (ws.authenticated && m.type === 'session_close') {
+            const session = sessions.get(m.sessionId);
+            if (session && !canControlSession(ws, session)) {
+                sendControl(ws, { type: 'session_error', message: 'Not permitted on this device' });
+                return;
+            }
+            if (!closeSession(m.sessionId)) {
+                sendControl(ws, { type: 'session_error', message: 'Session not found' });
+            }
+            return;
+        }
+
+        // Session management - start (or resume) streaming a tab's output
+        if (ws.authenticated && m.type === 'session_attach') {
+            const session = sessions.get(m.sessionId);
+            if (!session || !canViewSession(ws, session)) {
+                sendControl(ws, { type: 'session_closed', sessionId: m.sessionId });
+                return;
+            }
+            const lastSeq = Number.isSafeInteger(m.lastSeq) && m.lastSeq >= 0 ? m.lastSeq : null;
+            getFlow(ws, session.id).acks = m.acks === true;
+            attachSession(ws, session, lastSeq);
+            return;
+        }
+
+        // Flow control - output a client has rendered, up to and including seq
+        if (ws.authenticated && m.type === 'output_ack') {
+            const session = sessions.get(m.sessionId);
+            if (session && ws.attachedSessions?.has(session.id) && Number.isSafeInteger(m.seq)) {
+                handleOutputAck(ws, session, m.seq);
+            }
+            return;
+        }
+
+        // Session management - list open tabs and the profiles new ones can use
+        if (ws.authenticated && m.type === 'session_list') {
+            sendControl(ws, sessionListMessage(ws));
+            return;
+        }
+
+        // Scrollback - search and page through a session's full history on the host.
+        // Queries can reveal what is being looked for, so both directions are encrypted.
+        if (ws.authenticated && m.type === 'e2e_scrollback') {
+            if (!ws.e2e || !ws.e2e.ready) return;
+            if (typeof m.data === 'string' && m.data.length > MAX_SCROLLBACK_REQUEST_BYTES) {
+                logDebug('[SECURITY] Scrollback request too large, rejecting before decryption');
+                return;
+            }
+
+            let request;
+            try {
+                request = JSON.parse(decryptInput(ws, { iv: m.iv, data: m.data, tag: m.tag }, { type: m.type, sessionId: m.sessionId }));
+            } catch (e) {
+                logDebug('[E2E] Invalid scrollback request');
+                return;
+            }
+
+            const reply = result => {
+                if (ws.readyState !== WebSocket.OPEN) return;
+                ws.send(JSON.stringify({
+                    type: 'e2e_scrollback_result',
+                    sessionId: m.sessionId,
+                    ...encryptMessage(JSON.stringify({ requestId: request?.requestId, ...result }), ws.e2e, {
+                        type: 'e2e_scrollback_result',
+                        sessionId: m.sessionId
+                    })
+                }));
+                maybeRekey(ws);
+            };
+
+            const session = sessions.get(m.sessionId);
+            if (!session || !canViewSession(ws, session)) {
+                reply({ error: 'Session not found' });
+                return;
+            }
+            daemonRequest('scrollback', { sessionId: session.id, op: request?.op })
+                .then(result => reply(result))
+                .catch(err => reply({ error: err.message }));
+            return;
+        }
+
+        // Recordings - list and fetch for playback. They cover every profile, so
+        // restricted devices cannot see them.
+        if (ws.authenticated && m.type === 'recording_list') {
+            const recordings = ws.role === 'restricted' ? [] : listRecordings();
+            sendControl(ws, { type: 'recording_list', recordings });
+            return;
+        }
+
+        if (ws.authenticated && m.type === 'recording_get') {
+            if (ws.role === 'restricted') {
+                sendControl(ws, { type: 'recording_error', id: m.id, message: 'Not permitted on this device' });
+                return;
+            }
+            if (!ws.e2e || !ws.e2e.ready) return;
+            sendRecording(ws, m.id).catch(err => logDebug(`[RECORDING] Send failed: ${err.message}`));
+            return;
+        }
+    });
+
+    ws.on('close', () => {
+        clearTimeout(ws.authTimeout);
+        clearInterval(ws.rekeyTimer);
+        clearTimeout(ws.e2e?.rekey?.timeout);
+        activeClients.delete(ws);
+        // Sessions this client was sizing may be able to grow again
+        // and may no longer be held back by it
+        for (const sessionId of ws.attachedSessions || []) {
+            const session = sessions.get(sessionId);
+            if (session) {
+                arbitrateSize(session);
+                updateSessionFlow(session);
+            }
+        }
+        // Cleanup pending pairings if any
+        for (const [code, data] of pendingPairings.entries()) {
+            if (data.ws === ws) pendingPairings.delete(code);
+        }
+    });
+}
+
+// SECURITY: Constant-time signature verification to prevent timing side-channel attacks
+// Always performs full verification flow regardless of whether key exists
+// data: what the device signed (buildAuthTranscript for authentication)
+// Returns { valid, expired }: an expired key is refused, and reported as expired (the
+// reason, see keyExpiry) only when the signature proves the device holds it. A valid
+// sign-in updates the key's lastUsedAt.
+function verifySignature(kid, signature, data) {
+    const authorized = store.get('keys', []);
+    const key = authorized.find(k => k.kid === kid);
+
+    // Always perform cryptographic operations to prevent timing-based key ID enumeration
     // Use a dummy key if the requested key doesn't exist
     const dummyJwk = {
         kty: 'RSA',
@@ -1572,7 +2310,7 @@ function verifySignature(kid, signature, challenge) {
         // Use RSA-PSS verification (more secure than PKCS#1 v1.5)
         isValid = crypto.verify(
             'sha256',
-            Buffer.from(challenge),
+            Buffer.from(data),
             {
                 key: pubKey,
                 padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
@@ -1586,117 +2324,1262 @@ function verifySignature(kid, signature, challenge) {
         isValid = false;
     }
 
-    // Only return true if key existed AND signature was valid
-    return key ? isValid : false;
+    // Only valid if key existed AND signature was valid AND the key hasn't expired
+    if (!key || !isValid) return { valid: false, expired: null };
+
+    const now = Date.now();
+    const expired = keyExpiry(key, now);
+    if (expired) {
+        if (!key.expired) {
+            key.expired = expired;
+            key.expiredAt = now;
+            store.set('keys', authorized);
+            logDebug(`[SECURITY] Device key expired (${expired}): ${kid.substring(0, 8)}`);
+        }
+        return { valid: false, expired };
+    }
+
+    // Keys paired before expiry existed start their clock at their next sign-in
+    key.pairedAt = key.pairedAt || now;
+    key.lastUsedAt = now;
+    store.set('keys', authorized);
+    return { valid: true, expired: null };
+}
+
+// DEVICE KEY EXPIRY
+// Each paired key records pairedAt and lastUsedAt. One approved longer ago than
+// cfSettings.keyMaxAgeDays, or unused for cfSettings.keyIdleDays, stops authenticating
+// and is marked expired rather than deleted: the tray lists it for re-approval
+// (REAPPROVE_DEVICE) and the PWA says so instead of showing a new pairing code.
+// Live connections are checked again every KEY_REVALIDATE_MS and whenever 'keys'
+// changes (revalidateClients), so a device doesn't outlast its key by staying connected.
+
+function getKeyExpiryDays() {
+    const settings = store ? store.get('cfSettings', {}) : {};
+    const days = (value, fallback) => (Number.isInteger(value) && value >= 0 ? value : fallback);
+    return {
+        maxAge: days(settings.keyMaxAgeDays, DEFAULT_KEY_MAX_AGE_DAYS),
+        idle: days(settings.keyIdleDays, DEFAULT_KEY_IDLE_DAYS)
+    };
+}
+
+// Why a key may no longer authenticate ('age' or 'idle'), or null. Once marked expired
+// it stays so until re-approved, even if the limits are raised. A key that is connected
+// right now (inUse) isn't idle, whenever it last signed in.
+function keyExpiry(key, now = Date.now(), inUse = false) {
+    if (key.expired) return key.expired;
+    const { maxAge, idle } = getKeyExpiryDays();
+    if (maxAge && key.pairedAt && now - key.pairedAt > maxAge * DAY_MS) return 'age';
+    if (!inUse && idle && key.lastUsedAt && now - key.lastUsedAt > idle * DAY_MS) return 'idle';
+    return null;
+}
+
+// The PWA's device_expired message; reason is 'age', 'idle' or 'removed'
+function deviceExpiredMessage(reason) {
+    const limits = getKeyExpiryDays();
+    return {
+        type: 'device_expired',
+        reason,
+        ...(reason === 'age' && { days: limits.maxAge }),
+        ...(reason === 'idle' && { days: limits.idle })
+    };
+}
+
+// Hold every authenticated connection to its device's current key: one whose key
+// expired or was removed is told so and disconnected, the rest pick up role and
+// clipboard changes (and a new session list if what they may see changed).
+function revalidateClients() {
+    if (!store) return;
+    const keys = store.get('keys', []);
+    const now = Date.now();
+
+    for (const client of Array.from(activeClients)) {
+        if (!client.authenticated || !client.kid) continue;
+        const key = keys.find(k => k.kid === client.kid);
+        const expired = key ? keyExpiry(key, now, true) : 'removed';
+        if (expired) {
+            logDebug(`[SECURITY] Disconnecting ${client.kid.substring(0, 8)}: key ${expired}`);
+            sendControl(client, deviceExpiredMessage(expired));
+            client.authenticated = false;
+            activeClients.delete(client);
+            client.close(1008, 'Device expired');
+            continue;
+        }
+
+        const { role, profileId } = client;
+        applyDeviceRole(client);
+        if (client.role !== role || client.profileId !== profileId) {
+            sendControl(client, sessionListMessage(client));
+        }
+    }
+}
+
+setInterval(revalidateClients, KEY_REVALIDATE_MS);
+
+// DEVICE ROLES
+// A device's role is read from its 'keys' entry when it authenticates and whenever the
+// operator changes it, and cached on the connection. Every session message checks it.
+
+// Validate a role from the renderer. Restricted devices need an existing profile.
+function sanitizeDeviceRole(role, profileId) {
+    if (role === undefined || role === null) role = DEFAULT_DEVICE_ROLE;
+    if (!DEVICE_ROLES.includes(role)) return null;
+    if (role !== 'restricted') return { role, profileId: null };
+    if (!getShellProfiles().some(p => p.id === profileId)) return null;
+    return { role, profileId };
+}
+
+function applyDeviceRole(ws) {
+    const key = store.get('keys', []).find(k => k.kid === ws.kid);
+    ws.deviceName = key?.name || (ws.kid ? ws.kid.substring(0, 12) : 'unknown');
+    ws.role = key && DEVICE_ROLES.includes(key.role) ? key.role : DEFAULT_DEVICE_ROLE;
+    // A restricted device whose profile was deleted falls back to the default profile
+    ws.profileId = ws.role === 'restricted' && getShellProfiles().some(p => p.id === key.profileId)
+        ? key.profileId : DEFAULT_PROFILE_ID;
+    ws.clipboard = key && CLIPBOARD_MODES.includes(key.clipboard) ? key.clipboard : DEFAULT_CLIPBOARD_MODE;
+
+    // Stop streaming sessions this device may no longer see, and drop sizes it may no longer set
+    for (const sessionId of Array.from(ws.attachedSessions || [])) {
+        const session = sessions.get(sessionId);
+        const visible = session && canViewSession(ws, session);
+        if (visible && ws.role !== 'read-only') continue;
+        if (!visible) {
+            ws.attachedSessions.delete(sessionId);
+            ws.pendingAttaches?.delete(sessionId);
+            ws.flow?.delete(sessionId);
+            if (session) updateSessionFlow(session);
+        }
+        ws.sessionSizes?.delete(sessionId);
+        if (session) arbitrateSize(session);
+    }
+}
+
+// Sessions without a profile predate profile tracking and count as the default profile
+function canViewSession(ws, session) {
+    if (ws.role !== 'restricted') return true;
+    return (session.profileId || DEFAULT_PROFILE_ID) === ws.profileId;
+}
+
+function canControlSession(ws, session) {
+    return ws.role !== 'read-only' && canViewSession(ws, session);
+}
+
+// TERMINAL SESSIONS
+// PTYs live in the session daemon (session-daemon.js), which also keeps a headless
+// xterm per session for attach snapshots and a ring buffer of numbered output frames
+// for resume. This process mirrors the daemon's session list, filters output on its
+// way to clients and decides which client receives what. Clients opt in per session
+// via session_attach.
+
+function listSessions(ws) {
+    return Array.from(sessions.values())
+        .filter(s => canViewSession(ws, s))
+        .map(s => ({
+            id: s.id,
+            title: s.title,
+            createdAt: s.createdAt
+        }));
+}
+
+// Sessions a client may see, the shell profiles it may open (names only) and its role
+function sessionListMessage(ws) {
+    let profiles = getShellProfiles();
+    if (ws.role === 'read-only') {
+        profiles = [];
+    } else if (ws.role === 'restricted') {
+        profiles = profiles.filter(p => p.id === ws.profileId);
+    }
+    return {
+        type: 'session_list',
+        sessions: listSessions(ws),
+        profiles: profiles.map(p => ({ id: p.id, name: p.name })),
+        role: ws.role
+    };
+}
+
+// Send every client its own session list (after profile, role or daemon changes)
+function broadcastSessionList() {
+    for (const client of activeClients) {
+        sendControl(client, sessionListMessage(client));
+    }
+}
+
+// Send a control message to every attached client
+function broadcastControl(message) {
+    for (const client of activeClients) {
+        sendControl(client, message);
+    }
+}
+
+// Write decrypted input from a client to a session's PTY
+function writeSessionInput(ws, sessionId, data) {
+    // Limit input size (defense in depth - the encrypted size is checked before decryption)
+    let inputData = data;
+    if (inputData.length > MAX_INPUT_SIZE) {
+        logDebug('[SECURITY] E2E Input too large, truncating');
+        inputData = inputData.substring(0, MAX_INPUT_SIZE);
+    }
+
+    const session = sessions.get(sessionId);
+    if (session && !canControlSession(ws, session)) {
+        logDebug(`[SECURITY] Input rejected for ${ws.role} device`);
+        return;
+    }
+    if (session) {
+        logDebug(`[PTY] Writing E2E input to ${session.id} (len: ${inputData.length})`);
+        daemonSend('write', { sessionId: session.id, data: inputData, device: ws.deviceName });
+        noteIdleInput(session, inputData);
+        if (session.typist !== ws) {
+            session.typist = ws;
+            if (getResizePolicy() === 'typist') arbitrateSize(session);
+        }
+    }
+}
+
+// Binary frame from a client: only input, only once binary framing was agreed
+function handleBinaryFrame(ws, buf) {
+    if (!ws.authenticated || !ws.e2e?.ready || ws.e2e.framing !== 'binary') {
+        logDebug('[E2E] Binary frame before binary framing was negotiated, ignoring');
+        return;
+    }
+    const frame = decodeFrame(buf);
+    // SECURITY: input is never compressed, so nothing inflates past the size limit
+    if (!frame || frame.type !== 'e2e_input' || (frame.flags & FRAME_FLAG_DEFLATE)) {
+        logDebug('[E2E] Malformed binary frame, ignoring');
+        return;
+    }
+    const { type, sessionId, seq, flags } = frame;
+    const decrypted = decryptBytes(frame, ws.e2e, { type, sessionId, seq, flags });
+    if (decrypted === null) {
+        logDebug('[E2E] Failed to decrypt input');
+        return;
+    }
+    writeSessionInput(ws, frame.sessionId, decrypted.toString('utf8'));
+}
+
+// Determine shell path: the profile's shell if set, otherwise the first available default
+function resolveShellPath(preferred) {
+    if (preferred) {
+        return fs.existsSync(preferred) ? preferred : null;
+    }
+    for (const candidate of ['/bin/zsh', '/bin/bash', '/bin/sh']) {
+        if (fs.existsSync(candidate)) return candidate;
+    }
+    return null;
+}
+
+// SECURITY: Only pass safe, necessary environment variables
+// Avoid leaking secrets from parent process
+// extraVars: names a shell profile explicitly allows through from this process
+function buildSafeEnv(shellPath, extraVars = []) {
+    const env = {
+        // Essential shell variables
+        HOME: process.env.HOME || '/tmp',
+        USER: process.env.USER || 'user',
+        SHELL: shellPath,
+        PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin',
+
+        // Terminal settings
+        TERM: 'xterm-256color',
+        COLORTERM: 'truecolor',
+        LANG: 'en_US.UTF-8',
+        LC_ALL: 'en_US.UTF-8',
+
+        // Editor (optional, common defaults)
+        EDITOR: process.env.EDITOR || 'vim',
+        VISUAL: process.env.VISUAL || process.env.EDITOR || 'vim',
+
+        // XDG directories (for proper app behavior)
+        XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME || `${process.env.HOME}/.config`,
+        XDG_DATA_HOME: process.env.XDG_DATA_HOME || `${process.env.HOME}/.local/share`,
+        XDG_CACHE_HOME: process.env.XDG_CACHE_HOME || `${process.env.HOME}/.cache`,
+
+        // Mark as remote session for tools that care
+        POCKET_BRIDGE: '1',
+        SSH_TTY: '/dev/ttys000' // Some tools check for this
+    };
+
+    for (const name of extraVars) {
+        if (process.env[name] !== undefined) {
+            env[name] = process.env[name];
+        }
+    }
+    return env;
+}
+
+// SHELL PROFILES
+// Named presets for new sessions: shell path ('' = auto-detect), arguments, working
+// directory ('' = home), extra environment variables allowed through, and an optional
+// command typed into the shell once it starts. The default profile always exists.
+// Profiles with backend 'tmux' attach to a tmux session in control mode instead; their
+// shell field is the tmux binary and args/startupCommand are not used.
+
+function defaultShellProfile() {
+    return {
+        id: DEFAULT_PROFILE_ID,
+        name: 'Default',
+        shell: '',
+        args: ['--login'], // Run as login shell to get user's PATH/aliases
+        cwd: '',
+        env: [],
+        startupCommand: '',
+        backend: 'pty',
+        tmuxSession: 'main'
+    };
+}
+
+// Strip control characters (a newline would run a second command)
+function cleanProfileString(value, maxLength) {
+    return typeof value === 'string' ? value.replace(/[\x00-\x1f\x7f]/g, '').trim().slice(0, maxLength) : '';
+}
+
+// Validate a profile coming from the settings UI. Returns null if unusable.
+function sanitizeShellProfile(profile) {
+    if (!profile || typeof profile !== 'object') return null;
+
+    const id = cleanProfileString(profile.id, 32) || crypto.randomBytes(4).toString('hex');
+    const name = cleanProfileString(profile.name, 40);
+    const shellPath = cleanProfileString(profile.shell, 256);
+    const cwd = cleanProfileString(profile.cwd, 1024);
+    const tmuxSession = cleanProfileString(profile.tmuxSession, 32) || 'main';
+
+    if (!name) return null;
+    if (!TMUX_SESSION_PATTERN.test(tmuxSession)) return null;
+    if (shellPath && !path.isAbsolute(shellPath)) return null;
+    if (cwd && !path.isAbsolute(cwd) && !cwd.startsWith('~')) return null;
+
+    return {
+        id,
+        name,
+        shell: shellPath,
+        args: (Array.isArray(profile.args) ? profile.args : [])
+            .map(arg => cleanProfileString(arg, 256))
+            .filter(Boolean)
+            .slice(0, MAX_PROFILE_ARGS),
+        cwd,
+        env: (Array.isArray(profile.env) ? profile.env : [])
+            .filter(name => typeof name === 'string' && ENV_VAR_NAME_PATTERN.test(name))
+            .slice(0, 32),
+        startupCommand: cleanProfileString(profile.startupCommand, 512),
+        backend: profile.backend === 'tmux' ? 'tmux' : 'pty',
+        tmuxSession
+    };
+}
+
+function getShellProfiles() {
+    const stored = store ? store.get('shellProfiles', []) : [];
+    const profiles = stored.map(sanitizeShellProfile).filter(Boolean);
+    if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+        profiles.unshift(defaultShellProfile());
+    }
+    return profiles;
+}
+
+// tmux binary: the profile's path if set, otherwise the usual install locations
+function resolveTmuxPath(preferred) {
+    const candidates = preferred ? [preferred] : TMUX_PATHS;
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Expand a leading ~ in a profile's working directory
+function resolveProfileCwd(cwd) {
+    const home = process.env.HOME || '/tmp';
+    if (!cwd) return home;
+    if (cwd === '~' || cwd.startsWith('~/')) return path.join(home, cwd.slice(1));
+    return cwd;
+}
+
+
+// Spawn a new PTY session in the daemon from a shell profile. Resolves with the session info.
+async function createSession(profileId = DEFAULT_PROFILE_ID) {
+    const profile = getShellProfiles().find(p => p.id === profileId);
+    if (!profile) {
+        throw new Error('Profile not found');
+    }
+
+    const cwd = resolveProfileCwd(profile.cwd);
+    if (!fs.existsSync(cwd)) {
+        throw new Error(`Working directory not found: ${profile.cwd}`);
+    }
+
+    if (profile.backend === 'tmux') {
+        return createTmuxSession(profile, cwd);
+    }
+
+    const shellPath = resolveShellPath(profile.shell);
+    if (!shellPath) {
+        logDebug(`[PTY] FATAL: No shell found (profile ${profile.id})`);
+        throw new Error('No shell found');
+    }
+
+    logDebug(`[PTY] Spawning session (${shellPath}, profile ${profile.id})...`);
+    const { session } = await daemonRequest('create', {
+        profileId: profile.id,
+        // The default profile is named after its shell, like before profiles existed
+        title: profile.id === DEFAULT_PROFILE_ID ? path.basename(shellPath) : profile.name,
+        shell: shellPath,
+        args: profile.args,
+        cwd,
+        env: buildSafeEnv(shellPath, profile.env),
+        cols: 80,
+        rows: 30
+    });
+    sessions.set(session.id, session);
+    logDebug(`[PTY] Session ${session.id} started`);
+
+    // Typed into the shell; the PTY buffers it until the shell reads input
+    if (profile.startupCommand) {
+        daemonSend('write', { sessionId: session.id, data: profile.startupCommand + '\r' });
+    }
+    return session;
+}
+
+// Open a tab on a tmux session in control mode. The daemon brings in the session's
+// existing panes as tabs too (announced with 'created' events).
+async function createTmuxSession(profile, cwd) {
+    const tmuxPath = resolveTmuxPath(profile.shell);
+    if (!tmuxPath) {
+        throw new Error('tmux not found');
+    }
+
+    // SHELL is what tmux starts in new windows, so it must be a real shell
+    const shellPath = resolveShellPath('') || '/bin/sh';
+
+    logDebug(`[PTY] Opening tmux session "${profile.tmuxSession}" (profile ${profile.id})...`);
+    const { session } = await daemonRequest('create', {
+        backend: 'tmux',
+        profileId: profile.id,
+        shell: tmuxPath,
+        tmuxSession: profile.tmuxSession,
+        cwd,
+        env: buildSafeEnv(shellPath, profile.env),
+        cols: 80,
+        rows: 30
+    });
+    sessions.set(session.id, session);
+    logDebug(`[PTY] tmux pane session ${session.id} opened`);
+    return session;
+}
+
+// Close a tab. A tmux pane is only detached (it keeps running in tmux) unless force is set.
+function closeSession(id, force = false) {
+    if (!sessions.has(id)) return false;
+    logDebug(`[PTY] Closing session ${id}${force ? ' (force)' : ''}`);
+    // The daemon's exit event removes the session and notifies clients
+    daemonSend('kill', { sessionId: id, force });
+    return true;
+}
+
+// Forward a numbered output frame from the daemon to attached clients
+function handleSessionOutput(sessionId, seq, raw) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    if (!session.outputFilter) session.outputFilter = createOutputFilter();
+    const { data, events } = session.outputFilter.write(raw);
+
+    const marks = events.filter(event => event.type === 'shell_mark');
+    for (const command of trackShellIntegration(session, data, marks)) {
+        notifyCommandDone(session, command);
+    }
+    noteIdleOutput(session);
+    for (const event of events) {
+        if (event.type === 'clipboard') sendClipboardWrite(session, event.text);
+    }
+
+    // Broadcast to attached clients (encrypted if E2E ready)
+    for (const client of activeClients) {
+        if (client.readyState !== WebSocket.OPEN || !client.attachedSessions?.has(sessionId)) continue;
+        // Hold live output behind an attach that is still being answered for this client
+        const pending = client.pendingAttaches?.get(sessionId);
+        if (pending) {
+            pending.queue.push({ seq, data });
+        } else if (!getFlow(client, sessionId).lagging) {
+            sendEncryptedOutput(client, { sessionId, seq, data });
+        }
+    }
+    updateSessionFlow(session);
+}
+
+// Sessions can appear without a request of ours (tmux panes, another app instance)
+function handleSessionCreated(session) {
+    if (sessions.has(session.id)) return;
+    sessions.set(session.id, session);
+    for (const client of activeClients) {
+        if (canViewSession(client, session)) {
+            sendControl(client, { type: 'session_created', session, focus: false });
+        }
+    }
+}
+
+function handleSessionExit(sessionId, exitCode, signal) {
+    logDebug(`[PTY] Session ${sessionId} exited with code ${exitCode}, signal ${signal}`);
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    clearTimeout(session.shell?.idleTimer);
+    sessions.delete(sessionId);
+    broadcastControl({ type: 'session_closed', sessionId });
+}
+
+// SHELL INTEGRATION
+// Shells set up for OSC 133 mark their prompt (A), the start of the typed command (B),
+// its execution (C) and its end with an exit code (D). The command line is taken from
+// the echoed text between B and C. Per session state lives in session.shell.
+
+function getShellState(session) {
+    if (!session.shell) {
+        session.shell = {
+            state: 'idle', input: '', command: '', startedAt: null, history: [],
+            integrated: false, typed: '', busy: null, idleTimer: null
+        };
+    }
+    return session.shell;
+}
+
+// Reduce echoed command line text to what the user sees: no escape sequences,
+// backspaces applied, only the last redraw after a carriage return
+function cleanCommandText(text) {
+    let plain = text
+        .replace(/\x1b\[[0-?]*[ -\/]*[@-~]/g, '')
+        .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+        .replace(/\x1b[@-_]/g, '');
+    const lastReturn = plain.replace(/\r\n?$/, '').lastIndexOf('\r');
+    if (lastReturn !== -1) plain = plain.slice(lastReturn + 1);
+
+    let line = '';
+    for (const char of plain) {
+        if (char === '\b' || char === '\x7f') {
+            line = line.slice(0, -1);
+        } else if (char >= ' ' || char === '\t') {
+            line += char;
+        }
+    }
+    return line.trim().slice(0, MAX_COMMAND_TEXT);
+}
+
+// Advance a session's command state on one mark. Returns the finished command on D.
+function applyShellMark(session, mark) {
+    const shell = getShellState(session);
+    if (!shell.integrated) {
+        // Marks are exact; stop guessing from idle output
+        shell.integrated = true;
+        shell.busy = null;
+        clearTimeout(shell.idleTimer);
+    }
+    switch (mark.kind) {
+        case 'A':
+            shell.state = 'prompt';
+            return null;
+        case 'B':
+            shell.state = 'input';
+            shell.input = '';
+            return null;
+        case 'C':
+            shell.command = cleanCommandText(shell.input);
+            shell.input = '';
+            shell.startedAt = Date.now();
+            shell.state = 'running';
+            return null;
+        case 'D': {
+            // D also follows an empty prompt (Enter on nothing, Ctrl-C); only C starts a command
+            const wasRunning = shell.state === 'running';
+            shell.state = 'idle';
+            if (!wasRunning) return null;
+            const finished = {
+                command: shell.command,
+                exitCode: mark.exitCode,
+                startedAt: shell.startedAt,
+                duration: Date.now() - shell.startedAt,
+                source: 'shell'
+            };
+            shell.history.push(finished);
+            if (shell.history.length > COMMAND_HISTORY_LIMIT) shell.history.shift();
+            logDebug(`[SHELL] Session ${session.id} command finished with code ${mark.exitCode} after ${finished.duration}ms`);
+            return finished;
+        }
+    }
+    return null;
+}
+
+// Follow the OSC 133 marks reported by a session's output filter. offset is where
+// each mark sits in the filtered output; the text between B and C is the command.
+function trackShellIntegration(session, data, marks) {
+    const shell = getShellState(session);
+    const finished = [];
+    let last = 0;
+    for (const { offset, mark } of marks) {
+        if (shell.state === 'input') shell.input += data.slice(last, offset);
+        const command = applyShellMark(session, mark);
+        if (command) finished.push(command);
+        last = offset;
+    }
+    if (shell.state === 'input') {
+        // Keep the end of a long command line; cleanCommandText caps it again
+        shell.input = (shell.input + data.slice(last)).slice(-MAX_COMMAND_TEXT * 4);
+    }
+    return finished;
+}
+
+// Fallback for shells without integration: a command starts when a line typed by a
+// client is submitted and ends once output has been quiet for COMMAND_IDLE_MS. The
+// exit code is unknown. Each Enter restarts the clock, so editors and other
+// interactive programs only count their last burst of output.
+function noteIdleInput(session, data) {
+    const shell = getShellState(session);
+    if (shell.integrated) return;
+
+    const lines = (shell.typed + data).split('\r');
+    shell.typed = lines.pop().slice(-MAX_COMMAND_TEXT * 4);
+    if (lines.length === 0) return;
+
+    clearTimeout(shell.idleTimer);
+    shell.idleTimer = null;
+    shell.busy = { command: cleanCommandText(lines[lines.length - 1]), startedAt: Date.now(), lastOutputAt: null };
+}
+
+function noteIdleOutput(session) {
+    const shell = getShellState(session);
+    if (!shell.busy) return;
+    shell.busy.lastOutputAt = Date.now();
+    clearTimeout(shell.idleTimer);
+    shell.idleTimer = setTimeout(() => {
+        const busy = shell.busy;
+        shell.busy = null;
+        shell.idleTimer = null;
+        if (!busy || !sessions.has(session.id)) return;
+        notifyCommandDone(session, {
+            command: busy.command,
+            exitCode: null,
+            startedAt: busy.startedAt,
+            duration: busy.lastOutputAt - busy.startedAt,
+            source: 'idle'
+        });
+    }, COMMAND_IDLE_MS);
+}
+
+function getCommandNotifySeconds() {
+    const seconds = store ? store.get('cfSettings', {}).commandNotifySeconds : undefined;
+    return Number.isInteger(seconds) && seconds >= 0 ? seconds : DEFAULT_COMMAND_NOTIFY_SECONDS;
+}
+
+// Tell the session's attached clients that a long command finished. The command line
+// is terminal content, so the event is encrypted like output.
+function notifyCommandDone(session, command) {
+    const threshold = getCommandNotifySeconds();
+    if (threshold === 0 || command.duration < threshold * 1000) return;
+
+    logDebug(`[SHELL] command_done for ${session.id} (${command.source}, ${Math.round(command.duration / 1000)}s)`);
+    const event = JSON.stringify({
+        title: session.title,
+        command: command.command,
+        exitCode: command.exitCode,
+        duration: command.duration,
+        source: command.source
+    });
+    for (const client of activeClients) {
+        if (client.readyState !== WebSocket.OPEN || !client.e2e?.ready || !client.attachedSessions?.has(session.id)) continue;
+        client.send(JSON.stringify({
+            type: 'e2e_command_done',
+            sessionId: session.id,
+            ...encryptMessage(event, client.e2e, { type: 'e2e_command_done', sessionId: session.id })
+        }));
+        maybeRekey(client);
+    }
+}
+
+// CLIPBOARD (OSC 52)
+// Programs such as tmux and nvim copy by writing ESC ] 52 ; <targets> ; <base64> ST.
+// The output filter strips these and reports the decoded writes, which are sent as
+// their own encrypted message to devices that opted in. Reads ("?") are never
+// answered, so a program cannot pull a device's clipboard.
+
+// Forward a clipboard write to the session's attached devices that opted in
+function sendClipboardWrite(session, text) {
+    for (const client of activeClients) {
+        if (client.readyState !== WebSocket.OPEN || !client.e2e?.ready) continue;
+        if (!client.attachedSessions?.has(session.id) || !canViewSession(client, session)) continue;
+        if (client.clipboard !== 'ask' && client.clipboard !== 'allow') continue;
+
+        logDebug(`[CLIPBOARD] Forwarding ${text.length} characters from ${session.id} to ${client.deviceName}`);
+        client.send(JSON.stringify({
+            type: 'e2e_clipboard',
+            sessionId: session.id,
+            ...encryptMessage(JSON.stringify({ text, confirm: client.clipboard !== 'allow' }), client.e2e, {
+                type: 'e2e_clipboard',
+                sessionId: session.id
+            })
+        }));
+        maybeRekey(client);
+    }
+}
+
+// OUTPUT FLOW CONTROL
+// Clients that attach with acks: true acknowledge rendered output (output_ack with the
+// newest seq, cumulative). Output sent but not acknowledged is counted per client and
+// session; a client with more than FLOW_WINDOW_BYTES in flight, or whose socket holds
+// more than FLOW_BUFFERED_LIMIT, is behind.
+// - Every attached client behind: the daemon pauses the PTY, so the shell blocks
+//   instead of this process buffering.
+// - Only some behind, or any behind on a session the daemon can't pause (tmux panes,
+//   session.pausable false): those are marked lagging and skipped; once they have
+//   caught up they get a fresh snapshot, like a reconnecting client.
+
+let flowCheckTimer = null;
+
+function getFlow(ws, sessionId) {
+    if (!ws.flow) ws.flow = new Map(); // sessionId -> { acks, frames, bytes, lagging }
+    let flow = ws.flow.get(sessionId);
+    if (!flow) {
+        flow = { acks: false, frames: [], bytes: 0, lagging: false };
+        ws.flow.set(sessionId, flow);
+    }
+    return flow;
+}
+
+// Forget what was in flight (the client starts over from an attach answer)
+function resetFlow(ws, sessionId) {
+    const flow = getFlow(ws, sessionId);
+    flow.frames = [];
+    flow.bytes = 0;
+    flow.lagging = false;
+}
+
+// Count output sent to a client (only tracked for clients that acknowledge)
+function noteOutputSent(ws, sessionId, seq, bytes) {
+    const flow = getFlow(ws, sessionId);
+    if (!flow.acks) return;
+    flow.frames.push({ seq, bytes });
+    flow.bytes += bytes;
+}
+
+function handleOutputAck(ws, session, seq) {
+    const flow = getFlow(ws, session.id);
+    while (flow.frames.length > 0 && flow.frames[0].seq <= seq) {
+        flow.bytes -= flow.frames.shift().bytes;
+    }
+    updateSessionFlow(session);
+}
+
+function isBehind(ws, flow) {
+    return flow.lagging || flow.bytes > FLOW_WINDOW_BYTES || ws.bufferedAmount > FLOW_BUFFERED_LIMIT;
+}
+
+function hasCaughtUp(ws, flow) {
+    return flow.bytes <= FLOW_CAUGHT_UP_BYTES && ws.bufferedAmount <= FLOW_CAUGHT_UP_BYTES;
+}
+
+// Pause, resume or resync after output was sent, acknowledged or a client left
+function updateSessionFlow(session) {
+    if (!sessions.has(session.id)) return;
+    const clients = Array.from(activeClients).filter(client =>
+        client.readyState === WebSocket.OPEN && client.attachedSessions?.has(session.id));
+
+    // Lagging clients that caught up start over from a snapshot
+    for (const client of clients) {
+        const flow = getFlow(client, session.id);
+        if (flow.lagging && hasCaughtUp(client, flow)) {
+            logDebug(`[FLOW] ${client.deviceName} caught up on ${session.id}, resyncing`);
+            attachSession(client, session, null);
+        }
+    }
+
+    const behind = clients.filter(client => isBehind(client, getFlow(client, session.id)));
+    const allBehind = clients.length > 0 && behind.length === clients.length;
+    const paused = allBehind && session.pausable === true;
+    if (allBehind && !paused && behind.some(client => !getFlow(client, session.id).lagging)) {
+        logDebug(`[FLOW] ${session.id} can't be paused, skipping output to every client until they catch up`);
+    }
+    if (!paused) {
+        for (const client of behind) {
+            const flow = getFlow(client, session.id);
+            if (!flow.lagging) {
+                logDebug(`[FLOW] ${client.deviceName} is behind on ${session.id}, skipping output until it catches up`);
+                flow.lagging = true;
+            }
+        }
+    }
+    if (paused !== !!session.flowPaused) {
+        logDebug(`[FLOW] ${paused ? 'Pausing' : 'Resuming'} ${session.id}`);
+        session.flowPaused = paused;
+        daemonSend('flow', { sessionId: session.id, paused });
+    }
+
+    // Sockets drain without telling us, so keep looking while anything waits on them
+    if (paused || behind.length > 0) scheduleFlowCheck();
 }
 
-function startPty(ws) {
+function scheduleFlowCheck() {
+    if (flowCheckTimer) return;
+    flowCheckTimer = setTimeout(() => {
+        flowCheckTimer = null;
+        for (const session of sessions.values()) updateSessionFlow(session);
+    }, FLOW_CHECK_MS);
+}
+
+// RESIZE ARBITRATION
+// Each client reports the size it would like per session; one effective size is picked
+// by the resize policy, applied to the PTY and broadcast so the other clients letterbox.
+
+function getResizePolicy() {
+    const policy = store ? store.get('cfSettings', {}).resizePolicy : null;
+    return RESIZE_POLICIES.includes(policy) ? policy : 'smallest';
+}
+
+function computeEffectiveSize(session) {
+    const clients = Array.from(activeClients).filter(client =>
+        client.readyState === WebSocket.OPEN &&
+        client.attachedSessions?.has(session.id) &&
+        client.sessionSizes?.has(session.id)
+    );
+    if (clients.length === 0) return null;
+
+    const policy = getResizePolicy();
+    if (policy === 'smallest') {
+        const sizes = clients.map(client => client.sessionSizes.get(session.id));
+        return {
+            cols: Math.min(...sizes.map(size => size.cols)),
+            rows: Math.min(...sizes.map(size => size.rows))
+        };
+    }
+
+    // Without a typist or owner (or once it left) the earliest attached client wins
+    const preferred = policy === 'typist' ? session.typist : session.owner;
+    const winner = clients.includes(preferred) ? preferred : clients[0];
+    if (policy === 'owner') session.owner = winner;
+    return winner.sessionSizes.get(session.id);
+}
+
+// Resize the PTY if the effective size changed and tell clients about it.
+// requester always gets an answer, so it can stop waiting for its own resize;
+// broadcast re-sends to everyone (e.g. after a policy change).
+function arbitrateSize(session, { requester = null, broadcast = false } = {}) {
+    const size = computeEffectiveSize(session);
+    if (!size) return;
+
+    const changed = !session.size || session.size.cols !== size.cols || session.size.rows !== size.rows;
+    if (changed) {
+        session.size = { cols: size.cols, rows: size.rows };
+        logDebug(`[PTY] Resizing ${session.id} to ${size.cols}x${size.rows}`);
+        daemonSend('resize', { sessionId: session.id, cols: size.cols, rows: size.rows });
+    }
+
+    const message = {
+        type: 'session_size',
+        sessionId: session.id,
+        cols: size.cols,
+        rows: size.rows,
+        policy: getResizePolicy()
+    };
+    for (const client of activeClients) {
+        if (client.readyState !== WebSocket.OPEN || !client.attachedSessions?.has(session.id)) continue;
+        if (changed || broadcast || client === requester) sendControl(client, message);
+    }
+}
+
+// Register an authenticated client, spawning the first session if needed.
+// The client then attaches to each session it renders via session_attach.
+function attachClient(ws) {
     logDebug(`[PTY] Attaching client. Total: ${activeClients.size + 1}`);
     activeClients.add(ws);
+    ws.attachedSessions = new Set();
+    ws.sessionSizes = new Map(); // sessionId -> size this client asked for
+    applyDeviceRole(ws);
+
+    const sendList = () => sendControl(ws, sessionListMessage(ws));
+
+    // Reattach to sessions left running by a previous app instance before deciding.
+    // Read-only devices never cause a shell to be spawned.
+    const needsSession = () => ws.role !== 'read-only' &&
+        !Array.from(sessions.values()).some(s => canViewSession(ws, s));
+    ensureSessionDaemon()
+        .then(() => (needsSession() ? createSession(ws.role === 'restricted' ? ws.profileId : DEFAULT_PROFILE_ID) : null))
+        .catch(err => {
+            console.error('PTY Spawn Error:', err);
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send('CF_LOG', 'PTY ERROR: ' + err.message);
+            }
+            sendControl(ws, { type: 'session_error', message: err.message });
+        })
+        .finally(sendList);
+}
 
-    // If PTY already exists, just send the buffer (will be buffered until E2E ready)
-    if (ptyProcess) {
-        logDebug(`[PTY] PTY exists. Sending buffer (size: ${outputBuffer.length})`);
-        sendEncryptedOutput(ws, outputBuffer);
+// Start streaming a session to a client.
+// lastSeq is the last sequence the client rendered (null if it has no state). The daemon
+// answers with the missing delta if it still has it, otherwise a full screen snapshot.
+// Live output arriving meanwhile is queued and sent after it, keeping the client's
+// stream gap-free.
+function attachSession(ws, session, lastSeq) {
+    ws.attachedSessions.add(session.id);
+    resetFlow(ws, session.id);
+    // A size reported before attaching only counts from now on
+    arbitrateSize(session, { requester: ws });
+    if (!ws.pendingAttaches) ws.pendingAttaches = new Map();
+
+    const inFlight = ws.pendingAttaches.get(session.id);
+    if (inFlight) {
+        // Answered once the current attach completes
+        inFlight.next = lastSeq;
         return;
     }
 
-    // Determine shell path with fallback
-    let shellPath = '/bin/zsh';
-    if (!fs.existsSync(shellPath)) {
-        shellPath = '/bin/bash';
-        if (!fs.existsSync(shellPath)) {
-            shellPath = '/bin/sh';
+    const pending = { queue: [], next: undefined };
+    ws.pendingAttaches.set(session.id, pending);
+
+    daemonRequest('attach', { sessionId: session.id, lastSeq })
+        .then(result => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+
+            if (result.kind === 'snapshot') {
+                logDebug(`[PTY] Sending snapshot for ${session.id} (size: ${result.data.length})`);
+                sendEncryptedOutput(ws, {
+                    sessionId: session.id,
+                    seq: result.seq,
+                    data: filterTerminalOutput(result.data),
+                    type: 'e2e_snapshot'
+                });
+            } else if (result.data) {
+                // Coalesced delta tagged with the newest sequence
+                logDebug(`[PTY] Resuming ${session.id} from seq ${result.baseSeq}`);
+                sendEncryptedOutput(ws, {
+                    sessionId: session.id,
+                    seq: result.seq,
+                    baseSeq: result.baseSeq,
+                    data: filterTerminalOutput(result.data)
+                });
+            }
+
+            // Frames the answer already covers may have been queued before it arrived
+            for (const frame of pending.queue) {
+                if (frame.seq > result.seq) {
+                    sendEncryptedOutput(ws, { sessionId: session.id, ...frame });
+                }
+            }
+        })
+        .catch(err => logDebug(`[PTY] Attach to ${session.id} failed: ${err.message}`))
+        .finally(() => {
+            ws.pendingAttaches.delete(session.id);
+            if (pending.next !== undefined && sessions.has(session.id) && ws.readyState === WebSocket.OPEN) {
+                attachSession(ws, session, pending.next);
+            }
+        });
+}
+
+// SESSION RECORDINGS
+// Opt-in (cfSettings.recordSessions). The daemon writes one asciicast v2 file per session
+// to userData/recordings; this process lists them for the tray and sends them, encrypted,
+// to PWA clients for playback.
+
+function isRecordingEnabled() {
+    return !!(store && store.get('cfSettings', {}).recordSessions);
+}
+
+// Must match the daemon's RECORDINGS_DIR (next to its socket)
+function getRecordingsDir() {
+    return path.join(app.getPath('userData'), 'recordings');
+}
+
+// Newest first, with the title and size from each file's header line
+function listRecordings() {
+    let names;
+    try {
+        names = fs.readdirSync(getRecordingsDir()).filter(name => RECORDING_FILE_PATTERN.test(name));
+    } catch (e) {
+        return [];
+    }
+
+    const recordings = [];
+    for (const name of names) {
+        const file = path.join(getRecordingsDir(), name);
+        try {
+            const { size } = fs.statSync(file);
+            const fd = fs.openSync(file, 'r');
+            const buffer = Buffer.alloc(Math.min(size, 4096));
+            fs.readSync(fd, buffer, 0, buffer.length, 0);
+            fs.closeSync(fd);
+            const header = JSON.parse(buffer.toString('utf8').split('\n')[0]);
+            recordings.push({
+                id: name,
+                title: typeof header.title === 'string' ? header.title : 'shell',
+                startedAt: parseInt(name, 10),
+                size
+            });
+        } catch (e) {
+            logDebug(`[RECORDING] Skipping unreadable recording ${name}`);
         }
     }
+    return recordings.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+async function saveRecordingAs(id) {
+    if (!RECORDING_FILE_PATTERN.test(id)) return;
+    const { canceled, filePath } = await dialog.showSaveDialog({
+        title: 'Save Recording',
+        defaultPath: path.join(app.getPath('downloads'), id),
+        filters: [{ name: 'asciicast', extensions: ['cast'] }]
+    });
+    if (canceled || !filePath) return;
+    try {
+        await fs.promises.copyFile(path.join(getRecordingsDir(), id), filePath);
+        logDebug(`[RECORDING] Saved ${id}`);
+    } catch (e) {
+        logDebug(`[RECORDING] Failed to save ${id}: ${e.message}`);
+    }
+}
 
-    if (!fs.existsSync(shellPath)) {
-        logDebug(`[PTY] FATAL: No shell found`);
-        sendEncryptedOutput(ws, '\r\n[SYSTEM] No shell found\r\n');
+// Send a recording as encrypted chunks of whole lines, so no chunk splits a character
+async function sendRecording(ws, id) {
+    const fail = message => sendControl(ws, { type: 'recording_error', id, message });
+    if (typeof id !== 'string' || !RECORDING_FILE_PATTERN.test(id)) {
+        fail('Invalid recording');
         return;
     }
 
-    logDebug(`[PTY] Spawning new session (${shellPath})...`);
+    let content;
     try {
-        const shellArgs = ['--login']; // Run as login shell to get user's PATH/aliases
+        const file = path.join(getRecordingsDir(), id);
+        const { size } = await fs.promises.stat(file);
+        if (size > MAX_PLAYBACK_BYTES) {
+            fail('Recording too large to play here, download it from the tray app');
+            return;
+        }
+        content = await fs.promises.readFile(file, 'utf8');
+    } catch (e) {
+        fail('Recording not found');
+        return;
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const line of content.split('\n')) {
+        if (!line) continue;
+        if (current && current.length + line.length + 1 > RECORDING_CHUNK_BYTES) {
+            chunks.push(current);
+            current = '';
+        }
+        current += line + '\n';
+    }
+    if (current) chunks.push(current);
 
-        // SECURITY: Only pass safe, necessary environment variables
-        // Avoid leaking secrets from parent process
-        const safeEnv = {
-            // Essential shell variables
+    // Paced on the socket's buffer so a 16 MB recording doesn't queue up in memory at once
+    // (or starve terminal output on a slow link). Sockets drain without telling us, so poll.
+    for (const [index, chunk] of chunks.entries()) {
+        while (ws.readyState === WebSocket.OPEN && ws.bufferedAmount > RECORDING_BUFFERED_LIMIT) {
+            await new Promise(resolve => setTimeout(resolve, FLOW_CHECK_MS));
+        }
+        if (ws.readyState !== WebSocket.OPEN || !ws.e2e?.ready) return;
+        ws.send(JSON.stringify({
+            type: 'e2e_recording',
+            id,
+            index,
+            total: chunks.length,
+            ...encryptMessage(chunk, ws.e2e, { type: 'e2e_recording' })
+        }));
+        maybeRekey(ws);
+    }
+}
+
+// SESSION DAEMON CLIENT
+// The daemon is started on demand and keeps running after this process exits.
+// On launch we only reconnect to an existing one, picking up its sessions.
+
+function getDaemonSocketPath() {
+    return path.join(app.getPath('userData'), 'sessiond.sock');
+}
+
+function spawnSessionDaemon() {
+    const logFd = fs.openSync(path.join(app.getPath('userData'), 'sessiond.log'), 'a');
+    const daemon = spawn(process.execPath, [path.join(__dirname, 'session-daemon.js'), getDaemonSocketPath()], {
+        detached: true,
+        stdio: ['ignore', logFd, logFd],
+        // SECURITY: Shell environments are built per session by buildSafeEnv()
+        env: {
+            ELECTRON_RUN_AS_NODE: '1',
             HOME: process.env.HOME || '/tmp',
-            USER: process.env.USER || 'user',
-            SHELL: shellPath,
-            PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin',
-
-            // Terminal settings
-            TERM: 'xterm-256color',
-            COLORTERM: 'truecolor',
-            LANG: 'en_US.UTF-8',
-            LC_ALL: 'en_US.UTF-8',
-
-            // Editor (optional, common defaults)
-            EDITOR: process.env.EDITOR || 'vim',
-            VISUAL: process.env.VISUAL || process.env.EDITOR || 'vim',
-
-            // XDG directories (for proper app behavior)
-            XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME || `${process.env.HOME}/.config`,
-            XDG_DATA_HOME: process.env.XDG_DATA_HOME || `${process.env.HOME}/.local/share`,
-            XDG_CACHE_HOME: process.env.XDG_CACHE_HOME || `${process.env.HOME}/.cache`,
-
-            // Mark as remote session for tools that care
-            POCKET_BRIDGE: '1',
-            SSH_TTY: '/dev/ttys000' // Some tools check for this
-        };
+            PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin'
+        }
+    });
+    fs.closeSync(logFd);
+    daemon.unref();
+    logDebug(`[DAEMON] Spawned session daemon (pid ${daemon.pid})`);
+}
 
-        ptyProcess = pty.spawn(shellPath, shellArgs, {
-            name: 'xterm-256color',
-            cols: 80,
-            rows: 30,
-            cwd: process.env.HOME || '/tmp',
-            env: safeEnv
-        });
-    } catch (err) {
-        console.error('PTY Spawn Error:', err);
-        mainWindow.webContents.send('CF_LOG', 'PTY ERROR: ' + err.message);
-        sendEncryptedOutput(ws, '\r\n[SYSTEM] Failed to spawn shell: ' + err.message + '\r\n');
-        return;
+// Spawn a daemon and wait for its socket to answer
+async function startSessionDaemon() {
+    spawnSessionDaemon();
+    for (let attempt = 1; ; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, DAEMON_CONNECT_RETRY_MS));
+        try {
+            return await connectDaemonSocket();
+        } catch (err) {
+            if (attempt >= DAEMON_CONNECT_ATTEMPTS) throw new Error('Session daemon did not start');
+        }
     }
+}
 
-    ptyProcess.on('data', d => {
-        const raw = d.toString();
+// Stop the daemon behind socket (pid from its hello) and wait until it is gone
+function stopSessionDaemon(socket, pid) {
+    return new Promise(resolve => {
+        socket.once('close', resolve);
+        try {
+            process.kill(pid, 'SIGTERM');
+        } catch (e) {
+            socket.destroy();
+        }
+    });
+}
 
-        // Claude Code uses different circle/dot characters.
-        // We force "Text Presentation" (\uFE0E) on all of them.
-        let filtered = raw
-            .replace(/\u25CF/g, '\u25CF\uFE0E') // ● Black Circle
-            .replace(/\u25CB/g, '\u25CB\uFE0E') // ○ White Circle
-            .replace(/\u2022/g, '\u2022\uFE0E') // • Bullet
-            .replace(/\u2219/g, '\u2219\uFE0E') // ∙ Bullet Operator
-            .replace(/\u23FA/g, '\u23FA\uFE0E') // ⏺ Black Circle for Record
-            .replace(/\uD83D\uDD35/g, '\u25CF\uFE0E'); // Force blue circle emoji to black circle text
+function connectDaemonSocket() {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(getDaemonSocketPath());
+        socket.once('connect', () => {
+            socket.removeListener('error', reject);
+            resolve(socket);
+        });
+        socket.once('error', reject);
+    });
+}
 
-        // SECURITY: Sanitize dangerous ANSI escape sequences
-        filtered = sanitizeTerminalOutput(filtered);
+// Connect to the session daemon, spawning it first unless spawnIfMissing is false
+function ensureSessionDaemon(spawnIfMissing = true) {
+    if (daemonSocket) return Promise.resolve();
+    if (daemonConnecting) {
+        // A reconnect-only attempt may fail where this caller wants a daemon started
+        return spawnIfMissing ? daemonConnecting.catch(() => ensureSessionDaemon(true)) : daemonConnecting;
+    }
 
-        // Broadcast to all authenticated clients (encrypted if E2E ready)
-        // Buffer size: 1MB to match standard terminal scrollback (~5000 lines)
-        const MAX_OUTPUT_BUFFER = 1024 * 1024;
-        outputBuffer += filtered;
-        if (outputBuffer.length > MAX_OUTPUT_BUFFER) {
-            outputBuffer = outputBuffer.slice(-MAX_OUTPUT_BUFFER);
+    daemonConnecting = (async () => {
+        let socket;
+        try {
+            socket = await connectDaemonSocket();
+        } catch (err) {
+            if (!spawnIfMissing) throw err;
+            socket = await startSessionDaemon();
         }
 
-        for (let client of activeClients) {
-            if (client.readyState === WebSocket.OPEN) {
-                sendEncryptedOutput(client, filtered);
+        setupDaemonSocket(socket);
+
+        let { version, pid } = await daemonRequest('hello');
+        let { sessions: running } = await daemonRequest('list');
+
+        // A daemon left behind by another app version would fail the requests it doesn't
+        // know one by one. Replace it if that loses nothing; refuse it while shells run in it.
+        if (version !== SESSION_DAEMON_PROTOCOL) {
+            logDebug(`[DAEMON] Protocol mismatch (daemon v${version}, app v${SESSION_DAEMON_PROTOCOL}, ${running.length} sessions)`);
+            if (running.length > 0) {
+                daemonSocket = null;
+                socket.destroy();
+                const message = `Session daemon from another version (protocol v${version}, expected v${SESSION_DAEMON_PROTOCOL}) ` +
+                    `still runs ${running.length} session(s). Exit those shells, then reconnect.`;
+                if (mainWindow && !mainWindow.isDestroyed()) {
+                    mainWindow.webContents.send('CF_LOG', 'DAEMON ERROR: ' + message);
+                }
+                throw new Error(message);
+            }
+
+            logDebug(`[DAEMON] Restarting idle session daemon (pid ${pid})`);
+            await stopSessionDaemon(socket, pid);
+            socket = await startSessionDaemon();
+            setupDaemonSocket(socket);
+            ({ version, pid } = await daemonRequest('hello'));
+            ({ sessions: running } = await daemonRequest('list'));
+            if (version !== SESSION_DAEMON_PROTOCOL) {
+                daemonSocket = null;
+                socket.destroy();
+                throw new Error(`Session daemon speaks protocol v${version}, expected v${SESSION_DAEMON_PROTOCOL}`);
             }
         }
+
+        sessions = new Map(running.map(s => [s.id, s]));
+        logDebug(`[DAEMON] Connected to session daemon (pid ${pid}, ${sessions.size} sessions)`);
+        daemonSend('record', { enabled: isRecordingEnabled() });
+        broadcastSessionList();
+    })().finally(() => {
+        daemonConnecting = null;
+    });
+
+    return daemonConnecting;
+}
+
+function setupDaemonSocket(socket) {
+    daemonSocket = socket;
+    let buffered = '';
+    socket.setEncoding('utf8');
+
+    socket.on('data', chunk => {
+        buffered += chunk;
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+            const line = buffered.slice(0, newline);
+            buffered = buffered.slice(newline + 1);
+            try {
+                handleDaemonMessage(JSON.parse(line));
+            } catch (e) {
+                logDebug(`[DAEMON] Bad message: ${e.message}`);
+            }
+        }
+    });
+
+    socket.on('error', err => logDebug(`[DAEMON] Socket error: ${err.message}`));
+
+    socket.on('close', () => {
+        if (daemonSocket !== socket) return;
+        logDebug('[DAEMON] Disconnected from session daemon');
+        daemonSocket = null;
+
+        for (const { reject } of daemonRequests.values()) {
+            reject(new Error('Session daemon disconnected'));
+        }
+        daemonRequests.clear();
+
+        // Whatever ran in the daemon is unreachable now
+        for (const id of sessions.keys()) {
+            broadcastControl({ type: 'session_closed', sessionId: id });
+        }
+        sessions.clear();
+    });
+}
+
+function handleDaemonMessage(msg) {
+    if (msg.type === 'response') {
+        const request = daemonRequests.get(msg.reqId);
+        if (!request) return;
+        daemonRequests.delete(msg.reqId);
+        if (msg.error) {
+            request.reject(new Error(msg.error));
+        } else {
+            request.resolve(msg.result);
+        }
+        return;
+    }
+
+    if (msg.type === 'output') {
+        handleSessionOutput(msg.sessionId, msg.seq, msg.data);
+        return;
+    }
+
+    if (msg.type === 'created') {
+        handleSessionCreated(msg.session);
+        return;
+    }
+
+    if (msg.type === 'exit') {
+        handleSessionExit(msg.sessionId, msg.exitCode, msg.signal);
+    }
+}
+
+// Send a request to the daemon and wait for its response
+async function daemonRequest(type, params = {}) {
+    await ensureSessionDaemon();
+    const reqId = ++daemonRequestId;
+    return new Promise((resolve, reject) => {
+        daemonRequests.set(reqId, { resolve, reject });
+        daemonSocket.write(JSON.stringify({ ...params, reqId, type }) + '\n');
     });
+}
 
-    ptyProcess.on('exit', (exitCode, signal) => {
-        logDebug(`[PTY] Process exited with code ${exitCode}, signal ${signal}`);
-        ptyProcess = null;
+// Fire-and-forget request (input, resize, kill); failures are only logged
+function daemonSend(type, params = {}) {
+    daemonRequest(type, params).catch(err => {
+        logDebug(`[DAEMON] ${type} failed: ${err.message}`);
     });
 }
 
@@ -1825,29 +3708,11 @@ function serveStaticPWA(req, res) {
     });
 }
 
-ipcMain.handle('REGISTER_KEY', (event, { kid, jwk }) => {
-    const keys = store.get('keys', []);
-    if (!keys.find(k => k.kid === kid)) {
-        keys.push({ kid, jwk });
-        store.set('keys', keys);
-    }
-
-    // If there's a pending connection, notify it to acceptance
-    const ws = pendingConns.get(kid);
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.authenticated = true;
-        ws.send(JSON.stringify({ type: 'auth_success' }));
-        // Initiate E2E key exchange
-        initE2EKeyExchange(ws);
-        startPty(ws);
-    }
-    pendingConns.delete(kid);
-
-    return { success: true };
-});
-
 // Verify pairing code and approve device
-ipcMain.handle('VERIFY_PAIRING_CODE', (event, code, deviceName) => {
+ipcMain.handle('VERIFY_PAIRING_CODE', (event, code, deviceName, role, profileId) => {
+    if (typeof code !== 'string') {
+        return { success: false, error: 'Invalid code format' };
+    }
     const normalizedCode = code.toUpperCase().replace(/[^ABCDEFGHJKMNPQRSTUVWXYZ23456789]/g, '');
 
     if (normalizedCode.length !== 6) {
@@ -1865,26 +3730,50 @@ ipcMain.handle('VERIFY_PAIRING_CODE', (event, code, deviceName) => {
         return { success: false, error: 'Code expired' };
     }
 
-    // Save the key with device name
-    const keys = store.get('keys', []);
-    if (!keys.find(k => k.kid === pairing.kid)) {
-        keys.push({ kid: pairing.kid, jwk: pairing.jwk, name: deviceName });
-        store.set('keys', keys);
+    const access = sanitizeDeviceRole(role, profileId);
+    if (!access) {
+        return { success: false, error: 'Invalid role' };
     }
 
-    // Notify the client
-    const ws = pairing.ws;
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.authenticated = true;
-        clearTimeout(ws.authTimeout);
-        ws.send(JSON.stringify({ type: 'pairing_success' }));
-        initE2EKeyExchange(ws);
-        startPty(ws);
+    // Save the key with device name and role, and notify the client
+    approvePairing(pairing.ws, pairing.kid, pairing.jwk, deviceName, access);
+    pendingPairings.delete(normalizedCode);
+
+    return { success: true };
+});
+
+// Show a QR code for pairing: the operator URL with a one-time token in the fragment
+// (never sent to the tunnel), plus the host identity id so the device pins the right
+// host from its first connection. A new code replaces the previous one.
+ipcMain.handle('CREATE_PAIRING_LINK', async (event, role, profileId) => {
+    if (!currentTunnelUrl || !hostIdentity) {
+        return { success: false, error: 'Bridge not running' };
     }
 
-    pendingPairings.delete(normalizedCode);
-    logDebug(`[PAIRING] Device paired successfully: ${pairing.kid.substring(0, 8)}...`);
+    const access = sanitizeDeviceRole(role, profileId);
+    if (!access) {
+        return { success: false, error: 'Invalid role' };
+    }
 
+    const createdAt = Date.now();
+    const token = crypto.randomBytes(32).toString('base64url');
+    pairingLink = { token, ...access, createdAt };
+
+    const url = `${currentTunnelUrl}/#pair=${token}&host=${hostIdentityId()}`;
+    try {
+        const qr = await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1, width: 320 });
+        logDebug(`[PAIRING] Pairing link created (${access.role})`);
+        return { success: true, qr, expiresAt: createdAt + PAIRING_CODE_EXPIRY_MS };
+    } catch (e) {
+        pairingLink = null;
+        logDebug('[PAIRING] Failed to render QR code: ' + e.message);
+        return { success: false, error: 'Failed to create QR code' };
+    }
+});
+
+// The tray closed its QR code before anyone scanned it
+ipcMain.handle('CANCEL_PAIRING_LINK', () => {
+    pairingLink = null;
     return { success: true };
 });
 
@@ -1894,17 +3783,77 @@ ipcMain.handle('GET_PAIRED_DEVICES', () => {
     // Return kid and name (with fallback for legacy devices without name)
     return keys.map(k => ({
         kid: k.kid,
-        name: k.name || k.kid.substring(0, 12)
+        name: k.name || k.kid.substring(0, 12),
+        role: DEVICE_ROLES.includes(k.role) ? k.role : DEFAULT_DEVICE_ROLE,
+        profileId: k.profileId || null,
+        clipboard: CLIPBOARD_MODES.includes(k.clipboard) ? k.clipboard : DEFAULT_CLIPBOARD_MODE,
+        pairedAt: k.pairedAt || null,
+        lastUsedAt: k.lastUsedAt || null,
+        expired: keyExpiry(k)
     }));
 });
 
+// Let an expired device sign in again; its age and idle clocks restart
+ipcMain.handle('REAPPROVE_DEVICE', (event, kid) => {
+    const keys = store.get('keys', []);
+    const key = keys.find(k => k.kid === kid);
+    if (!key) {
+        return { success: false, error: 'Device not found' };
+    }
+    const now = Date.now();
+    delete key.expired;
+    delete key.expiredAt;
+    key.pairedAt = now;
+    key.lastUsedAt = now;
+    store.set('keys', keys);
+    logDebug(`[PAIRING] Device re-approved: ${kid.substring(0, 8)}`);
+    return { success: true };
+});
+
+// Change whether a paired device receives clipboard writes; live connections pick it up
+// from the store change (revalidateClients)
+ipcMain.handle('SET_DEVICE_CLIPBOARD', (event, kid, mode) => {
+    if (!CLIPBOARD_MODES.includes(mode)) {
+        return { success: false, error: 'Invalid clipboard mode' };
+    }
+
+    const keys = store.get('keys', []);
+    const key = keys.find(k => k.kid === kid);
+    if (!key) {
+        return { success: false, error: 'Device not found' };
+    }
+    key.clipboard = mode;
+    store.set('keys', keys);
+    logDebug(`[PAIRING] Device ${kid.substring(0, 8)} clipboard set to ${mode}`);
+    return { success: true };
+});
+
+// Change a paired device's role; connected clients of that device switch immediately
+// through the store change (revalidateClients)
+ipcMain.handle('SET_DEVICE_ROLE', (event, kid, role, profileId) => {
+    const access = sanitizeDeviceRole(role, profileId);
+    if (!access) {
+        return { success: false, error: 'Invalid role' };
+    }
+
+    const keys = store.get('keys', []);
+    const key = keys.find(k => k.kid === kid);
+    if (!key) {
+        return { success: false, error: 'Device not found' };
+    }
+    Object.assign(key, access);
+    store.set('keys', keys);
+    logDebug(`[PAIRING] Device ${kid.substring(0, 8)} role set to ${access.role}`);
+    return { success: true };
+});
+
 // Check if device name already exists
 ipcMain.handle('CHECK_DEVICE_NAME_EXISTS', (event, name) => {
     const keys = store.get('keys', []);
     return keys.some(k => k.name === name);
 });
 
-// Remove a paired device
+// Remove a paired device; its live connections are closed (revalidateClients)
 ipcMain.handle('REMOVE_PAIRED_DEVICE', (event, kid) => {
     const keys = store.get('keys', []);
     const filtered = keys.filter(k => k.kid !== kid);
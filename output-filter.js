@@ -0,0 +1,405 @@
+/**
+ * ROOT OPERATOR - OUTPUT FILTER
+ *
+ * Streaming sanitizer for terminal output, one filter per session, run by the main
+ * process before output is encrypted for clients. Kept free of Electron so the
+ * vectors in test/ can run it under plain Node.
+ */
+
+// Clipboard writes (OSC 52) reported for forwarding
+const MAX_CLIPBOARD_BYTES = 64 * 1024; // Largest clipboard write forwarded (decoded)
+const MAX_CLIPBOARD_BASE64 = Math.ceil(MAX_CLIPBOARD_BYTES / 3) * 4;
+
+// Hyperlinks (OSC 8): targets allowed through the sanitizer
+const LINK_SCHEMES = ['http:', 'https:'];
+const MAX_LINK_LENGTH = 2048;
+
+// Shell integration (OSC 133 prompt/command marks)
+const SHELL_MARK_OPTION_PATTERN = /^[a-z_]{1,16}=[\x20-\x3a\x3c-\x7e]{0,128}$/i; // key=value options, ignored
+
+// Blocked sequences are logged through the main process's debug log (setLogger)
+let logDebug = () => {};
+
+function setLogger(log) {
+    logDebug = log;
+}
+
+// ANSI ESCAPE SEQUENCE SANITIZER
+// Blocks dangerous sequences while preserving normal terminal functionality.
+// Output is parsed incrementally, one filter per session, following the states a
+// terminal's parser would be in (including 8-bit C1 controls), so a sequence split
+// across chunks is still caught. Every allow/deny decision comes from the two policy
+// tables below.
+// Reference: https://www.cyberark.com/resources/threat-research-blog/dont-trust-this-title-abusing-terminal-emulators-with-ansi-escape-characters
+
+// OSC (ESC ] <number> ; <content> BEL/ST) by number. `allow` passes the sequence as
+// sent; `filter` validates the content and returns { data, event } (data is the
+// canonical sequence to pass, event is reported to the caller) or null to drop it.
+// `maxLength` caps the buffered content. Unlisted numbers are dropped, among them
+// titles (0, 1, 2 - phishing), 7 (paths), 9/777 (notifications), 1337 (file transfer).
+const OSC_POLICY = {
+    4: { allow: true }, // Color palette
+    10: { allow: true }, // Foreground, background and cursor colors
+    11: { allow: true },
+    12: { allow: true },
+    17: { allow: true }, // Highlight colors
+    19: { allow: true },
+    104: { allow: true }, // Color resets
+    110: { allow: true },
+    111: { allow: true },
+    112: { allow: true },
+    8: { filter: filterHyperlink, maxLength: MAX_LINK_LENGTH + 256 },
+    52: { filter: filterClipboardWrite, maxLength: MAX_CLIPBOARD_BASE64 + 64 },
+    133: { filter: filterShellMark }
+};
+const DEFAULT_OSC_MAX_LENGTH = 1024;
+
+// Every other kind of sequence. Control strings are dropped: DCS makes some
+// terminals run commands or load fonts, SOS, PM and APC have no use here. CSI and
+// plain ESC sequences (cursor, colors, modes, charsets) pass.
+const SEQUENCE_POLICY = {
+    csi: { allow: true, maxLength: 256 },
+    esc: { allow: true, maxLength: 8 },
+    dcs: { allow: false },
+    sos: { allow: false },
+    pm: { allow: false },
+    apc: { allow: false }
+};
+
+const ESC_INTRODUCERS = { 'P': 'dcs', 'X': 'sos', '[': 'csi', ']': 'osc', '^': 'pm', '_': 'apc' };
+const C1_INTRODUCERS = { '\x90': 'dcs', '\x98': 'sos', '\x9b': 'csi', '\x9d': 'osc', '\x9e': 'pm', '\x9f': 'apc' };
+const STRING_PREFIXES = { dcs: '\x1bP', sos: '\x1bX', pm: '\x1b^', apc: '\x1b_' };
+const ST = '\x1b\\';
+
+// Claude Code uses different circle/dot characters.
+// We force "Text Presentation" (\uFE0E) on all of them.
+const TEXT_PRESENTATION = {
+    '\u25CF': '\u25CF\uFE0E', // ● Black Circle
+    '\u25CB': '\u25CB\uFE0E', // ○ White Circle
+    '\u2022': '\u2022\uFE0E', // • Bullet
+    '\u2219': '\u2219\uFE0E', // ∙ Bullet Operator
+    '\u23FA': '\u23FA\uFE0E', // ⏺ Black Circle for Record
+    '\uD83D\uDD35': '\u25CF\uFE0E' // Force blue circle emoji to black circle text
+};
+
+// Characters that need attention outside of sequences, and inside OSCs and strings
+const groundPattern = /\x1b|[\x80-\x9f]|[\u25CF\u25CB\u2022\u2219\u23FA]|\uD83D\uDD35/g;
+const stringPattern = /[\x00-\x1f\x7f-\x9f]/g;
+
+// Streaming filter for one session's output. write(chunk) returns { data, events }:
+// the filtered output, and events from OSC filters ({ type, offset, ... }, offset
+// into data) in output order. An unfinished sequence is held until the next chunk.
+function createOutputFilter() {
+    let state = 'ground'; // ground | esc | csi | osc | string
+    let kind = null; // Sequence being parsed: a SEQUENCE_POLICY key or 'osc'
+    let buffer = ''; // Its content so far (ESC and intermediates in the esc state)
+    let discard = false; // Denied or over its length cap: dropped up to its end
+    let pendingEsc = false; // ESC inside an OSC or string: ST if '\' follows
+
+    let out = [];
+    let outLength = 0;
+    let events = [];
+
+    const emit = (text) => {
+        out.push(text);
+        outLength += text.length;
+    };
+
+    const toGround = () => {
+        state = 'ground';
+        kind = null;
+        buffer = '';
+        discard = false;
+        pendingEsc = false;
+    };
+
+    const begin = (nextKind) => {
+        toGround();
+        kind = nextKind;
+        state = kind === 'csi' || kind === 'osc' ? kind : 'string';
+        discard = kind !== 'osc' && !SEQUENCE_POLICY[kind].allow;
+    };
+
+    const startEscape = () => {
+        toGround();
+        state = 'esc';
+        buffer = '\x1b';
+    };
+
+    const finishOsc = (terminator) => {
+        const separator = buffer.indexOf(';');
+        const number = separator === -1 ? buffer : buffer.slice(0, separator);
+        const policy = /^\d{1,5}$/.test(number) ? OSC_POLICY[parseInt(number, 10)] : undefined;
+
+        if (!discard && policy?.allow) {
+            emit(`\x1b]${buffer}${terminator}`);
+        } else {
+            const result = !discard && policy?.filter ? policy.filter(separator === -1 ? '' : buffer.slice(separator + 1)) : null;
+            if (result) {
+                if (result.event) events.push({ ...result.event, offset: outLength });
+                if (result.data) emit(result.data);
+            } else {
+                logDebug(`[SECURITY] Blocked OSC ${number.slice(0, 5)} sequence`);
+            }
+        }
+        toGround();
+    };
+
+    const finishString = () => {
+        if (discard) {
+            logDebug(`[SECURITY] Blocked ${kind.toUpperCase()} sequence`);
+        } else {
+            emit(`${STRING_PREFIXES[kind]}${buffer}${ST}`);
+        }
+        toGround();
+    };
+
+    // A sequence cut short by ESC or a C1 control never reaches the client
+    const abandon = () => {
+        if (state === 'osc' || state === 'string') {
+            logDebug(`[SECURITY] Dropped unterminated ${kind.toUpperCase()} sequence`);
+        }
+        toGround();
+    };
+
+    // Content of an OSC or control string, within its length cap
+    const append = (text) => {
+        if (discard) return;
+        const next = buffer + text;
+        let maxLength = SEQUENCE_POLICY[kind]?.maxLength || 0;
+        if (kind === 'osc') {
+            const separator = next.indexOf(';');
+            const policy = separator === -1 ? undefined : OSC_POLICY[parseInt(next.slice(0, separator), 10)];
+            if (separator !== -1 && !policy) {
+                // Dropped anyway; keep only the number for the log
+                discard = true;
+                buffer = next.slice(0, Math.min(separator, 5));
+                return;
+            }
+            maxLength = policy?.maxLength || DEFAULT_OSC_MAX_LENGTH;
+        }
+        if (next.length > maxLength) {
+            discard = true;
+            buffer = kind === 'osc' ? next.slice(0, Math.min(5, next.indexOf(';') === -1 ? 5 : next.indexOf(';'))) : '';
+            return;
+        }
+        buffer = next;
+    };
+
+    // C1 controls act in every state, as in xterm's parser
+    const c1Control = (char) => {
+        if (char === '\x9c' && state === 'osc') return finishOsc(ST);
+        if (char === '\x9c' && state === 'string') return finishString();
+        abandon();
+        if (C1_INTRODUCERS[char]) {
+            begin(C1_INTRODUCERS[char]);
+        } else if (char !== '\x9c') {
+            emit(char); // Executed (IND, NEL, HTS, ...)
+        }
+    };
+
+    // One character while inside a sequence
+    const step = (char) => {
+        const code = char.charCodeAt(0);
+
+        // CAN and SUB cancel any sequence and are executed
+        if (char === '\x18' || char === '\x1a') {
+            abandon();
+            emit(char);
+            return;
+        }
+
+        if (pendingEsc) {
+            pendingEsc = false;
+            if (char === '\\') {
+                if (state === 'osc') finishOsc(ST);
+                else finishString();
+                return;
+            }
+            // Any other ESC ends the sequence unfinished and starts a new escape
+            abandon();
+            startEscape();
+            step(char);
+            return;
+        }
+
+        if (code >= 0x80 && code <= 0x9f) {
+            c1Control(char);
+            return;
+        }
+
+        if (state === 'esc') {
+            if (char === '\x1b') {
+                buffer = '\x1b'; // Restarts the escape
+            } else if (buffer === '\x1b' && ESC_INTRODUCERS[char]) {
+                begin(ESC_INTRODUCERS[char]);
+            } else if (code < 0x20) {
+                emit(char); // C0 controls execute in the middle of an escape
+            } else if (code === 0x7f) {
+                // Ignored, as by the terminal
+            } else if (code < 0x30) {
+                buffer += char; // Intermediate byte (ESC ( B, ESC # 8)
+                if (buffer.length > SEQUENCE_POLICY.esc.maxLength) toGround();
+            } else {
+                if (SEQUENCE_POLICY.esc.allow) emit(buffer + char);
+                toGround();
+            }
+            return;
+        }
+
+        if (state === 'csi') {
+            if (char === '\x1b') {
+                startEscape();
+            } else if (code < 0x20) {
+                emit(char);
+            } else if (code === 0x7f) {
+                // Ignored, as by the terminal
+            } else if (code >= 0x40 && code <= 0x7e) {
+                if (!discard && SEQUENCE_POLICY.csi.allow) {
+                    emit(`\x1b[${buffer}${char}`);
+                } else {
+                    logDebug('[SECURITY] Blocked CSI sequence');
+                }
+                toGround();
+            } else if (code < 0x40 && buffer.length < SEQUENCE_POLICY.csi.maxLength) {
+                buffer += char;
+            } else {
+                discard = true; // Too long or not a CSI byte; skipped up to the final byte
+            }
+            return;
+        }
+
+        // OSC and control strings
+        if (char === '\x1b') {
+            pendingEsc = true;
+        } else if (char === '\x07' && state === 'osc') {
+            finishOsc('\x07');
+        } else if (code >= 0x20 || state === 'string') {
+            append(char); // Other C0 controls are ignored inside an OSC
+        }
+    };
+
+    const write = (chunk) => {
+        let i = 0;
+        while (i < chunk.length) {
+            if (state === 'ground') {
+                groundPattern.lastIndex = i;
+                const match = groundPattern.exec(chunk);
+                const end = match ? match.index : chunk.length;
+                if (end > i) emit(chunk.slice(i, end));
+                if (!match) break;
+                i = end + match[0].length;
+
+                if (match[0] === '\x1b') {
+                    startEscape();
+                } else if (TEXT_PRESENTATION[match[0]]) {
+                    emit(TEXT_PRESENTATION[match[0]]);
+                } else {
+                    c1Control(match[0]);
+                }
+            } else if ((state === 'osc' || state === 'string') && !pendingEsc) {
+                // Take runs of content at once (clipboard writes can be long)
+                stringPattern.lastIndex = i;
+                const match = stringPattern.exec(chunk);
+                const end = match ? match.index : chunk.length;
+                if (end > i) append(chunk.slice(i, end));
+                if (!match) break;
+                i = end + 1;
+                step(match[0]);
+            } else {
+                step(chunk[i++]);
+            }
+        }
+
+        const result = { data: out.join(''), events };
+        out = [];
+        outLength = 0;
+        events = [];
+        return result;
+    };
+
+    return { write };
+}
+
+// Filter a complete piece of output on its own (attach snapshots and resume deltas).
+// Events are not reported again; an unfinished sequence at the end is dropped.
+function filterTerminalOutput(raw) {
+    return createOutputFilter().write(raw).data;
+}
+
+// OSC 8: valid links pass in canonical form
+function filterHyperlink(content) {
+    const link = parseHyperlink(content);
+    return link && { data: formatHyperlink(link) };
+}
+
+// OSC 52: never passed on; writes are reported for forwarding, reads ("?") dropped
+function filterClipboardWrite(content) {
+    const separator = content.indexOf(';');
+    if (separator === -1 || !/^[cpqs0-7]*$/.test(content.slice(0, separator))) return null;
+    const payload = content.slice(separator + 1);
+    if (payload === '?') {
+        logDebug('[SECURITY] Blocked OSC 52 clipboard read');
+        return null;
+    }
+    if (!payload || payload.length > MAX_CLIPBOARD_BASE64 || !/^[A-Za-z0-9+/]*={0,2}$/.test(payload)) return null;
+    const text = Buffer.from(payload, 'base64').toString('utf8');
+    return text ? { data: '', event: { type: 'clipboard', text } } : null;
+}
+
+// OSC 133: marks pass in canonical form (options dropped) and are reported
+function filterShellMark(content) {
+    const mark = parseShellMark(content);
+    return mark && { data: formatShellMark(mark), event: { type: 'shell_mark', mark } };
+}
+
+// Parse the body of an OSC 8 hyperlink: <params>;<uri>, an empty uri ends the link.
+// The uri must be printable ASCII (no spaces or control characters), within
+// MAX_LINK_LENGTH and use an allowed scheme. Only the id parameter is kept.
+// Returns null if invalid.
+function parseHyperlink(content) {
+    const separator = content.indexOf(';');
+    if (separator === -1) return null;
+    const params = content.slice(0, separator);
+    const uri = content.slice(separator + 1);
+
+    const id = params.split(':').find(param => param.startsWith('id='))?.slice(3) || null;
+    if (id !== null && !/^[\x21-\x39\x3c-\x7e]{1,128}$/.test(id)) return null;
+    if (uri === '') return { id, uri };
+
+    if (uri.length > MAX_LINK_LENGTH || !/^[\x21-\x7e]+$/.test(uri)) return null;
+    let url;
+    try {
+        url = new URL(uri);
+    } catch (e) {
+        return null;
+    }
+    if (!LINK_SCHEMES.includes(url.protocol)) return null;
+    return { id, uri };
+}
+
+function formatHyperlink({ id, uri }) {
+    return `\x1b]8;${id ? `id=${id}` : ''};${uri}\x07`;
+}
+
+// Parse the body of an OSC 133 mark: A (prompt start), B (command start),
+// C (command executed) or D[;exit code] (command finished). Returns null if invalid.
+function parseShellMark(content) {
+    const [kind, ...params] = content.split(';');
+    if (!['A', 'B', 'C', 'D'].includes(kind)) return null;
+
+    let exitCode = null;
+    if (kind === 'D' && params.length > 0 && !params[0].includes('=')) {
+        const code = params.shift();
+        if (!/^\d{1,3}$/.test(code) || parseInt(code, 10) > 255) return null;
+        exitCode = parseInt(code, 10);
+    }
+    if (params.length > 4 || !params.every(param => SHELL_MARK_OPTION_PATTERN.test(param))) return null;
+    return { kind, exitCode };
+}
+
+function formatShellMark({ kind, exitCode }) {
+    return `\x1b]133;${kind}${exitCode !== null ? `;${exitCode}` : ''}\x07`;
+}
+
+module.exports = { createOutputFilter, filterTerminalOutput, setLogger };
@@ -13,7 +13,6 @@ const VALID_INVOKE_CHANNELS = [
     'SET_STORE',
     'RESIZE_WINDOW',
     'SET_TRAY_ICON',
-    'REGISTER_KEY',
     'GET_SECURE_TOKEN',
     'SET_SECURE_TOKEN',
     'DELETE_SECURE_TOKEN',
@@ -21,10 +20,17 @@ const VALID_INVOKE_CHANNELS = [
     'GET_SUBDOMAIN',
     'GET_MACHINE_ID',
     'VERIFY_PAIRING_CODE',
+    'CREATE_PAIRING_LINK',
+    'CANCEL_PAIRING_LINK',
     'CHECK_DEVICE_NAME_EXISTS',
     'GET_PAIRED_DEVICES',
     'REMOVE_PAIRED_DEVICE',
-    'GET_TUNNEL_STATE'
+    'REAPPROVE_DEVICE',
+    'SET_DEVICE_ROLE',
+    'SET_DEVICE_CLIPBOARD',
+    'GET_TUNNEL_STATE',
+    'GET_SHELL_PROFILES',
+    'SET_SHELL_PROFILES'
 ];
 
 const VALID_SEND_CHANNELS = [
@@ -36,7 +42,8 @@ const VALID_RECEIVE_CHANNELS = [
     'AUTH_FAILED',
     'CF_LOG',
     'E2E_FINGERPRINT',
-    'SYNC_STATE'
+    'SYNC_STATE',
+    'PAIRING_LINK_USED'
 ];
 
 // Expose protected methods that only allow specific channels
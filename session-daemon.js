@@ -0,0 +1,1040 @@
+/**
+ * ROOT OPERATOR - SESSION DAEMON
+ *
+ * Owns the terminal PTYs (and tmux control-mode clients) so running shells
+ * outlive the Electron main process (app quit, crash, update or tunnel restart). The main process spawns it
+ * detached, running the Electron binary with ELECTRON_RUN_AS_NODE=1, and talks
+ * to it over a unix socket in userData using newline-delimited JSON.
+ *
+ * Requests:  { reqId, type, ...params }  ->  { type: 'response', reqId, result | error }
+ * Events:    { type: 'created', session }
+ *            { type: 'output', sessionId, seq, data }
+ *            { type: 'exit', sessionId, exitCode, signal }
+ *
+ * The app pauses a session's PTY (flow request) while none of its clients keep up;
+ * every paused session is resumed when the last app connection goes away.
+ *
+ * When recording is switched on (record request), every session's output is also
+ * written to an asciicast v2 file in userData/recordings. Each session's output is
+ * kept as plain text lines in encrypted blocks under userData/scrollback for search.
+ *
+ * The daemon exits on its own once it has no sessions and no connected app.
+ */
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const pty = require('node-pty');
+const { Terminal: HeadlessTerminal } = require('xterm-headless');
+const { SerializeAddon } = require('xterm-addon-serialize');
+
+// Bump when requests or events change incompatibly
+const PROTOCOL_VERSION = 3;
+
+const SOCKET_PATH = process.argv[2];
+
+// Terminal session limits
+const MAX_SESSIONS = 8;
+const SESSION_SCROLLBACK_LINES = 5000; // Matches the client's xterm scrollback
+const SNAPSHOT_SCROLLBACK_LINES = 1000; // Scrollback included in attach snapshots
+const RESUME_BUFFER_BYTES = 256 * 1024; // Recent numbered output kept per session for resume
+
+// SECURITY: Bound a single request line so a misbehaving peer cannot exhaust memory
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const IDLE_EXIT_DELAY_MS = 10000;
+const TMUX_SESSION_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+// Recording limits
+const RECORDINGS_DIR = path.join(path.dirname(SOCKET_PATH || '.'), 'recordings');
+const MAX_RECORDING_BYTES = 64 * 1024 * 1024; // Per file; recording stops beyond it
+const MAX_RECORDINGS = 100; // Oldest files are deleted when a new one starts
+
+// Disk-backed scrollback limits
+const SCROLLBACK_DIR = path.join(path.dirname(SOCKET_PATH || '.'), 'scrollback');
+const SCROLLBACK_BLOCK_LINES = 256; // Lines per encrypted block
+const SCROLLBACK_FLUSH_MS = 2000; // Pending lines are written at least this often
+const SCROLLBACK_SEGMENT_BYTES = 16 * 1024 * 1024;
+const SCROLLBACK_MAX_SEGMENTS = 4; // Oldest segment is deleted beyond this (~64MB per session)
+const SCROLLBACK_MAX_LINE = 4096; // Longer lines are cut (also bounds regex work per line)
+const MAX_SEARCH_QUERY = 256;
+const MAX_SEARCH_RESULTS = 100;
+const MAX_LINES_PAGE = 200;
+const MAX_CONCURRENT_SEARCHES = 2;
+const SEARCH_TIMEOUT_MS = 5000;
+
+// SECURITY: Scrollback is encrypted with a key that only exists in this process's memory.
+// It is only useful while its session runs, and sessions die with the daemon, so files
+// left behind by a previous daemon are unreadable and removed at start.
+const SCROLLBACK_KEY = crypto.randomBytes(32);
+
+// GLOBAL STATE
+let sessions = new Map(); // sessionId -> {id, title, screen, serializer, seq, history, historyBytes, createdAt, write, resize, kill}
+let connections = new Set();
+let idleTimer = null;
+let recordingEnabled = false;
+let activeSearches = 0;
+
+// Lifecycle logging only - never log terminal data
+function log(msg) {
+    console.log(`[${new Date().toISOString()}] ${msg}`);
+}
+
+// 1. SESSIONS
+
+function generateSessionId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+function sessionInfo(session) {
+    return {
+        id: session.id,
+        title: session.title,
+        profileId: session.profileId,
+        createdAt: session.createdAt,
+        pausable: typeof session.pause === 'function' // See setPaused
+    };
+}
+
+// Register a session with its headless screen and resume buffer. The backend
+// supplies write(data), resize(cols, rows) and kill(force). profileId is opaque here;
+// the app uses it to confine restricted devices.
+function addSession({ title, profileId, cols, rows, backend }) {
+    const id = generateSessionId();
+
+    // Headless emulator tracks the current screen, modes and scrollback
+    const screen = new HeadlessTerminal({
+        cols,
+        rows,
+        scrollback: SESSION_SCROLLBACK_LINES,
+        allowProposedApi: true // Required by the serialize addon
+    });
+    const serializer = new SerializeAddon();
+    screen.loadAddon(serializer);
+
+    const session = {
+        id,
+        title: title || 'shell',
+        profileId: typeof profileId === 'string' ? profileId : null,
+        screen,
+        serializer,
+        seq: 0, // Sequence number of the last output frame
+        history: [], // Ring buffer of recent {seq, data} frames
+        historyBytes: 0,
+        createdAt: Date.now(),
+        scrollback: createScrollback(id),
+        ...backend
+    };
+    sessions.set(id, session);
+    clearTimeout(idleTimer);
+    if (recordingEnabled) startRecording(session);
+    broadcast({ type: 'created', session: sessionInfo(session) });
+    return session;
+}
+
+// Record output in the screen and ring buffer, then stream it to the app
+function emitOutput(session, data) {
+    session.screen.write(data);
+    const seq = ++session.seq;
+    recordHistory(session, seq, data);
+    recordEvent(session, 'o', data);
+    appendScrollback(session, data);
+    broadcast({ type: 'output', sessionId: session.id, seq, data });
+}
+
+function removeSession(session, exitCode, signal) {
+    if (sessions.get(session.id) !== session) return;
+    log(`Session ${session.id} exited with code ${exitCode}, signal ${signal}`);
+    stopRecording(session);
+    closeScrollback(session);
+    session.screen.dispose();
+    sessions.delete(session.id);
+    broadcast({ type: 'exit', sessionId: session.id, exitCode, signal });
+    scheduleIdleExit();
+}
+
+// Spawn a PTY with the shell, arguments and environment chosen by the app
+function createPtySession({ title, profileId, shell, args, cwd, env, cols = 80, rows = 30 }) {
+    if (sessions.size >= MAX_SESSIONS) {
+        throw new Error(`Session limit reached (${MAX_SESSIONS})`);
+    }
+    if (typeof shell !== 'string' || !fs.existsSync(shell)) {
+        throw new Error('No shell found');
+    }
+
+    const ptyProcess = pty.spawn(shell, Array.isArray(args) ? args : [], {
+        name: 'xterm-256color',
+        cols,
+        rows,
+        cwd: cwd || process.env.HOME || '/tmp',
+        env: env || {}
+    });
+
+    const session = addSession({
+        title,
+        profileId,
+        cols,
+        rows,
+        backend: {
+            write: data => ptyProcess.write(data),
+            resize: (c, r) => ptyProcess.resize(c, r),
+            kill: () => ptyProcess.kill(),
+            // The shell blocks on a full PTY buffer while reads are paused
+            pause: () => ptyProcess.pause(),
+            resume: () => ptyProcess.resume()
+        }
+    });
+    log(`Spawned session ${session.id} (pid ${ptyProcess.pid})`);
+
+    ptyProcess.on('data', d => emitOutput(session, d.toString()));
+    ptyProcess.on('exit', (exitCode, signal) => removeSession(session, exitCode, signal));
+
+    return session;
+}
+
+// Stop or restart reading a session's output. tmux panes share one control client,
+// so they have no pause of their own and keep streaming (sessionInfo reports them as not
+// pausable, and the app skips clients that fall behind instead).
+function setPaused(session, paused) {
+    if (!session.pause || !!session.paused === paused) return;
+    session.paused = paused;
+    if (paused) {
+        session.pause();
+    } else {
+        session.resume();
+    }
+}
+
+// Append a numbered output frame to the session's resume ring buffer
+function recordHistory(session, seq, data) {
+    session.history.push({ seq, data });
+    session.historyBytes += data.length;
+    while (session.historyBytes > RESUME_BUFFER_BYTES && session.history.length > 1) {
+        session.historyBytes -= session.history.shift().data.length;
+    }
+}
+
+// Resolve what a client needs to catch up from lastSeq (null if it has no state).
+// If every frame after it is still in the ring buffer only that delta is returned,
+// coalesced into one frame; otherwise a serialized screen snapshot.
+function attachSession(session, lastSeq) {
+    const oldestSeq = session.history.length > 0 ? session.history[0].seq : session.seq + 1;
+    const canResume = lastSeq !== null && lastSeq <= session.seq && lastSeq >= oldestSeq - 1;
+    if (canResume) {
+        const data = session.history
+            .filter(frame => frame.seq > lastSeq)
+            .map(frame => frame.data)
+            .join('');
+        return Promise.resolve({ kind: 'delta', seq: session.seq, baseSeq: lastSeq, data });
+    }
+
+    // The headless terminal parses writes asynchronously, so the snapshot is taken
+    // once everything written up to this sequence has been processed
+    const seq = session.seq;
+    return new Promise((resolve, reject) => {
+        session.screen.write('', () => {
+            if (sessions.get(session.id) !== session) {
+                reject(new Error('Session not found'));
+                return;
+            }
+            const data = session.serializer.serialize({ scrollback: SNAPSHOT_SCROLLBACK_LINES });
+            resolve({ kind: 'snapshot', seq, data });
+        });
+    });
+}
+
+// 2. TMUX CONTROL MODE
+// A tmux profile runs one `tmux -CC new-session -A -s <name>` control client per tmux
+// session instead of a raw shell. Every pane of that tmux session becomes a daemon
+// session (a client tab), up to MAX_SESSIONS: %output notifications feed its screen,
+// input is sent with send-keys and a tab resize resizes its own window (or its pane, in
+// a split window). Closing a tab detaches the pane rather than killing it; only ending
+// the sessions from the tray (force) kills panes. Windows stay alive in the tmux server
+// when their tab, the control client, the daemon or the app goes away, and show up again
+// the next time the profile is opened.
+
+// Pane fields listed on every sync; the window name goes last as it may contain spaces
+const TMUX_PANE_FORMAT = '#{pane_id} #{window_id} #{window_panes} #{pane_index} #{pane_width} #{pane_height} #{window_name}';
+const TMUX_SEND_KEYS_CHUNK = 256; // Bytes per send-keys command
+const TMUX_SYNC_NOTIFICATIONS = /^%(window-add|window-close|unlinked-window-close|layout-change|window-renamed)\b/;
+
+let tmuxClients = new Map(); // tmux session name -> control client
+
+// Quote an argument for the tmux command parser
+function quoteTmux(value) {
+    return '"' + String(value).replace(/[\\"$]/g, '\\$&') + '"';
+}
+
+// %output escapes control characters and backslashes as \ooo
+function unescapeTmuxOutput(data) {
+    return data.replace(/\\([0-7]{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+function startTmuxClient({ shell, tmuxSession, profileId, cwd, env, cols, rows }) {
+    const proc = pty.spawn(shell, ['-CC', 'new-session', '-A', '-s', tmuxSession], {
+        name: 'xterm-256color',
+        cols,
+        rows,
+        cwd: cwd || process.env.HOME || '/tmp',
+        env: env || {}
+    });
+
+    const client = {
+        name: tmuxSession,
+        profileId, // Panes belong to the profile that started the client
+        proc,
+        panes: new Map(), // tmux pane id (%N) -> session
+        detached: new Set(), // Pane ids whose tab was closed; not brought back until reopened
+        pending: [], // {resolve, reject} per command, answered in order
+        block: null, // Output lines of the %begin block being read
+        buffered: '',
+        closed: false
+    };
+    tmuxClients.set(tmuxSession, client);
+    log(`Started tmux control client for "${tmuxSession}" (pid ${proc.pid})`);
+
+    // The reply to new-session itself arrives as the first %begin/%end block
+    client.ready = new Promise((resolve, reject) => client.pending.push({ resolve, reject }));
+
+    proc.on('data', d => {
+        client.buffered += d.toString();
+        let newline;
+        while ((newline = client.buffered.indexOf('\n')) !== -1) {
+            const line = client.buffered.slice(0, newline).replace(/\r$/, '');
+            client.buffered = client.buffered.slice(newline + 1);
+            // -CC wraps the whole stream in a DCS sequence (ESC P 1000 p ... ESC \)
+            handleTmuxLine(client, line.replace(/^\x1bP1000p/, ''));
+        }
+    });
+
+    proc.on('exit', () => closeTmuxClient(client));
+    return client;
+}
+
+function handleTmuxLine(client, line) {
+    if (client.block) {
+        if (line.startsWith('%end ') || line.startsWith('%error ')) {
+            const lines = client.block;
+            client.block = null;
+            const request = client.pending.shift();
+            if (!request) return;
+            if (line.startsWith('%end ')) {
+                request.resolve(lines);
+            } else {
+                request.reject(new Error(lines.join(' ') || 'tmux command failed'));
+            }
+        } else {
+            client.block.push(line);
+        }
+        return;
+    }
+
+    if (line.startsWith('%begin ')) {
+        client.block = [];
+        return;
+    }
+
+    if (line.startsWith('%output ')) {
+        const space = line.indexOf(' ', 8);
+        const session = client.panes.get(line.slice(8, space));
+        if (session && space !== -1) {
+            emitOutput(session, unescapeTmuxOutput(line.slice(space + 1)));
+        }
+        return;
+    }
+
+    if (line.startsWith('%exit')) {
+        closeTmuxClient(client);
+        return;
+    }
+
+    // Panes have no notifications of their own; re-list them when windows change
+    if (TMUX_SYNC_NOTIFICATIONS.test(line)) {
+        syncTmuxPanes(client).catch(err => log(`tmux sync failed: ${err.message}`));
+    }
+}
+
+function tmuxCommand(client, command) {
+    if (client.closed) {
+        return Promise.reject(new Error('tmux client closed'));
+    }
+    return new Promise((resolve, reject) => {
+        client.pending.push({ resolve, reject });
+        client.proc.write(command + '\n');
+    });
+}
+
+// Send input to a pane as hex bytes, so control characters need no quoting
+function sendTmuxKeys(client, paneId, data) {
+    const bytes = Buffer.from(data, 'utf8');
+    for (let offset = 0; offset < bytes.length; offset += TMUX_SEND_KEYS_CHUNK) {
+        const hex = Array.from(bytes.subarray(offset, offset + TMUX_SEND_KEYS_CHUNK), b => b.toString(16)).join(' ');
+        tmuxCommand(client, `send-keys -t ${paneId} -H ${hex}`).catch(err => log(`send-keys failed: ${err.message}`));
+    }
+}
+
+// Bring the pane list in line with tmux: new panes become sessions (while there is room),
+// gone ones exit
+async function syncTmuxPanes(client) {
+    const lines = await tmuxCommand(client, `list-panes -s -t ${quoteTmux(client.name)} -F ${quoteTmux(TMUX_PANE_FORMAT)}`);
+    const seen = new Set();
+    let skipped = 0;
+
+    for (const line of lines) {
+        const [paneId, windowId, windowPanes, paneIndex, width, height, ...nameParts] = line.split(' ');
+        if (!paneId || !paneId.startsWith('%')) continue;
+        seen.add(paneId);
+        if (client.detached.has(paneId)) continue;
+
+        const cols = parseInt(width, 10) || 80;
+        const rows = parseInt(height, 10) || 30;
+        const existing = client.panes.get(paneId);
+        if (existing) {
+            // Layout changes resize panes and move them between windows without an explicit request
+            existing.windowId = windowId;
+            existing.windowPanes = parseInt(windowPanes, 10) || 1;
+            if (existing.screen.cols !== cols || existing.screen.rows !== rows) {
+                existing.screen.resize(cols, rows);
+                recordEvent(existing, 'r', `${cols}x${rows}`);
+            }
+            continue;
+        }
+
+        // Panes past the limit stay in tmux and get a tab once there is room
+        if (sessions.size >= MAX_SESSIONS) {
+            skipped++;
+            continue;
+        }
+
+        const windowName = nameParts.join(' ') || 'tmux';
+        const session = addSession({
+            title: windowPanes === '1' ? windowName : `${windowName}.${paneIndex}`,
+            profileId: client.profileId,
+            cols,
+            rows,
+            backend: {
+                paneId,
+                windowId,
+                windowPanes: parseInt(windowPanes, 10) || 1,
+                write: data => sendTmuxKeys(client, paneId, data),
+                resize: (c, r) => resizeTmuxPane(client, session, c, r),
+                kill: force => (force ? killTmuxPane(client, paneId) : detachTmuxPane(client, paneId))
+            }
+        });
+        client.panes.set(paneId, session);
+        log(`Attached tmux pane ${paneId} as session ${session.id}`);
+        capturePane(client, session).catch(err => log(`capture-pane failed: ${err.message}`));
+    }
+    if (skipped > 0) {
+        log(`Session limit reached (${MAX_SESSIONS}), ${skipped} tmux pane(s) of "${client.name}" left without a tab`);
+    }
+
+    for (const [paneId, session] of client.panes) {
+        if (!seen.has(paneId)) {
+            client.panes.delete(paneId);
+            removeSession(session, 0, null);
+        }
+    }
+    for (const paneId of client.detached) {
+        if (!seen.has(paneId)) client.detached.delete(paneId);
+    }
+}
+
+// A tab sizes its own window, not the control client (which all windows would share).
+// In a split window it can only ask for its pane's size within the window's layout.
+function resizeTmuxPane(client, session, cols, rows) {
+    const command = session.windowPanes > 1
+        ? `resize-pane -t ${session.paneId} -x ${cols} -y ${rows}`
+        : `resize-window -t ${session.windowId} -x ${cols} -y ${rows}`;
+    tmuxCommand(client, command).catch(err => log(`tmux resize failed: ${err.message}`));
+}
+
+// The resulting window/layout notification removes the session
+function killTmuxPane(client, paneId) {
+    tmuxCommand(client, `kill-pane -t ${paneId}`).catch(err => log(`kill-pane failed: ${err.message}`));
+}
+
+// Close a pane's tab and leave the pane running in tmux. Once no tab is left, the control
+// client goes too, and the next tab for this profile brings every pane back.
+function detachTmuxPane(client, paneId) {
+    const session = client.panes.get(paneId);
+    if (!session) return;
+    client.panes.delete(paneId);
+    client.detached.add(paneId);
+    log(`Detached tmux pane ${paneId} (session ${session.id})`);
+    removeSession(session, 0, null);
+    if (client.panes.size === 0) closeTmuxClient(client);
+}
+
+// Control mode only streams new output, so repaint a newly seen pane from tmux's copy
+async function capturePane(client, session) {
+    const [lines, cursor] = await Promise.all([
+        tmuxCommand(client, `capture-pane -p -e -S -${SNAPSHOT_SCROLLBACK_LINES} -t ${session.paneId}`),
+        tmuxCommand(client, `display-message -p -t ${session.paneId} ${quoteTmux('#{cursor_x} #{cursor_y}')}`)
+    ]);
+    if (sessions.get(session.id) !== session) return;
+
+    const [x, y] = (cursor[0] || '0 0').split(' ').map(n => parseInt(n, 10) || 0);
+    emitOutput(session, `\x1b[H\x1b[2J${lines.join('\r\n')}\x1b[${y + 1};${x + 1}H`);
+}
+
+function closeTmuxClient(client) {
+    if (client.closed) return;
+    client.closed = true;
+    log(`tmux control client for "${client.name}" closed`);
+    if (tmuxClients.get(client.name) === client) {
+        tmuxClients.delete(client.name);
+    }
+
+    for (const { reject } of client.pending) {
+        reject(new Error('tmux client closed'));
+    }
+    client.pending = [];
+
+    // The panes keep running inside tmux; only their tabs go away
+    for (const session of client.panes.values()) {
+        removeSession(session, 0, null);
+    }
+    client.panes.clear();
+    try {
+        client.proc.kill();
+    } catch (e) {
+        // Already exited
+    }
+}
+
+// Open a tab for a tmux profile. The first one attaches (or creates) the tmux session
+// and brings in all of its panes; later ones open a new window.
+async function createTmuxSession({ shell, tmuxSession, profileId, cwd, env, cols = 80, rows = 30 }) {
+    if (typeof shell !== 'string' || !fs.existsSync(shell)) {
+        throw new Error('tmux not found');
+    }
+    if (typeof tmuxSession !== 'string' || !TMUX_SESSION_PATTERN.test(tmuxSession)) {
+        throw new Error('Invalid tmux session name');
+    }
+
+    if (sessions.size >= MAX_SESSIONS) {
+        throw new Error(`Session limit reached (${MAX_SESSIONS})`);
+    }
+
+    let client = tmuxClients.get(tmuxSession);
+    if (!client) {
+        client = startTmuxClient({ shell, tmuxSession, profileId, cwd, env, cols, rows });
+        await client.ready;
+        // The size new windows start at; tabs resize their own windows afterwards
+        await tmuxCommand(client, `refresh-client -C ${cols},${rows}`);
+        await syncTmuxPanes(client);
+        const [paneId] = await tmuxCommand(client, `display-message -p ${quoteTmux('#{pane_id}')}`);
+        const session = client.panes.get(paneId) || client.panes.values().next().value;
+        if (!session) throw new Error('tmux session has no panes');
+        return session;
+    }
+
+    const target = quoteTmux(`${tmuxSession}:`);
+    const [paneId] = await tmuxCommand(client, `new-window -t ${target} -c ${quoteTmux(cwd || '~')} -P -F ${quoteTmux('#{pane_id}')}`);
+    await syncTmuxPanes(client);
+    const session = client.panes.get(paneId);
+    if (!session) throw new Error('tmux window did not open');
+    return session;
+}
+
+// 3. RECORDING
+// asciicast v2: a JSON header line, then one [seconds, code, data] line per event.
+// 'o' is output, 'r' a resize ("COLSxROWS") and 'm' a marker naming the device that
+// typed next. Keystrokes themselves are never written (they include passwords).
+
+function startRecording(session) {
+    if (session.recording) return;
+    try {
+        fs.mkdirSync(RECORDINGS_DIR, { recursive: true, mode: 0o700 });
+        pruneRecordings();
+
+        const startedAt = Date.now();
+        const file = path.join(RECORDINGS_DIR, `${startedAt}-${session.id}.cast`);
+        const stream = fs.createWriteStream(file, { flags: 'wx', mode: 0o600 });
+        stream.on('error', err => {
+            log(`Recording ${session.id} failed: ${err.message}`);
+            session.recording = null;
+        });
+
+        const header = {
+            version: 2,
+            width: session.screen.cols,
+            height: session.screen.rows,
+            timestamp: Math.floor(startedAt / 1000),
+            title: session.title,
+            env: { TERM: 'xterm-256color' }
+        };
+        session.recording = { stream, startedAt, bytes: 0, device: null };
+        writeRecordingLine(session, JSON.stringify(header));
+
+        // Started mid-session: begin from the current screen (output still being
+        // parsed by the headless terminal may be missing from it)
+        if (session.seq > 0) {
+            recordEvent(session, 'o', session.serializer.serialize());
+        }
+        log(`Recording session ${session.id}`);
+    } catch (err) {
+        log(`Could not start recording ${session.id}: ${err.message}`);
+        session.recording = null;
+    }
+}
+
+function stopRecording(session) {
+    if (!session.recording) return;
+    session.recording.stream.end();
+    session.recording = null;
+}
+
+function recordEvent(session, code, data) {
+    if (!session.recording) return;
+    const elapsed = (Date.now() - session.recording.startedAt) / 1000;
+    writeRecordingLine(session, JSON.stringify([Number(elapsed.toFixed(3)), code, data]));
+}
+
+// Mark which device produced the following input, once per change of device
+function recordInputDevice(session, device) {
+    if (!session.recording || typeof device !== 'string' || device === session.recording.device) return;
+    session.recording.device = device;
+    recordEvent(session, 'm', `input: ${device.slice(0, 64)}`);
+}
+
+function writeRecordingLine(session, line) {
+    const recording = session.recording;
+    recording.bytes += line.length + 1;
+    if (recording.bytes > MAX_RECORDING_BYTES) {
+        log(`Recording ${session.id} reached its size limit, stopping`);
+        stopRecording(session);
+        return;
+    }
+    recording.stream.write(line + '\n');
+}
+
+// Keep the recordings folder bounded; names start with the start time, so they sort by age
+function pruneRecordings() {
+    const files = fs.readdirSync(RECORDINGS_DIR).filter(name => name.endsWith('.cast')).sort();
+    for (const name of files.slice(0, Math.max(0, files.length - MAX_RECORDINGS + 1))) {
+        fs.rmSync(path.join(RECORDINGS_DIR, name), { force: true });
+    }
+}
+
+function setRecording(enabled) {
+    recordingEnabled = enabled;
+    for (const session of sessions.values()) {
+        if (enabled) startRecording(session);
+        else stopRecording(session);
+    }
+}
+
+// 4. SCROLLBACK
+// Output is reduced to plain text lines (escape sequences removed, carriage-return
+// redraws collapsed) and numbered from 1. Lines are appended to segment files as
+// AES-256-GCM blocks (iv | tag | ciphertext) indexed in memory. Searches and page
+// reads run in a worker thread, so a pathological regex is cut off by a timeout
+// instead of stalling every session.
+
+// CSI, OSC, DCS/SOS/PM/APC and two-character escapes
+const ESCAPE_SEQUENCE_PATTERN = /\x1b\[[0-?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[PX^_][^\x1b]*\x1b\\|\x1b[ -\/]*[0-~]/g;
+const CONTROL_CHAR_PATTERN = /[\x00-\x08\x0b-\x1f\x7f]/g;
+
+function createScrollback(sessionId) {
+    return {
+        sessionId,
+        raw: '', // Current line, not yet terminated by a newline
+        pending: [], // Completed lines not yet written to disk
+        nextLine: 1,
+        segments: [], // { file, fd, bytes, blocks: [{ offset, length, firstLine, count }] }
+        segmentCount: 0,
+        flushTimer: null
+    };
+}
+
+function toPlainLine(raw) {
+    const text = raw.replace(/\r$/, '').replace(ESCAPE_SEQUENCE_PATTERN, '');
+    // A carriage return redraws the line (progress bars): keep what was drawn last
+    const drawn = text.split('\r').filter(Boolean).pop() || '';
+    return drawn.replace(CONTROL_CHAR_PATTERN, '').slice(0, SCROLLBACK_MAX_LINE);
+}
+
+function appendScrollback(session, data) {
+    const scrollback = session.scrollback;
+    scrollback.raw += data;
+
+    let newline;
+    while ((newline = scrollback.raw.indexOf('\n')) !== -1) {
+        scrollback.pending.push(toPlainLine(scrollback.raw.slice(0, newline)));
+        scrollback.raw = scrollback.raw.slice(newline + 1);
+        scrollback.nextLine++;
+    }
+    // Output without newlines (a full-screen app) must not grow the current line forever
+    if (scrollback.raw.length > SCROLLBACK_MAX_LINE * 4) {
+        scrollback.pending.push(toPlainLine(scrollback.raw));
+        scrollback.raw = '';
+        scrollback.nextLine++;
+    }
+
+    if (scrollback.pending.length >= SCROLLBACK_BLOCK_LINES) {
+        flushScrollback(scrollback);
+    } else if (scrollback.pending.length > 0 && !scrollback.flushTimer) {
+        scrollback.flushTimer = setTimeout(() => flushScrollback(scrollback), SCROLLBACK_FLUSH_MS);
+    }
+}
+
+function flushScrollback(scrollback) {
+    clearTimeout(scrollback.flushTimer);
+    scrollback.flushTimer = null;
+    if (scrollback.pending.length === 0) return;
+
+    const count = scrollback.pending.length;
+    const firstLine = scrollback.nextLine - count;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', SCROLLBACK_KEY, iv);
+    const ciphertext = Buffer.concat([cipher.update(scrollback.pending.join('\n'), 'utf8'), cipher.final()]);
+    const record = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+    scrollback.pending = [];
+
+    try {
+        let segment = scrollback.segments[scrollback.segments.length - 1];
+        if (!segment || segment.bytes >= SCROLLBACK_SEGMENT_BYTES) {
+            segment = openScrollbackSegment(scrollback);
+        }
+        fs.writeSync(segment.fd, record);
+        segment.blocks.push({ offset: segment.bytes, length: record.length, firstLine, count });
+        segment.bytes += record.length;
+    } catch (err) {
+        log(`Scrollback write failed for ${scrollback.sessionId}: ${err.message}`);
+    }
+}
+
+function openScrollbackSegment(scrollback) {
+    fs.mkdirSync(SCROLLBACK_DIR, { recursive: true, mode: 0o700 });
+    const file = path.join(SCROLLBACK_DIR, `${scrollback.sessionId}-${scrollback.segmentCount++}.bin`);
+    const segment = { file, fd: fs.openSync(file, 'a', 0o600), bytes: 0, blocks: [] };
+    scrollback.segments.push(segment);
+
+    while (scrollback.segments.length > SCROLLBACK_MAX_SEGMENTS) {
+        const oldest = scrollback.segments.shift();
+        fs.closeSync(oldest.fd);
+        fs.rmSync(oldest.file, { force: true });
+    }
+    return segment;
+}
+
+function closeScrollback(session) {
+    const scrollback = session.scrollback;
+    clearTimeout(scrollback.flushTimer);
+    for (const segment of scrollback.segments) {
+        fs.closeSync(segment.fd);
+        fs.rmSync(segment.file, { force: true });
+    }
+    scrollback.segments = [];
+    scrollback.pending = [];
+}
+
+// Worker body. Its source is handed to the Worker with eval (the daemon may run from
+// an asar archive), so it can only use built-in modules. Answers op 'lines' with the
+// lines in [from, from + count) and op 'search' with matches below line `before`,
+// newest first.
+function scrollbackWorker() {
+    const { parentPort, workerData } = require('worker_threads');
+    const fs = require('fs');
+    const crypto = require('crypto');
+    const { key, blocks, pending, pendingFirst, op } = workerData;
+
+    const readBlock = (block) => {
+        try {
+            const fd = fs.openSync(block.file, 'r');
+            const buffer = Buffer.alloc(block.length);
+            fs.readSync(fd, buffer, 0, block.length, block.offset);
+            fs.closeSync(fd);
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+            decipher.setAuthTag(buffer.subarray(12, 28));
+            return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]).toString('utf8').split('\n');
+        } catch (e) {
+            return []; // Segment rotated away meanwhile
+        }
+    };
+
+    // Newest first: lines still in memory, then blocks from the end
+    const sources = [{ firstLine: pendingFirst, count: pending.length, read: () => pending }]
+        .concat(blocks.slice().reverse().map(block => ({ ...block, read: () => readBlock(block) })));
+
+    if (op.type === 'lines') {
+        const end = op.from + op.count;
+        const lines = [];
+        for (const source of sources) {
+            if (source.firstLine >= end || source.firstLine + source.count <= op.from) continue;
+            source.read().forEach((text, i) => {
+                const line = source.firstLine + i;
+                if (line >= op.from && line < end) lines.push({ line, text });
+            });
+        }
+        parentPort.postMessage({ lines: lines.sort((a, b) => a.line - b.line) });
+        return;
+    }
+
+    const regex = new RegExp(op.query, op.ignoreCase ? 'i' : '');
+    const matches = [];
+    for (const source of sources) {
+        if (source.count === 0 || source.firstLine >= op.before) continue;
+        const lines = source.read();
+        for (let i = lines.length - 1; i >= 0; i--) {
+            const line = source.firstLine + i;
+            if (line >= op.before || !regex.test(lines[i])) continue;
+            matches.push({ line, text: lines[i] });
+            if (matches.length >= op.limit) {
+                parentPort.postMessage({ matches, nextBefore: line });
+                return;
+            }
+        }
+    }
+    parentPort.postMessage({ matches, nextBefore: null });
+}
+
+// Validate a search or page request and run it in a worker
+function queryScrollback(session, op) {
+    const scrollback = session.scrollback;
+    const totalLines = scrollback.nextLine - 1;
+
+    let workerOp;
+    if (op?.type === 'search') {
+        if (typeof op.query !== 'string' || !op.query || op.query.length > MAX_SEARCH_QUERY) {
+            throw new Error('Invalid search query');
+        }
+        new RegExp(op.query); // Throws on invalid syntax before a worker is started
+        workerOp = {
+            type: 'search',
+            query: op.query,
+            ignoreCase: op.ignoreCase === true,
+            before: Number.isSafeInteger(op.before) ? op.before : scrollback.nextLine,
+            limit: Math.min(Number.isSafeInteger(op.limit) && op.limit > 0 ? op.limit : MAX_SEARCH_RESULTS, MAX_SEARCH_RESULTS)
+        };
+    } else if (op?.type === 'lines') {
+        if (!Number.isSafeInteger(op.from) || !Number.isSafeInteger(op.count) || op.count < 1) {
+            throw new Error('Invalid line range');
+        }
+        workerOp = { type: 'lines', from: Math.max(1, op.from), count: Math.min(op.count, MAX_LINES_PAGE) };
+    } else {
+        throw new Error('Invalid scrollback request');
+    }
+
+    if (activeSearches >= MAX_CONCURRENT_SEARCHES) {
+        throw new Error('Search busy, try again');
+    }
+
+    const blocks = scrollback.segments.flatMap(segment =>
+        segment.blocks.map(block => ({ ...block, file: segment.file }))
+    );
+    const firstLine = blocks.length > 0 ? blocks[0].firstLine : scrollback.nextLine - scrollback.pending.length;
+
+    activeSearches++;
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(`(${scrollbackWorker.toString()})()`, {
+            eval: true,
+            workerData: {
+                key: SCROLLBACK_KEY,
+                blocks,
+                pending: scrollback.pending,
+                pendingFirst: scrollback.nextLine - scrollback.pending.length,
+                op: workerOp
+            }
+        });
+        const finish = () => {
+            clearTimeout(timer);
+            activeSearches--;
+            worker.terminate();
+        };
+        const timer = setTimeout(() => {
+            finish();
+            reject(new Error('Search timed out'));
+        }, SEARCH_TIMEOUT_MS);
+        worker.once('message', result => {
+            finish();
+            resolve({ ...result, firstLine, totalLines });
+        });
+        worker.once('error', err => {
+            finish();
+            reject(err);
+        });
+    });
+}
+
+// 5. PROTOCOL
+
+function send(conn, message) {
+    if (!conn.destroyed) {
+        conn.write(JSON.stringify(message) + '\n');
+    }
+}
+
+function broadcast(message) {
+    for (const conn of connections) {
+        send(conn, message);
+    }
+}
+
+function getSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) throw new Error('Session not found');
+    return session;
+}
+
+async function handleRequest(msg) {
+    switch (msg.type) {
+        case 'hello':
+            return { version: PROTOCOL_VERSION, pid: process.pid };
+
+        case 'list':
+            return { sessions: Array.from(sessions.values()).map(sessionInfo) };
+
+        case 'create': {
+            const session = msg.backend === 'tmux' ? await createTmuxSession(msg) : createPtySession(msg);
+            return { session: sessionInfo(session) };
+        }
+
+        case 'write': {
+            const session = getSession(msg.sessionId);
+            recordInputDevice(session, msg.device);
+            session.write(String(msg.data));
+            return {};
+        }
+
+        case 'resize': {
+            const session = getSession(msg.sessionId);
+            session.resize(msg.cols, msg.rows);
+            session.screen.resize(msg.cols, msg.rows);
+            recordEvent(session, 'r', `${msg.cols}x${msg.rows}`);
+            return {};
+        }
+
+        case 'record':
+            setRecording(msg.enabled === true);
+            return { enabled: recordingEnabled };
+
+        case 'scrollback':
+            return queryScrollback(getSession(msg.sessionId), msg.op);
+
+        case 'flow':
+            setPaused(getSession(msg.sessionId), msg.paused === true);
+            return {};
+
+        case 'kill':
+            // The exit event tells every connection the session is gone. A tmux pane is
+            // only detached from its tab unless force is set.
+            getSession(msg.sessionId).kill(msg.force === true);
+            return {};
+
+        case 'attach':
+            return attachSession(getSession(msg.sessionId), msg.lastSeq ?? null);
+
+        default:
+            throw new Error(`Unknown request: ${msg.type}`);
+    }
+}
+
+function handleConnection(conn) {
+    connections.add(conn);
+    clearTimeout(idleTimer);
+    log(`App connected. Total: ${connections.size}`);
+
+    let buffered = '';
+    conn.setEncoding('utf8');
+
+    conn.on('data', chunk => {
+        buffered += chunk;
+        if (buffered.length > MAX_MESSAGE_BYTES && !buffered.includes('\n')) {
+            log('Request too large, dropping connection');
+            conn.destroy();
+            return;
+        }
+
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+            const line = buffered.slice(0, newline);
+            buffered = buffered.slice(newline + 1);
+
+            let msg;
+            try {
+                msg = JSON.parse(line);
+            } catch (e) {
+                continue;
+            }
+
+            handleRequest(msg).then(
+                result => send(conn, { type: 'response', reqId: msg.reqId, result }),
+                err => send(conn, { type: 'response', reqId: msg.reqId, error: err.message })
+            );
+        }
+    });
+
+    conn.on('error', err => log(`Connection error: ${err.message}`));
+
+    conn.on('close', () => {
+        connections.delete(conn);
+        log(`App disconnected. Total: ${connections.size}`);
+        // Nobody is left to resume them
+        if (connections.size === 0) {
+            for (const session of sessions.values()) setPaused(session, false);
+        }
+        scheduleIdleExit();
+    });
+}
+
+// 6. LIFECYCLE
+
+// Nothing left to keep alive once every shell has exited and the app is gone
+function scheduleIdleExit() {
+    clearTimeout(idleTimer);
+    if (sessions.size > 0 || connections.size > 0) return;
+    idleTimer = setTimeout(() => {
+        log('Idle, exiting');
+        fs.rmSync(SOCKET_PATH, { force: true });
+        process.exit(0);
+    }, IDLE_EXIT_DELAY_MS);
+}
+
+function listen() {
+    if (!SOCKET_PATH) {
+        log('No socket path given');
+        process.exit(1);
+    }
+
+    // SECURITY: Socket is only accessible to the current user
+    process.umask(0o077);
+
+    const server = net.createServer(handleConnection);
+
+    server.on('error', err => {
+        if (err.code !== 'EADDRINUSE') {
+            log(`Server error: ${err.message}`);
+            process.exit(1);
+        }
+
+        // A socket file exists: only take it over if no daemon answers on it
+        const probe = net.connect(SOCKET_PATH);
+        probe.on('connect', () => {
+            log('Another session daemon is already running, exiting');
+            process.exit(0);
+        });
+        probe.on('error', () => {
+            fs.unlinkSync(SOCKET_PATH);
+            server.listen(SOCKET_PATH);
+        });
+    });
+
+    server.on('listening', () => {
+        log(`Session daemon listening (pid ${process.pid})`);
+        // Scrollback of a previous daemon was encrypted with a key that is gone
+        fs.rmSync(SCROLLBACK_DIR, { recursive: true, force: true });
+        scheduleIdleExit();
+    });
+
+    server.listen(SOCKET_PATH);
+}
+
+// Keep running shells alive: log unexpected errors instead of crashing
+process.on('uncaughtException', err => {
+    log(`Uncaught exception: ${err.stack || err.message}`);
+});
+
+listen();
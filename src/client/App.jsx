@@ -1,24 +1,42 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { Loader2 } from 'lucide-react';
 import Terminal from './components/Terminal';
 import PairingScreen from './components/PairingScreen';
+import HostIdentityWarning from './components/HostIdentityWarning';
+import DeviceNamePrompt from './components/DeviceNamePrompt';
+import DeviceExpiredScreen from './components/DeviceExpiredScreen';
 import Header from './components/Header';
+import TabBar from './components/TabBar';
+import ClipboardPrompt from './components/ClipboardPrompt';
+import { Button } from '@/components/ui/button';
 import { useWebSocket } from './hooks/useWebSocket';
 import { useE2E } from './hooks/useE2E';
 import { useAuth } from './hooks/useAuth';
+import { useSessions } from './hooks/useSessions';
+import { useCommandNotifications } from './hooks/useCommandNotifications';
+import { useClipboardWrites } from './hooks/useClipboardWrites';
 
 function App() {
   // Initialize WebSocket connection
-  const { socket, isReady, connectionState } = useWebSocket();
+  const { socket, isReady, connectionState, setChannel } = useWebSocket();
 
-  // Initialize E2E encryption
+  // Initialize E2E encryption. The key exchange uses the socket; everything after it,
+  // pairing and authentication included, goes through the encrypted channel.
   const {
+    channel,
     e2eReady,
     fingerprint,
+    keyRotatedAt,
+    hostIdentity,
     encryptInput,
+    encodeInput,
     decryptOutput,
     handleE2EInit,
-    handleE2EReady
+    handleE2EReady,
+    handleE2ERekey,
+    handleE2ERekeyDone,
+    authTranscript,
+    derivePairingCode
   } = useE2E(socket);
 
   // Initialize authentication with pairing flow
@@ -28,8 +46,43 @@ function App() {
     pairingCode,
     pairingStatus,
     pairingError,
-    wasAuthenticatedThisSession
-  } = useAuth(socket);
+    wasAuthenticatedThisSession,
+    identityMismatch,
+    deviceExpiry,
+    forgetHost,
+    submitDeviceName
+  } = useAuth(channel, e2eReady, authTranscript, derivePairingCode, hostIdentity);
+
+  // Terminal sessions (tabs) mirrored from the server registry
+  const {
+    sessions,
+    activeSessionId,
+    profiles,
+    role,
+    setActiveSession,
+    createSession,
+    closeSession
+  } = useSessions(channel);
+
+  // System notifications for long commands finishing while the page is hidden
+  const { permission: notificationPermission, requestPermission } =
+    useCommandNotifications(channel, decryptOutput, setActiveSession);
+
+  // Clipboard writes from host programs (OSC 52) waiting for confirmation
+  const { pending: pendingClipboard, accept: acceptClipboard, dismiss: dismissClipboard } =
+    useClipboardWrites(channel, decryptOutput);
+
+  // Heartbeats move into the channel once it is encrypted
+  useEffect(() => {
+    setChannel(channel);
+  }, [channel, setChannel]);
+
+  // Keys are exchanged before the device authenticates, and sessions only answer
+  // authenticated devices
+  const sessionsReady = e2eReady && isAuthenticated;
+
+  // Session whose history search panel is open (at most one)
+  const [searchSessionId, setSearchSessionId] = useState(null);
 
   // Handle WebSocket messages for E2E
   useEffect(() => {
@@ -45,18 +98,26 @@ function App() {
 
       // E2E key exchange
       if (msg.type === 'e2e_init') {
-        await handleE2EInit(msg.publicKey, msg.salt);
+        await handleE2EInit(msg.commitment);
       }
 
-      // E2E ready
+      // E2E ready (reveals the server's key)
       if (msg.type === 'e2e_ready') {
-        handleE2EReady(msg.fingerprint);
+        await handleE2EReady(msg);
+      }
+
+      // Session key rotation (both encrypted under the current key)
+      if (msg.type === 'e2e_rekey') {
+        await handleE2ERekey(msg);
+      }
+      if (msg.type === 'e2e_rekey_done') {
+        await handleE2ERekeyDone(msg);
       }
     };
 
     socket.addEventListener('message', handleMessage);
     return () => socket.removeEventListener('message', handleMessage);
-  }, [socket, handleE2EInit, handleE2EReady]);
+  }, [socket, handleE2EInit, handleE2EReady, handleE2ERekey, handleE2ERekeyDone]);
 
   // Safe area wrapper for overlay screens
   const SafeAreaWrapper = ({ children }) => (
@@ -78,6 +139,22 @@ function App() {
     );
   }
 
+  // A host that can't prove the pinned identity gets nothing, even on a reconnect
+  if (pairingStatus === 'identity_mismatch') {
+    return (
+      <HostIdentityWarning
+        expected={identityMismatch?.expected}
+        received={identityMismatch?.received}
+        onForget={forgetHost}
+      />
+    );
+  }
+
+  // An expired device can't sign in, even on a reconnect, until the host re-approves it
+  if (pairingStatus === 'expired') {
+    return <DeviceExpiredScreen reason={deviceExpiry?.reason} days={deviceExpiry?.days} />;
+  }
+
   // If already authenticated this session, skip overlays and show terminal view
   // (header spinner will indicate reconnection state)
   const showTerminalView = wasAuthenticatedThisSession;
@@ -95,6 +172,11 @@ function App() {
       );
     }
 
+    // Opened from the tray's QR code: approved already, only the name is missing
+    if (!isAuthenticated && pairingStatus === 'naming' && !pairingError) {
+      return <DeviceNamePrompt onSubmit={submitDeviceName} />;
+    }
+
     // Show pairing screen when not authenticated (new device)
     if (!isAuthenticated) {
       return (
@@ -124,13 +206,60 @@ function App() {
     <div className="h-dvh w-full flex flex-col bg-black pl-[env(safe-area-inset-left)] pr-[env(safe-area-inset-right)]">
       {/* Top safe area */}
       <div className="flex-shrink-0 bg-black h-[env(safe-area-inset-top)]" />
-      <Header fingerprint={fingerprint} connectionState={connectionState} />
-      <Terminal
-        socket={socket}
-        encryptInput={encryptInput}
+      <Header
+        fingerprint={fingerprint}
+        keyRotatedAt={keyRotatedAt}
+        connectionState={connectionState}
+        socket={channel}
         decryptOutput={decryptOutput}
-        e2eReady={e2eReady}
+        canViewRecordings={role !== 'restricted'}
+        notificationPermission={notificationPermission}
+        onEnableNotifications={requestPermission}
+      />
+      <TabBar
+        sessions={sessions}
+        activeSessionId={activeSessionId}
+        profiles={profiles}
+        readOnly={role === 'read-only'}
+        onSelect={setActiveSession}
+        onCreate={createSession}
+        onClose={closeSession}
+        onSearch={() => setSearchSessionId((id) => (id === activeSessionId ? null : activeSessionId))}
       />
+      {/* One terminal per session; inactive tabs stay mounted to keep their scrollback */}
+      {sessions.map((session) => (
+        <Terminal
+          key={session.id}
+          sessionId={session.id}
+          active={session.id === activeSessionId}
+          socket={channel}
+          encryptInput={encryptInput}
+          encodeInput={encodeInput}
+          decryptOutput={decryptOutput}
+          e2eReady={sessionsReady}
+          readOnly={role === 'read-only'}
+          showSearch={searchSessionId === session.id}
+          onCloseSearch={() => setSearchSessionId(null)}
+        />
+      ))}
+      {sessions.length === 0 && (
+        <div className="flex-1 flex flex-col items-center justify-center gap-3 bg-black">
+          <p className="text-sm text-white/50">No open sessions</p>
+          {role !== 'read-only' && (
+            <Button variant="ghost" size="sm" onClick={() => createSession()} disabled={!sessionsReady}>
+              New session
+            </Button>
+          )}
+        </div>
+      )}
+      {pendingClipboard && (
+        <ClipboardPrompt
+          text={pendingClipboard.text}
+          sessionTitle={sessions.find((s) => s.id === pendingClipboard.sessionId)?.title}
+          onAccept={acceptClipboard}
+          onDismiss={dismissClipboard}
+        />
+      )}
     </div>
   );
 }
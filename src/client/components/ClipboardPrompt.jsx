@@ -0,0 +1,37 @@
+import { Clipboard } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// Confirmation for a clipboard write from a program on the host
+function ClipboardPrompt({ text, sessionTitle, onAccept, onDismiss }) {
+  const preview = text.length > 80 ? `${text.slice(0, 80)}…` : text;
+
+  return (
+    <div
+      className="fixed left-3 right-3 z-[1500] flex flex-col gap-2 p-3 bg-zinc-900 border border-white/10 rounded-lg shadow-lg"
+      style={{ bottom: 'calc(env(safe-area-inset-bottom) + 12px)' }}
+    >
+      <div className="flex items-center gap-2">
+        <Clipboard size={14} strokeWidth={2} className="text-[#4B5AFF]" />
+        <span className="text-sm text-white">
+          Copy {text.length} characters from host?
+        </span>
+      </div>
+      <p className="font-mono text-[11px] text-white/50 whitespace-pre-wrap break-all line-clamp-2">
+        {preview}
+      </p>
+      <div className="flex items-center justify-between">
+        <span className="font-mono text-[10px] text-white/30 truncate">{sessionTitle}</span>
+        <div className="flex gap-1">
+          <Button variant="ghost" size="sm" onClick={onDismiss} className="rounded-full text-white/60">
+            Ignore
+          </Button>
+          <Button size="sm" onClick={onAccept} className="rounded-full bg-[#4B5AFF] hover:bg-[#4B5AFF]/90 text-white">
+            Copy
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ClipboardPrompt;
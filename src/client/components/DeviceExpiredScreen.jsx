@@ -0,0 +1,55 @@
+import { Clock } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// Why the host let this device's key expire (reason and limit from device_expired)
+function describeExpiry(reason, days) {
+  if (reason === 'age') {
+    return days ? `It was approved more than ${days} days ago.` : 'Its approval ran out.';
+  }
+  if (reason === 'idle') {
+    return days ? `It wasn't used for more than ${days} days.` : 'It went unused for too long.';
+  }
+  if (reason === 'removed') {
+    return 'It was removed from the paired devices.';
+  }
+  return 'Its key is no longer accepted.';
+}
+
+// Shown instead of a new pairing code when the host refuses this device's key as
+// expired: the key is still known there and only needs re-approving. A device removed
+// while connected lands here too, and pairs again from scratch.
+function DeviceExpiredScreen({ reason, days }) {
+  const removed = reason === 'removed';
+
+  return (
+    <div className="h-dvh w-full flex flex-col bg-black pl-[env(safe-area-inset-left)] pr-[env(safe-area-inset-right)]">
+      <div className="flex-shrink-0 bg-black h-[env(safe-area-inset-top)]" />
+      <div className="flex-1 flex flex-col items-center justify-center gap-6 p-10 bg-black">
+        <span className="font-mono text-xs font-normal tracking-wider text-foreground">
+          ROOT_OPERATOR
+        </span>
+
+        <Clock className="w-8 h-8 text-amber-500" strokeWidth={1.5} />
+
+        <div className="flex flex-col items-center gap-3">
+          <h1 className="text-xl font-semibold text-foreground text-center">
+            {removed ? 'Device removed' : 'Device expired'}
+          </h1>
+          <p className="text-sm text-muted-foreground text-center max-w-[300px] leading-relaxed">
+            {describeExpiry(reason, days)}{' '}
+            {removed
+              ? 'Pair it again to keep using it.'
+              : 'Ask the host to re-approve this device in the desktop app under Settings, Paired Devices.'}
+          </p>
+        </div>
+
+        <Button variant="ghost" size="sm" onClick={() => location.reload()} className="rounded-full">
+          {removed ? 'Pair again' : 'Try again'}
+        </Button>
+      </div>
+      <div className="flex-shrink-0 bg-black h-[env(safe-area-inset-bottom)]" />
+    </div>
+  );
+}
+
+export default DeviceExpiredScreen;
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+
+// Same rules as the tray's ADD_DEVICE step (the host checks them again)
+const MAX_NAME_LENGTH = 10;
+const NAME_PATTERN = /^[a-zA-Z0-9]+(-[a-zA-Z0-9]+)*$/;
+
+function sanitizeName(value) {
+  return value
+    .replace(/[^a-zA-Z0-9-]/g, '')
+    .replace(/--+/g, '-')
+    .replace(/^-/, '')
+    .slice(0, MAX_NAME_LENGTH);
+}
+
+// Shown instead of a pairing code when the page was opened from the tray's QR code:
+// the host already approved this device, it only needs a name
+function DeviceNamePrompt({ onSubmit }) {
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const valid = name.length >= 3 && NAME_PATTERN.test(name);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!valid || submitting) return;
+    setSubmitting(true);
+    onSubmit(name);
+  };
+
+  return (
+    <div className="h-dvh w-full flex flex-col bg-black pl-[env(safe-area-inset-left)] pr-[env(safe-area-inset-right)]">
+      <div className="flex-shrink-0 bg-black h-[env(safe-area-inset-top)]" />
+      <form
+        onSubmit={handleSubmit}
+        className="flex-1 flex flex-col items-center justify-center gap-8 p-10 bg-black"
+      >
+        <span className="font-mono text-xs font-normal tracking-wider text-foreground">
+          ROOT_OPERATOR
+        </span>
+
+        <div className="flex flex-col items-center gap-3">
+          <h1 className="text-xl font-semibold text-foreground text-center">
+            Name This Device
+          </h1>
+          <p className="text-sm text-muted-foreground text-center max-w-[280px] leading-relaxed">
+            It shows up under this name in the desktop app's paired devices
+          </p>
+        </div>
+
+        <Input
+          type="text"
+          value={name}
+          onChange={(e) => setName(sanitizeName(e.target.value))}
+          placeholder="My-iPhone"
+          maxLength={MAX_NAME_LENGTH}
+          autoFocus
+          disabled={submitting}
+          className="font-mono text-base text-center w-40 h-10 border-0 border-b-2 border-border rounded-none bg-transparent focus-visible:ring-0 focus-visible:border-[#4B5AFF]"
+        />
+
+        <div className="flex flex-col items-center gap-3">
+          <Button
+            type="submit"
+            disabled={!valid || submitting}
+            className="rounded-full px-6 bg-[#4B5AFF] hover:bg-[#4B5AFF]/90 text-white"
+          >
+            {submitting && <Loader2 className="animate-spin" />}
+            Pair
+          </Button>
+          <p className="text-xs text-muted-foreground/60 text-center">
+            3-10 letters, numbers, and hyphens
+          </p>
+        </div>
+      </form>
+      <div className="flex-shrink-0 bg-black h-[env(safe-area-inset-bottom)]" />
+    </div>
+  );
+}
+
+export default DeviceNamePrompt;
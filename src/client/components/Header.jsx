@@ -1,11 +1,13 @@
 import { useState } from 'react';
-import { Shield, ShieldCheck, RotateCw, X, Loader } from 'lucide-react';
+import { Shield, ShieldCheck, RotateCw, X, Loader, Film, Bell, BellOff } from 'lucide-react';
 import { Button } from '@/components/ui/button';
+import RecordingsView from './RecordingsView';
 import rabbitLogo from '../assets/rabbit.svg';
 
-function Header({ fingerprint, connectionState }) {
+function Header({ fingerprint, keyRotatedAt, connectionState, socket, decryptOutput, canViewRecordings, notificationPermission, onEnableNotifications }) {
   const isReconnecting = connectionState === 'reconnecting';
   const [showModal, setShowModal] = useState(false);
+  const [showRecordings, setShowRecordings] = useState(false);
   const words = fingerprint ? fingerprint.split('-') : [];
   const isSecure = !!fingerprint;
 
@@ -28,6 +30,49 @@ function Header({ fingerprint, connectionState }) {
               />
             </div>
           )}
+          {notificationPermission !== 'unsupported' && (
+            <Button
+              variant="ghost"
+              size="icon-sm"
+              onClick={onEnableNotifications}
+              disabled={notificationPermission !== 'default'}
+              className="rounded-full"
+              title={{
+                granted: 'Notifying when long commands finish',
+                denied: 'Notifications blocked in browser settings',
+              }[notificationPermission] || 'Notify when long commands finish'}
+            >
+              {notificationPermission === 'granted' ? (
+                <Bell
+                  size={16}
+                  strokeWidth={2}
+                  className="text-[#4B5AFF]"
+                />
+              ) : (
+                <BellOff
+                  size={16}
+                  strokeWidth={2}
+                  className="text-white/40"
+                />
+              )}
+            </Button>
+          )}
+          {canViewRecordings && (
+            <Button
+              variant="ghost"
+              size="icon-sm"
+              onClick={() => setShowRecordings(true)}
+              disabled={!fingerprint}
+              className="rounded-full"
+              title="Recordings"
+            >
+              <Film
+                size={16}
+                strokeWidth={2}
+                className="text-[#4B5AFF]"
+              />
+            </Button>
+          )}
           <Button
             variant="ghost"
             size="icon-sm"
@@ -66,6 +111,14 @@ function Header({ fingerprint, connectionState }) {
         </div>
       </header>
 
+      {showRecordings && (
+        <RecordingsView
+          socket={socket}
+          decryptOutput={decryptOutput}
+          onClose={() => setShowRecordings(false)}
+        />
+      )}
+
       {/* Fingerprint verification modal */}
       {showModal && (
         <div className="fixed inset-0 bg-black z-[2000] flex flex-col" style={{ paddingTop: 'env(safe-area-inset-top)' }}>
@@ -110,6 +163,11 @@ function Header({ fingerprint, connectionState }) {
             <p style={{ fontSize: 12, color: 'rgba(255, 255, 255, 0.5)', textAlign: 'center', marginTop: 16 }}>
               Verify these words match your desktop app
             </p>
+            {keyRotatedAt && (
+              <p style={{ fontSize: 11, color: 'rgba(255, 255, 255, 0.3)', textAlign: 'center', marginTop: 6, fontFamily: 'var(--font-mono)' }}>
+                Key rotated at {new Date(keyRotatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </p>
+            )}
           </div>
         </div>
       )}
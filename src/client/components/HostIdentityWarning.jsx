@@ -0,0 +1,54 @@
+import { ShieldAlert } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// Short, groupable form of a host identity id (hex SHA-256 of its public key)
+function formatIdentity(id) {
+  return id ? id.slice(0, 16).match(/.{4}/g).join(' ') : 'none';
+}
+
+// Shown instead of pairing or authenticating when the host didn't prove the identity
+// pinned when this device paired: someone may be relaying the connection
+function HostIdentityWarning({ expected, received, onForget }) {
+  return (
+    <div className="h-dvh w-full flex flex-col bg-black pl-[env(safe-area-inset-left)] pr-[env(safe-area-inset-right)]">
+      <div className="flex-shrink-0 bg-black h-[env(safe-area-inset-top)]" />
+      <div className="flex-1 flex flex-col items-center justify-center gap-6 p-10 bg-black">
+        <span className="font-mono text-xs font-normal tracking-wider text-foreground">
+          ROOT_OPERATOR
+        </span>
+
+        <ShieldAlert className="w-8 h-8 text-destructive" strokeWidth={1.5} />
+
+        <div className="flex flex-col items-center gap-3">
+          <h1 className="text-xl font-semibold text-foreground text-center">
+            Host identity changed
+          </h1>
+          <p className="text-sm text-muted-foreground text-center max-w-[300px] leading-relaxed">
+            This connection wasn't signed by the computer this device paired with.
+            Someone may be intercepting it, so nothing was sent.
+          </p>
+        </div>
+
+        <div className="flex flex-col gap-1 font-mono text-[11px] text-center">
+          <span className="text-white/50">Paired: {formatIdentity(expected)}</span>
+          <span className="text-destructive">Received: {formatIdentity(received)}</span>
+        </div>
+
+        <div className="flex flex-col items-center gap-2">
+          <Button variant="ghost" size="sm" onClick={() => location.reload()} className="rounded-full">
+            Try again
+          </Button>
+          <Button variant="ghost" size="sm" onClick={onForget} className="rounded-full text-destructive">
+            Forget host and pair again
+          </Button>
+        </div>
+        <p className="text-xs text-muted-foreground/60 text-center max-w-[300px]">
+          Only forget the host if you know its keys were reset, for example on a new computer.
+        </p>
+      </div>
+      <div className="flex-shrink-0 bg-black h-[env(safe-area-inset-bottom)]" />
+    </div>
+  );
+}
+
+export default HostIdentityWarning;
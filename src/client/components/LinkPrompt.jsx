@@ -0,0 +1,32 @@
+import { ExternalLink } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// Confirmation showing where a terminal hyperlink really goes before opening it
+function LinkPrompt({ url, onOpen, onDismiss }) {
+  return (
+    <div
+      className="fixed left-3 right-3 z-[1500] flex flex-col gap-2 p-3 bg-zinc-900 border border-white/10 rounded-lg shadow-lg"
+      style={{ bottom: 'calc(env(safe-area-inset-bottom) + 12px)' }}
+    >
+      <div className="flex items-center gap-2">
+        <ExternalLink size={14} strokeWidth={2} className="text-[#4B5AFF]" />
+        <span className="text-sm text-white">
+          Open link to <span className="font-mono">{url.host}</span>?
+        </span>
+      </div>
+      <p className="font-mono text-[11px] text-white/50 break-all line-clamp-3">
+        {url.href}
+      </p>
+      <div className="flex justify-end gap-1">
+        <Button variant="ghost" size="sm" onClick={onDismiss} className="rounded-full text-white/60">
+          Cancel
+        </Button>
+        <Button size="sm" onClick={onOpen} className="rounded-full bg-[#4B5AFF] hover:bg-[#4B5AFF]/90 text-white">
+          Open
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default LinkPrompt;
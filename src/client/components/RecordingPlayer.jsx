@@ -0,0 +1,184 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+import { Terminal as XTerm } from 'xterm';
+import { Play, Pause, RotateCcw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// Long pauses (coffee breaks, waiting on a build) are shortened during playback
+const IDLE_TIME_LIMIT = 2;
+const SPEEDS = [1, 2, 4];
+
+// asciicast v2: header line, then [time, code, data] event lines
+function parseAsciicast(text) {
+  const lines = text.split('\n').filter(Boolean);
+  const header = JSON.parse(lines[0]);
+  if (header.version !== 2) throw new Error('Unsupported recording format');
+
+  const events = [];
+  let last = 0;
+  let shift = 0;
+  for (const line of lines.slice(1)) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      continue; // A recording cut short may end in a partial line
+    }
+    if (!Array.isArray(event) || typeof event[0] !== 'number') continue;
+    const [time, code, data] = event;
+    shift += Math.max(0, time - last - IDLE_TIME_LIMIT);
+    last = time;
+    events.push({ time: time - shift, code, data: String(data) });
+  }
+  return { header, events };
+}
+
+const formatTime = (seconds) => {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+function RecordingPlayer({ content }) {
+  const containerRef = useRef(null);
+  const termRef = useRef(null);
+  const castRef = useRef(null);
+  const indexRef = useRef(0);
+  const timerRef = useRef(null);
+  const speedRef = useRef(1);
+  const positionRef = useRef(0); // Playback time in seconds, for resuming after a pause
+  const [playing, setPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [speed, setSpeed] = useState(1);
+  const [marker, setMarker] = useState('');
+  const [error, setError] = useState(null);
+
+  // Terminal at the recorded size; the container scrolls if it does not fit
+  useEffect(() => {
+    let cast;
+    try {
+      cast = parseAsciicast(content);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+    castRef.current = cast;
+    setDuration(cast.events.length > 0 ? cast.events[cast.events.length - 1].time : 0);
+
+    const term = new XTerm({
+      cols: cast.header.width,
+      rows: cast.header.height,
+      disableStdin: true,
+      cursorBlink: false,
+      theme: { background: '#000000', foreground: '#ffffff' },
+      fontSize: 12,
+      fontFamily: 'Menlo, Monaco, "Courier New", monospace',
+      scrollback: 1000,
+    });
+    term.open(containerRef.current);
+    termRef.current = term;
+    indexRef.current = 0;
+
+    return () => {
+      clearTimeout(timerRef.current);
+      term.dispose();
+      termRef.current = null;
+    };
+  }, [content]);
+
+  // Apply every event due at the next event's time, then wait for the one after
+  const step = useCallback(() => {
+    const { events } = castRef.current;
+    const term = termRef.current;
+    let i = indexRef.current;
+    const now = events[i].time;
+
+    while (i < events.length && events[i].time <= now) {
+      const { code, data } = events[i];
+      if (code === 'o') {
+        term.write(data);
+      } else if (code === 'r') {
+        const [cols, rows] = data.split('x').map((n) => parseInt(n, 10));
+        if (cols > 0 && rows > 0) term.resize(cols, rows);
+      } else if (code === 'm') {
+        setMarker(data);
+      }
+      i++;
+    }
+    indexRef.current = i;
+    positionRef.current = now;
+    setPosition(now);
+
+    if (i >= events.length) {
+      setPlaying(false);
+      return;
+    }
+    timerRef.current = setTimeout(step, ((events[i].time - now) * 1000) / speedRef.current);
+  }, []);
+
+  const handlePlay = () => {
+    const cast = castRef.current;
+    if (!cast || cast.events.length === 0) return;
+    if (playing) {
+      clearTimeout(timerRef.current);
+      setPlaying(false);
+      return;
+    }
+    if (indexRef.current >= cast.events.length) {
+      handleRestart();
+    }
+    setPlaying(true);
+    const { events } = cast;
+    timerRef.current = setTimeout(step, ((events[indexRef.current].time - positionRef.current) * 1000) / speedRef.current);
+  };
+
+  const handleRestart = () => {
+    clearTimeout(timerRef.current);
+    setPlaying(false);
+    indexRef.current = 0;
+    positionRef.current = 0;
+    setPosition(0);
+    setMarker('');
+    const { header } = castRef.current;
+    termRef.current.reset();
+    termRef.current.resize(header.width, header.height);
+  };
+
+  const handleSpeed = () => {
+    const next = SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length];
+    speedRef.current = next;
+    setSpeed(next);
+  };
+
+  if (error) {
+    return <p className="text-sm text-white/50 text-center mt-8">{error}</p>;
+  }
+
+  return (
+    <div className="flex-1 min-h-0 flex flex-col">
+      <div ref={containerRef} className="flex-1 min-h-0 overflow-auto" style={{ padding: 8 }} />
+      <div className="flex-shrink-0 h-11 flex items-center gap-1 bg-black" style={{ paddingLeft: 8, paddingRight: 12 }}>
+        <Button variant="ghost" size="icon-sm" onClick={handlePlay} className="rounded-full" title={playing ? 'Pause' : 'Play'}>
+          {playing ? (
+            <Pause size={16} strokeWidth={2} className="text-[#4B5AFF]" />
+          ) : (
+            <Play size={16} strokeWidth={2} className="text-[#4B5AFF]" />
+          )}
+        </Button>
+        <Button variant="ghost" size="icon-sm" onClick={handleRestart} className="rounded-full" title="Restart">
+          <RotateCcw size={16} strokeWidth={2} className="text-white/60" />
+        </Button>
+        <button onClick={handleSpeed} className="font-mono text-xs text-white/60 w-8">
+          {speed}x
+        </button>
+        <span className="font-mono text-xs text-white/40">
+          {formatTime(position)} / {formatTime(duration)}
+        </span>
+        <span className="flex-1 text-right font-mono text-[11px] text-white/40 truncate">
+          {marker}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default RecordingPlayer;
@@ -0,0 +1,93 @@
+import { useEffect, useState } from 'react';
+import { ArrowLeft, X, Loader } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useRecordings } from '../hooks/useRecordings';
+import RecordingPlayer from './RecordingPlayer';
+
+const formatSize = (bytes) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// Full-screen list of the host's session recordings with an in-place player
+function RecordingsView({ socket, decryptOutput, onClose }) {
+  const { recordings, error, refresh, load } = useRecordings(socket, decryptOutput);
+  const [selected, setSelected] = useState(null); // { id, content }
+  const [loadingId, setLoadingId] = useState(null);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleSelect = async (id) => {
+    setLoadingId(id);
+    try {
+      const content = await load(id);
+      setSelected({ id, content });
+    } catch (e) {
+      // Shown through the hook's error state
+    }
+    setLoadingId(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black z-[2000] flex flex-col" style={{ paddingTop: 'env(safe-area-inset-top)', paddingBottom: 'env(safe-area-inset-bottom)' }}>
+      <div className="flex-shrink-0 h-11 flex items-center justify-between bg-black" style={{ paddingLeft: 12, paddingRight: 12 }}>
+        <div className="flex items-center gap-1">
+          {selected && (
+            <Button
+              variant="ghost"
+              size="icon-sm"
+              onClick={() => setSelected(null)}
+              className="rounded-full text-white/60 hover:text-white transition-colors duration-200"
+            >
+              <ArrowLeft strokeWidth={2} />
+            </Button>
+          )}
+          <span className="font-mono text-xs font-normal tracking-wider text-white">
+            RECORDINGS
+          </span>
+        </div>
+        <Button
+          variant="ghost"
+          size="icon-sm"
+          onClick={onClose}
+          className="rounded-full text-white/60 hover:text-white transition-colors duration-200"
+        >
+          <X strokeWidth={2} />
+        </Button>
+      </div>
+
+      {selected ? (
+        <RecordingPlayer key={selected.id} content={selected.content} />
+      ) : (
+        <div className="flex-1 min-h-0 overflow-y-auto flex flex-col gap-1" style={{ paddingLeft: 12, paddingRight: 12 }}>
+          {recordings.length === 0 && (
+            <p className="text-sm text-white/50 text-center mt-8">
+              No recordings. Turn on recording in the desktop app's settings.
+            </p>
+          )}
+          {recordings.map((recording) => (
+            <button
+              key={recording.id}
+              onClick={() => handleSelect(recording.id)}
+              disabled={loadingId !== null}
+              className="flex justify-between items-center py-2 px-3 bg-white/5 rounded-lg text-left"
+            >
+              <div className="flex flex-col">
+                <span className="font-mono text-xs text-white/80">{recording.title}</span>
+                <span className="font-mono text-[11px] text-white/40">
+                  {new Date(recording.startedAt).toLocaleString()} · {formatSize(recording.size)}
+                </span>
+              </div>
+              {loadingId === recording.id && (
+                <Loader size={14} strokeWidth={2} className="text-[#4B5AFF] animate-spin" />
+              )}
+            </button>
+          ))}
+          {error && <p className="text-xs text-red-400 text-center mt-2">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecordingsView;
@@ -0,0 +1,175 @@
+import { useState, useRef, useEffect } from 'react';
+import { X, Loader, ChevronUp, ChevronDown } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useScrollback } from '../hooks/useScrollback';
+
+// Rows around the estimated position checked when looking for a match in xterm's buffer
+const LOCAL_SEARCH_RADIUS = 200;
+// Lines shown around a match that is no longer held locally
+const HISTORY_CONTEXT = 20;
+
+// Find a host scrollback line in xterm's local buffer. Host lines count from the end
+// of the output, so the estimate is exact unless long lines wrapped; the row text
+// is compared to settle it.
+function findLocalRow(terminal, match, totalLines) {
+  const text = match.text.trimEnd();
+  if (!text) return -1;
+  const buffer = terminal.buffer.active;
+  const lastComplete = buffer.baseY + buffer.cursorY - 1;
+  const estimate = lastComplete - (totalLines - match.line);
+
+  for (let distance = 0; distance <= LOCAL_SEARCH_RADIUS; distance++) {
+    for (const row of [estimate - distance, estimate + distance]) {
+      if (row < 0 || row >= buffer.length) continue;
+      const rowText = buffer.getLine(row)?.translateToString(true).trimEnd();
+      if (!rowText || !text.startsWith(rowText)) continue;
+      // Either the whole line, or its first row when it wrapped
+      if (rowText.length === text.length || rowText.length >= terminal.cols - 1) return row;
+    }
+  }
+  return -1;
+}
+
+function ScrollbackSearch({ sessionId, socket, encryptInput, decryptOutput, terminal, onClose }) {
+  const { search, lines } = useScrollback(sessionId, socket, encryptInput, decryptOutput);
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [ignoreCase, setIgnoreCase] = useState(true);
+  const [results, setResults] = useState(null); // { matches, nextBefore, totalLines }
+  const [history, setHistory] = useState(null); // { lines, target, firstLine, totalLines }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const run = async (task) => {
+    setLoading(true);
+    setError('');
+    try {
+      await task();
+    } catch (e) {
+      setError(e.message);
+    }
+    setLoading(false);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (!query) return;
+    setHistory(null);
+    run(async () => {
+      const result = await search(query, { ignoreCase });
+      setResults(result);
+    });
+  };
+
+  const handleMore = () => run(async () => {
+    const result = await search(query, { ignoreCase, before: results.nextBefore });
+    setResults((prev) => ({ ...result, matches: [...prev.matches, ...result.matches] }));
+  });
+
+  const showHistory = (from, target) => run(async () => {
+    const result = await lines(Math.max(1, from), HISTORY_CONTEXT * 2 + 1);
+    setHistory({ ...result, target });
+  });
+
+  // Scroll the terminal to the match if it still holds it, otherwise show it from the host
+  const handleJump = (match) => {
+    const row = terminal ? findLocalRow(terminal, match, results.totalLines) : -1;
+    if (row !== -1) {
+      terminal.scrollToLine(Math.max(0, row - Math.floor(terminal.rows / 2)));
+      terminal.select(0, row, terminal.cols);
+      return;
+    }
+    showHistory(match.line - HISTORY_CONTEXT, match.line);
+  };
+
+  const pageHistory = (direction) => {
+    showHistory(history.lines[0]?.line + direction * (HISTORY_CONTEXT * 2 + 1), history.target);
+  };
+
+  return (
+    <div className="flex-shrink-0 flex flex-col bg-black border-b border-white/10" style={{ paddingLeft: 12, paddingRight: 8 }}>
+      <form onSubmit={handleSearch} className="h-9 flex items-center gap-2">
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search history (regex)"
+          spellCheck={false}
+          autoCapitalize="off"
+          autoCorrect="off"
+          className="flex-1 min-w-0 bg-transparent font-mono text-xs text-white placeholder:text-white/30 focus:outline-none"
+        />
+        <button
+          type="button"
+          onClick={() => setIgnoreCase((v) => !v)}
+          className={`font-mono text-[11px] ${ignoreCase ? 'text-white/40' : 'text-[#4B5AFF]'}`}
+          title={ignoreCase ? 'Case insensitive' : 'Case sensitive'}
+        >
+          Aa
+        </button>
+        {loading && <Loader size={14} strokeWidth={2} className="text-[#4B5AFF] animate-spin" />}
+        <Button variant="ghost" size="icon-sm" onClick={onClose} className="rounded-full" title="Close search">
+          <X size={14} strokeWidth={2} className="text-white/60" />
+        </Button>
+      </form>
+
+      {error && <p className="pb-2 font-mono text-[11px] text-red-400">{error}</p>}
+
+      {history ? (
+        <div className="flex flex-col pb-2">
+          <div className="flex items-center justify-between">
+            <button onClick={() => setHistory(null)} className="font-mono text-[11px] text-[#4B5AFF]">
+              Back to results
+            </button>
+            <div className="flex items-center">
+              <Button variant="ghost" size="icon-sm" onClick={() => pageHistory(-1)} disabled={loading || history.lines[0]?.line <= history.firstLine} className="rounded-full" title="Older">
+                <ChevronUp size={14} strokeWidth={2} className="text-white/60" />
+              </Button>
+              <Button variant="ghost" size="icon-sm" onClick={() => pageHistory(1)} disabled={loading || history.lines[history.lines.length - 1]?.line >= history.totalLines} className="rounded-full" title="Newer">
+                <ChevronDown size={14} strokeWidth={2} className="text-white/60" />
+              </Button>
+            </div>
+          </div>
+          <div className="max-h-[50vh] overflow-auto">
+            {history.lines.map(({ line, text }) => (
+              <div key={line} className={`flex gap-2 font-mono text-[11px] whitespace-pre ${line === history.target ? 'bg-[#4B5AFF]/30 text-white' : 'text-white/70'}`}>
+                <span className="w-12 flex-shrink-0 text-right text-white/30">{line}</span>
+                <span>{text}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : results && (
+        <div className="flex flex-col pb-2">
+          <span className="font-mono text-[10px] text-white/40">
+            {results.matches.length === 0 ? 'No matches' : `${results.matches.length}${results.nextBefore ? '+' : ''} matches`} in {results.totalLines} lines
+          </span>
+          <div className="max-h-48 overflow-y-auto">
+            {results.matches.map((match) => (
+              <button
+                key={match.line}
+                onClick={() => handleJump(match)}
+                className="w-full flex gap-2 py-0.5 text-left font-mono text-[11px] text-white/70 hover:bg-white/10"
+              >
+                <span className="w-12 flex-shrink-0 text-right text-white/30">{match.line}</span>
+                <span className="truncate">{match.text}</span>
+              </button>
+            ))}
+          </div>
+          {results.nextBefore && (
+            <button onClick={handleMore} disabled={loading} className="self-start font-mono text-[11px] text-[#4B5AFF]">
+              Load older matches
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScrollbackSearch;
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { Plus, X, Search } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// Matches the server-side MAX_SESSIONS limit
+const MAX_TABS = 8;
+
+function TabBar({ sessions, activeSessionId, profiles, readOnly, onSelect, onCreate, onClose, onSearch }) {
+  const [showProfiles, setShowProfiles] = useState(false);
+
+  // With a single profile the + button opens a tab directly
+  const handleCreate = () => {
+    if (profiles.length > 1) {
+      setShowProfiles((open) => !open);
+    } else {
+      onCreate(profiles[0]?.id);
+    }
+  };
+
+  const handlePickProfile = (profileId) => {
+    setShowProfiles(false);
+    onCreate(profileId);
+  };
+
+  return (
+    <div className="relative flex-shrink-0">
+      <div
+        className="h-9 flex items-center gap-1 bg-black overflow-x-auto"
+        style={{ paddingLeft: 8, paddingRight: 8 }}
+      >
+        {sessions.map((session, index) => {
+          const isActive = session.id === activeSessionId;
+          return (
+            <div
+              key={session.id}
+              onClick={() => onSelect(session.id)}
+              className={`flex-shrink-0 h-7 flex items-center gap-1 rounded-full cursor-pointer transition-colors duration-200 ${
+                isActive ? 'bg-white/15 text-white' : 'text-white/50'
+              }`}
+              style={{ paddingLeft: 12, paddingRight: readOnly ? 12 : 4 }}
+            >
+              <span className="font-mono text-xs">
+                {index + 1}:{session.title}
+              </span>
+              {!readOnly && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onClose(session.id);
+                  }}
+                  className="w-5 h-5 flex items-center justify-center rounded-full text-white/40 hover:text-white"
+                  title="Close tab"
+                >
+                  <X size={12} strokeWidth={2} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+        <Button
+          variant="ghost"
+          size="icon-sm"
+          onClick={onSearch}
+          disabled={!activeSessionId}
+          className="flex-shrink-0 rounded-full ml-auto"
+          title="Search history"
+        >
+          <Search size={14} strokeWidth={2} className="text-white/60" />
+        </Button>
+        {!readOnly && (
+          <Button
+            variant="ghost"
+            size="icon-sm"
+            onClick={handleCreate}
+            disabled={sessions.length >= MAX_TABS}
+            className="flex-shrink-0 rounded-full"
+            title="New tab"
+          >
+            <Plus size={16} strokeWidth={2} className="text-[#4B5AFF]" />
+          </Button>
+        )}
+      </div>
+
+      {/* Profile picker, shown when more than one shell profile exists */}
+      {showProfiles && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setShowProfiles(false)} />
+          <div className="absolute top-9 right-2 z-50 min-w-40 flex flex-col py-1 bg-zinc-900 border border-white/10 rounded-lg shadow-lg">
+            <span className="px-3 py-1 font-mono text-[10px] tracking-wider text-white/40">
+              NEW TAB
+            </span>
+            {profiles.map((profile) => (
+              <button
+                key={profile.id}
+                onClick={() => handlePickProfile(profile.id)}
+                className="px-3 py-1.5 text-left font-mono text-xs text-white/80 hover:bg-white/10"
+              >
+                {profile.name}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TabBar;
@@ -1,65 +1,145 @@
 import { useRef, useEffect, useCallback, useState } from 'react';
+import { ChevronUp, ChevronDown, TextSelect } from 'lucide-react';
+import { Button } from '@/components/ui/button';
 import { useTerminal } from '../hooks/useTerminal';
+import { useShellIntegration } from '../hooks/useShellIntegration';
+import { useHyperlinks } from '../hooks/useHyperlinks';
+import { parseFrame } from '../hooks/useE2E';
 import VirtualKeyboard from './VirtualKeyboard';
+import ScrollbackSearch from './ScrollbackSearch';
+import LinkPrompt from './LinkPrompt';
 
 // Detect mobile device
 const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
 
-function Terminal({ socket, encryptInput, decryptOutput, e2eReady }) {
+function Terminal({ sessionId, active, socket, encryptInput, encodeInput, decryptOutput, e2eReady, readOnly, showSearch, onCloseSearch }) {
   const containerRef = useRef(null);
   const ctrlRef = useRef(false);
   const shiftRef = useRef(false);
   const [showKeyboard, setShowKeyboard] = useState(false);
 
-  // Track if we've received the initial server buffer after E2E ready
-  const hasReceivedInitialBufferRef = useRef(false);
-
-  const { terminal, write, writeServerBuffer, sendSpecial } = useTerminal(
+  const {
+    terminal,
+    write,
+    writeSnapshot,
+    getLastSeq,
+    sendSpecial,
+    sizeInfo,
+    applyEffectiveSize,
+    claimSize
+  } = useTerminal(
     containerRef,
+    sessionId,
     socket,
-    encryptInput,
+    encodeInput,
     e2eReady,
     ctrlRef,
     shiftRef,
     null
   );
 
-  // Reset initial buffer flag when E2E becomes not ready (reconnection)
-  useEffect(() => {
-    if (!e2eReady) {
-      hasReceivedInitialBufferRef.current = false;
-    }
-  }, [e2eReady]);
+  const { hasMarks, jumpToPrompt, selectOutput } = useShellIntegration(terminal);
+  const { pendingLink, open: openLink, dismiss: dismissLink } = useHyperlinks(terminal);
+
+  // Output sequence tracking for resume. seq and baseSeq are authenticated with the
+  // payload, so they are only trusted once it decrypts; frames are still handled in
+  // arrival order (processingRef) so duplicates and gaps are detected correctly.
+  const receivedSeqRef = useRef(null);
+  const resyncingRef = useRef(false);
+  const processingRef = useRef(Promise.resolve());
 
   useEffect(() => {
     if (!socket) return;
     const handleMessage = async (event) => {
       let msg;
-      try { msg = JSON.parse(event.data); } catch (e) { return; }
-      if (msg.type === 'e2e_output') {
-        const plaintext = await decryptOutput({ iv: msg.iv, data: msg.data, tag: msg.tag });
-        if (plaintext !== null) {
-          // First output after E2E ready is the server buffer
-          if (!hasReceivedInitialBufferRef.current) {
-            hasReceivedInitialBufferRef.current = true;
-            writeServerBuffer(plaintext);
-          } else {
-            write(plaintext);
-          }
-        }
+      if (event.data instanceof ArrayBuffer) {
+        msg = parseFrame(event.data); // Binary output frame
+        if (!msg) return;
+      } else {
+        try { msg = JSON.parse(event.data); } catch (e) { return; }
       }
+      if (msg.sessionId !== sessionId) return;
+
+      // Effective size picked by the server's resize policy
+      if (msg.type === 'session_size') {
+        applyEffectiveSize(msg.cols, msg.rows, msg.policy);
+        return;
+      }
+
+      if (msg.type !== 'e2e_snapshot' && msg.type !== 'e2e_output') return;
+
+      // Decryption is queued now, in arrival order; the result is handled in that order too
+      const decrypted = decryptOutput(msg);
+      processingRef.current = processingRef.current.then(async () => {
+        const plaintext = await decrypted;
+        if (plaintext === null) return; // Tampered with (seq included) or undecryptable
+
+        // Snapshot repaints the whole screen, output (live or resume delta) is appended
+        if (msg.type === 'e2e_snapshot') {
+          receivedSeqRef.current = msg.seq;
+          resyncingRef.current = false;
+          writeSnapshot(plaintext, msg.seq);
+          return;
+        }
+        if (resyncingRef.current) return; // Waiting for a snapshot
+
+        const baseSeq = msg.baseSeq ?? msg.seq - 1;
+        if (receivedSeqRef.current !== null && msg.seq <= receivedSeqRef.current) {
+          return; // Already rendered
+        }
+        if (receivedSeqRef.current !== null && baseSeq !== receivedSeqRef.current) {
+          // Missed output - ask for a full snapshot instead of rendering a broken stream
+          console.warn(`[Terminal] Output gap in ${sessionId} (${receivedSeqRef.current} -> ${baseSeq}), resyncing`);
+          resyncingRef.current = true;
+          receivedSeqRef.current = null;
+          socket.send(JSON.stringify({ type: 'session_attach', sessionId, lastSeq: null, acks: true }));
+          return;
+        }
+        receivedSeqRef.current = msg.seq;
+        write(plaintext, msg.seq);
+      });
     };
     socket.addEventListener('message', handleMessage);
     return () => socket.removeEventListener('message', handleMessage);
-  }, [socket, decryptOutput, write, writeServerBuffer]);
+  }, [socket, sessionId, decryptOutput, write, writeSnapshot, applyEffectiveSize]);
+
+  // Attach to the session once the channel is secure (initial connect and every reconnect).
+  // Reporting the last rendered sequence lets the server send only the missing output.
+  useEffect(() => {
+    if (!socket || !e2eReady || socket.readyState !== WebSocket.OPEN) return;
+    const lastSeq = getLastSeq();
+    receivedSeqRef.current = lastSeq;
+    resyncingRef.current = false;
+    socket.send(JSON.stringify({ type: 'session_attach', sessionId, lastSeq, acks: true }));
+  }, [socket, e2eReady, sessionId, getLastSeq]);
+
+  // Read-only devices can watch but not type (the server rejects their input anyway)
+  useEffect(() => {
+    if (terminal) terminal.options.disableStdin = !!readOnly;
+    if (readOnly) setShowKeyboard(false);
+  }, [terminal, readOnly]);
+
+  // Focus the terminal when its tab is selected
+  useEffect(() => {
+    if (active) terminal?.focus();
+  }, [active, terminal]);
 
   const handleContainerClick = useCallback(() => {
     terminal?.focus();
     // Only toggle virtual keyboard on mobile
-    if (isMobile) {
+    if (isMobile && !readOnly) {
       setShowKeyboard(prev => !prev);
     }
-  }, [terminal]);
+  }, [terminal, readOnly]);
+
+  // Select the command's output and copy it where the clipboard is available
+  const handleSelectOutput = useCallback(async () => {
+    const text = selectOutput();
+    if (!text) return;
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (err) {}
+  }, [selectOutput]);
 
   const handleInput = useCallback((char) => sendSpecial(char), [sendSpecial]);
   const handleSpecialKey = useCallback((seq) => sendSpecial(seq), [sendSpecial]);
@@ -71,13 +151,62 @@ function Terminal({ socket, encryptInput, decryptOutput, e2eReady }) {
   }, [sendSpecial]);
 
   return (
-    <div className="terminal-layout">
+    <div className="terminal-layout" style={active ? undefined : { display: 'none' }}>
+      {showSearch && (
+        <ScrollbackSearch
+          sessionId={sessionId}
+          socket={socket}
+          encryptInput={encryptInput}
+          decryptOutput={decryptOutput}
+          terminal={terminal}
+          onClose={onCloseSearch}
+        />
+      )}
+
+      {/* Another device sets this session's size; show it letterboxed instead of refitting */}
+      {sizeInfo.letterboxed && (
+        <div className="flex-shrink-0 h-7 flex items-center justify-between bg-black" style={{ paddingLeft: 12, paddingRight: 8 }}>
+          <span className="font-mono text-[11px] text-white/40">
+            Sized by another device · {sizeInfo.cols}×{sizeInfo.rows}
+          </span>
+          {sizeInfo.policy !== 'smallest' && !readOnly && (
+            <button
+              onClick={claimSize}
+              className="font-mono text-[11px] text-[#4B5AFF]"
+            >
+              Fit to this screen
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Terminal - fluid, takes remaining space */}
-      <div
-        ref={containerRef}
-        className="terminal-area"
-        onClick={handleContainerClick}
-      />
+      <div className="relative flex-1 min-h-0 flex flex-col">
+        <div
+          ref={containerRef}
+          className={`terminal-area ${sizeInfo.letterboxed ? 'letterboxed' : ''}`}
+          onClick={handleContainerClick}
+        />
+
+        {/* Prompt navigation, once the shell has sent OSC 133 marks */}
+        {hasMarks && (
+          <div className="absolute top-1 right-4 z-10 flex items-center bg-black/80 border border-white/10 rounded-full">
+            <Button variant="ghost" size="icon-sm" onClick={() => jumpToPrompt(-1)} className="rounded-full" title="Previous prompt">
+              <ChevronUp size={14} strokeWidth={2} className="text-white/60" />
+            </Button>
+            <Button variant="ghost" size="icon-sm" onClick={() => jumpToPrompt(1)} className="rounded-full" title="Next prompt">
+              <ChevronDown size={14} strokeWidth={2} className="text-white/60" />
+            </Button>
+            <Button variant="ghost" size="icon-sm" onClick={handleSelectOutput} className="rounded-full" title="Select command output">
+              <TextSelect size={14} strokeWidth={2} className="text-white/60" />
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {pendingLink && active && (
+        <LinkPrompt url={pendingLink} onOpen={openLink} onDismiss={dismissLink} />
+      )}
 
       {/* Keyboard - only on mobile */}
       {isMobile && (
@@ -6,25 +6,11 @@ const RSA_PSS_PARAMS = {
   hash: "SHA-256"
 };
 
-// Pairing code characters (no ambiguous chars)
-const PAIRING_CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
-
 // IndexedDB configuration
 const DB_NAME = 'root_operator_keys';
 const DB_VERSION = 1;
 const STORE_NAME = 'keys';
 
-// Generate 6-character pairing code
-function generatePairingCode() {
-  const array = new Uint8Array(6);
-  crypto.getRandomValues(array);
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += PAIRING_CODE_CHARS[array[i] % PAIRING_CODE_CHARS.length];
-  }
-  return code;
-}
-
 // IndexedDB helper functions
 function openDatabase() {
   return new Promise((resolve, reject) => {
@@ -66,6 +52,31 @@ async function saveKeysToIndexedDB(keyData) {
   });
 }
 
+// Host identity pinned on pairing or first sign-in: { id: 'host_identity', identity: { id, jwk }, pinnedAt }
+async function getHostPinFromIndexedDB() {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.get('host_identity');
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+async function saveHostPinToIndexedDB(identity) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.put({ id: 'host_identity', identity, pinnedAt: Date.now() });
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
+
 async function clearIndexedDB() {
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
@@ -78,6 +89,16 @@ async function clearIndexedDB() {
   });
 }
 
+// A link from the tray's QR code: #pair=<one-time token>&host=<host identity id>.
+// The fragment never reaches the server or the tunnel.
+function readPairingLink() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const token = params.get('pair');
+  const host = params.get('host');
+  if (!token || !/^[0-9a-f]{64}$/.test(host || '')) return null;
+  return { token, host };
+}
+
 // Migrate from localStorage to IndexedDB (one-time migration)
 async function migrateFromLocalStorage() {
   const storedKeys = localStorage.getItem('pocket_bridge_keys');
@@ -101,16 +122,32 @@ async function migrateFromLocalStorage() {
   }
 }
 
-export function useAuth(socket) {
+// socket: the encrypted channel from useE2E; pairing and authentication start once
+// e2eReady. Challenges are signed bound to the key exchange (authTranscript), and the
+// pairing code is derived from it (derivePairingCode).
+// hostIdentity: who signed this connection's key exchange (useE2E). It is pinned when
+// the device pairs - the pairing code or the QR link vouches for the channel - or, on a
+// device paired before pins existed, on its first successful authentication; after that,
+// a channel signed by any other identity, or by none, stops here with pairingStatus
+// 'identity_mismatch'. forgetHost drops the pin along with the keys, so only a fresh
+// pairing can set a new one.
+// Opened from a QR pairing link, the identity in the link is expected, and a new device
+// asks for its name (pairingStatus 'naming', submitDeviceName) instead of showing a code.
+// A paired device whose key the host let expire gets pairingStatus 'expired' (details in
+// deviceExpiry) rather than a new code: only the host can re-approve it.
+export function useAuth(socket, e2eReady, authTranscript, derivePairingCode, hostIdentity) {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [pairingCode, setPairingCode] = useState(null);
-  const [pairingStatus, setPairingStatus] = useState('connecting'); // connecting, authenticating, waiting, paired
+  const [pairingStatus, setPairingStatus] = useState('connecting'); // connecting, authenticating, waiting, naming, paired, expired, identity_mismatch
   const [pairingError, setPairingError] = useState(null);
   const [keysReady, setKeysReady] = useState(false);
   const [serverReady, setServerReady] = useState(false);
   const [isReturningDevice, setIsReturningDevice] = useState(false);
   const [wasAuthenticatedThisSession, setWasAuthenticatedThisSession] = useState(false);
+  const [identityMismatch, setIdentityMismatch] = useState(null); // { expected, received } ids
+  const [deviceExpiry, setDeviceExpiry] = useState(null); // { reason: 'age' | 'idle', days }
+  const [pairingLink, setPairingLink] = useState(readPairingLink); // { token, host } until paired
   const keyPairRef = useRef(null); // Holds CryptoKey objects (non-extractable private key)
   const keyIdRef = useRef(null);
   const publicJwkRef = useRef(null); // Cached public JWK for sending to server
@@ -200,6 +237,13 @@ export function useAuth(socket) {
     setupKeys();
   }, []);
 
+  // The token is a secret: keep it out of the address bar, history and bookmarks
+  useEffect(() => {
+    if (pairingLink) {
+      history.replaceState(null, '', location.pathname + location.search);
+    }
+  }, [pairingLink]);
+
   // Export public key as JWK (cached)
   const exportPublicKey = useCallback(async () => {
     if (!publicJwkRef.current) {
@@ -208,13 +252,12 @@ export function useAuth(socket) {
     return publicJwkRef.current;
   }, []);
 
-  // Sign a challenge with the private key
+  // Sign a challenge, bound to this connection's key exchange, with the private key
   const signChallenge = useCallback(async (challenge) => {
     if (!keyPairRef.current?.privateKey) {
       throw new Error('Private key not available');
     }
-    const encoder = new TextEncoder();
-    const data = encoder.encode(challenge);
+    const data = await authTranscript(challenge);
     const signature = await window.crypto.subtle.sign(
       { name: "RSA-PSS", saltLength: 32 },
       keyPairRef.current.privateKey,
@@ -224,7 +267,7 @@ export function useAuth(socket) {
     return Array.from(new Uint8Array(signature))
       .map(b => b.toString(16).padStart(2, '0'))
       .join('');
-  }, []);
+  }, [authTranscript]);
 
   // Send pairing request
   const sendPairingRequest = useCallback(async () => {
@@ -235,7 +278,20 @@ export function useAuth(socket) {
     pairingInitiatedRef.current = true;
 
     try {
-      const code = generatePairingCode();
+      // Don't even ask to pair or authenticate unless the host proved the pinned identity,
+      // or the one in the pairing link
+      const pin = await getHostPinFromIndexedDB().catch(() => null);
+      const expectedId = pin ? pin.identity.id : pairingLink?.host;
+      if (expectedId && expectedId !== hostIdentity?.id) {
+        console.error('[AUTH] HOST IDENTITY MISMATCH! Possible MITM attack.');
+        console.error('  Expected:', expectedId);
+        console.error('  Received:', hostIdentity?.id ?? 'none');
+        setIdentityMismatch({ expected: expectedId, received: hostIdentity?.id ?? null });
+        setPairingStatus('identity_mismatch');
+        return;
+      }
+
+      const code = await derivePairingCode();
       setPairingCode(code);
 
       // For returning devices, show "authenticating" instead of pairing code
@@ -246,11 +302,13 @@ export function useAuth(socket) {
 
       const publicJwk = await exportPublicKey();
 
+      // With a pairing link, a registered device is challenged as usual and a new one
+      // is asked for its name (pairing_name_required)
       socket.send(JSON.stringify({
         type: 'pairing_request',
-        code: code,
         keyId: keyIdRef.current,
-        jwk: publicJwk
+        jwk: publicJwk,
+        ...(pairingLink && { pairingToken: pairingLink.token })
       }));
 
       console.log('[AUTH] Sent pairing request with code:', code);
@@ -259,15 +317,34 @@ export function useAuth(socket) {
       setPairingError('Failed to initiate pairing');
       pairingInitiatedRef.current = false;
     }
-  }, [socket, exportPublicKey, isReturningDevice]);
+  }, [socket, exportPublicKey, isReturningDevice, derivePairingCode, hostIdentity, pairingLink]);
+
+  // Finish pairing from a link: the host registers the key under this name
+  const submitDeviceName = useCallback(async (name) => {
+    if (!socket || !pairingLink) return;
+    try {
+      const publicJwk = await exportPublicKey();
+      socket.send(JSON.stringify({
+        type: 'pairing_request',
+        keyId: keyIdRef.current,
+        jwk: publicJwk,
+        pairingToken: pairingLink.token,
+        name
+      }));
+      console.log('[AUTH] Sent pairing link request as:', name);
+    } catch (e) {
+      console.error('[AUTH] Failed to send pairing request:', e);
+      setPairingError('Failed to initiate pairing');
+    }
+  }, [socket, exportPublicKey, pairingLink]);
 
-  // Initiate pairing when both server and keys are ready
+  // Initiate pairing when the server, the keys and the encrypted channel are ready
   useEffect(() => {
-    if (serverReady && keysReady && socket && socket.readyState === WebSocket.OPEN) {
-      console.log('[AUTH] Both server and keys ready, initiating pairing');
+    if (serverReady && keysReady && e2eReady && socket && socket.readyState === WebSocket.OPEN) {
+      console.log('[AUTH] Server, keys and channel ready, initiating pairing');
       sendPairingRequest();
     }
-  }, [serverReady, keysReady, socket, sendPairingRequest]);
+  }, [serverReady, keysReady, e2eReady, socket, sendPairingRequest]);
 
   // Reset auth state when socket disconnects (handles reconnection)
   // This ensures clean state for the next connection attempt
@@ -283,6 +360,35 @@ export function useAuth(socket) {
     }
   }, [socket]);
 
+  // Pin the identity that signed the channel this device just paired or authenticated on,
+  // unless one is pinned already (then it matched). Pinning on authentication is trust on
+  // first use for devices paired before pins existed; it can't follow forgetHost, which
+  // drops the device keys too.
+  const pinHostIdentity = useCallback(async () => {
+    if (!hostIdentity) return;
+    try {
+      if (!(await getHostPinFromIndexedDB())) {
+        await saveHostPinToIndexedDB(hostIdentity);
+        console.log('[AUTH] Pinned host identity:', hostIdentity.id);
+      }
+    } catch (e) {
+      console.error('[AUTH] Failed to pin host identity:', e);
+    }
+  }, [hostIdentity]);
+
+  // The host's identity changed for real (e.g. its Keychain was reset): forget it and
+  // this device's keys, and pair again from scratch with a new code or a fresh QR code.
+  // A stale pairing link is dropped too; its token was spent on the old identity.
+  const forgetHost = useCallback(async () => {
+    try {
+      await clearIndexedDB();
+    } catch (e) {
+      console.error('[AUTH] Failed to clear keys:', e);
+    }
+    history.replaceState(null, '', location.pathname + location.search);
+    location.reload();
+  }, []);
+
   // Listen for WebSocket messages
   useEffect(() => {
     if (!socket) return;
@@ -310,9 +416,17 @@ export function useAuth(socket) {
         setPairingStatus('waiting');
       }
 
+      // Opened from a pairing link on a new device - ask for its name
+      if (msg.type === 'pairing_name_required') {
+        console.log('[AUTH] Pairing link accepted, asking for device name');
+        setPairingStatus('naming');
+      }
+
       // Pairing successful
       if (msg.type === 'pairing_success') {
         console.log('[AUTH] Pairing successful');
+        pinHostIdentity();
+        setPairingLink(null);
         setPairingStatus('paired');
         setIsAuthenticated(true);
         setWasAuthenticatedThisSession(true);
@@ -340,11 +454,20 @@ export function useAuth(socket) {
       // Auth success (after challenge-response or new pairing)
       if (msg.type === 'auth_success') {
         console.log('[AUTH] Authentication successful');
+        pinHostIdentity();
+        setPairingLink(null);
         setPairingStatus('paired');
         setIsAuthenticated(true);
         setWasAuthenticatedThisSession(true);
       }
 
+      // Host refused this device's key as expired - it has to re-approve it
+      if (msg.type === 'device_expired') {
+        console.log('[AUTH] Device key expired:', msg.reason);
+        setDeviceExpiry({ reason: msg.reason, days: msg.days });
+        setPairingStatus('expired');
+      }
+
       // Pairing expired
       if (msg.type === 'pairing_expired') {
         console.log('[AUTH] Pairing code expired');
@@ -367,7 +490,7 @@ export function useAuth(socket) {
 
     socket.addEventListener('message', handleMessage);
     return () => socket.removeEventListener('message', handleMessage);
-  }, [socket, signChallenge]);
+  }, [socket, signChallenge, pinHostIdentity]);
 
   return {
     isAuthenticated,
@@ -376,6 +499,10 @@ export function useAuth(socket) {
     pairingStatus,
     pairingError,
     isReturningDevice,
-    wasAuthenticatedThisSession
+    wasAuthenticatedThisSession,
+    identityMismatch,
+    deviceExpiry,
+    forgetHost,
+    submitDeviceName
   };
 }
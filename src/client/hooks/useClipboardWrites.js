@@ -0,0 +1,65 @@
+import { useEffect, useState, useCallback } from 'react';
+
+/**
+ * Hook for clipboard writes from programs on the host (OSC 52, e.g. tmux or nvim
+ * yank), sent encrypted as e2e_clipboard to devices that opted in.
+ *
+ * Writes the host marks as confirmed are copied right away; others, and any the
+ * browser refuses without a user gesture, wait in `pending` until accept() is
+ * called from a click. A newer write replaces one still pending.
+ */
+export function useClipboardWrites(socket, decryptOutput) {
+  const [pending, setPending] = useState(null); // { sessionId, text }
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleMessage = async (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+      if (msg.type !== 'e2e_clipboard') return;
+
+      const plaintext = await decryptOutput(msg);
+      if (plaintext === null) return;
+
+      let write;
+      try {
+        write = JSON.parse(plaintext);
+      } catch (e) {
+        return;
+      }
+      if (typeof write.text !== 'string' || !write.text) return;
+
+      if (!write.confirm) {
+        try {
+          await navigator.clipboard.writeText(write.text);
+          return;
+        } catch (e) {
+          // Needs a user gesture here; fall back to asking
+        }
+      }
+      setPending({ sessionId: msg.sessionId, text: write.text });
+    };
+
+    socket.addEventListener('message', handleMessage);
+    return () => socket.removeEventListener('message', handleMessage);
+  }, [socket, decryptOutput]);
+
+  const accept = useCallback(async () => {
+    if (!pending) return;
+    setPending(null);
+    try {
+      await navigator.clipboard.writeText(pending.text);
+    } catch (e) {
+      console.warn('[Clipboard] Write refused:', e.message);
+    }
+  }, [pending]);
+
+  const dismiss = useCallback(() => setPending(null), []);
+
+  return { pending, accept, dismiss };
+}
@@ -0,0 +1,77 @@
+import { useEffect, useState, useCallback } from 'react';
+
+const supported = typeof window !== 'undefined' && 'Notification' in window;
+
+const formatDuration = (ms) => {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  return m < 60 ? `${m}m ${s % 60}s` : `${Math.floor(m / 60)}h ${m % 60}m`;
+};
+
+/**
+ * Hook turning the host's command_done events (long commands that finished, sent
+ * encrypted as e2e_command_done) into system notifications while the page is hidden.
+ * The host applies the duration threshold; onSelect(sessionId) runs when a
+ * notification is clicked.
+ */
+export function useCommandNotifications(socket, decryptOutput, onSelect) {
+  const [permission, setPermission] = useState(supported ? Notification.permission : 'unsupported');
+
+  useEffect(() => {
+    if (!socket || !supported) return;
+
+    const handleMessage = async (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+      if (msg.type !== 'e2e_command_done') return;
+      if (document.visibilityState !== 'hidden' || Notification.permission !== 'granted') return;
+
+      const plaintext = await decryptOutput(msg);
+      if (plaintext === null) return;
+
+      let done;
+      try {
+        done = JSON.parse(plaintext);
+      } catch (e) {
+        return;
+      }
+
+      const failed = done.exitCode !== null && done.exitCode !== 0;
+      const status = done.exitCode === null ? 'Finished' : failed ? `Failed (exit ${done.exitCode})` : 'Succeeded';
+      try {
+        const notification = new Notification(done.command || done.title || 'Command finished', {
+          body: `${status} after ${formatDuration(done.duration)} · ${done.title}`,
+          tag: `command-${msg.sessionId}`,
+        });
+        notification.onclick = () => {
+          window.focus();
+          onSelect?.(msg.sessionId);
+          notification.close();
+        };
+      } catch (e) {
+        // Some browsers only allow notifications from a service worker
+      }
+    };
+
+    socket.addEventListener('message', handleMessage);
+    return () => socket.removeEventListener('message', handleMessage);
+  }, [socket, decryptOutput, onSelect]);
+
+  // Must be called from a user gesture (iOS)
+  const requestPermission = useCallback(async () => {
+    if (!supported) return;
+    try {
+      setPermission(await Notification.requestPermission());
+    } catch (e) {
+      // Older Safari only supports the callback form
+      Notification.requestPermission(setPermission);
+    }
+  }, []);
+
+  return { permission, requestPermission };
+}
@@ -1,4 +1,4 @@
-import { useState, useRef, useCallback, useEffect } from 'react';
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 
 // Helper functions
 function base64ToArrayBuffer(base64) {
@@ -19,129 +19,409 @@ function arrayBufferToBase64(buffer) {
   return btoa(binary);
 }
 
+// Nonces are a direction byte, the 24-bit key epoch (bumped by every rekey) and a
+// 64-bit counter per direction; the direction, message type, session ID and the output's
+// seq, baseSeq and frame flags are authenticated as additional data. Must match
+// buildNonce/buildAad on the host.
+const DIRECTION_TO_CLIENT = 1;
+const DIRECTION_TO_HOST = 2;
+
+function buildNonce(direction, epoch, counter) {
+  const iv = new Uint8Array(12);
+  const view = new DataView(iv.buffer);
+  view.setUint32(0, (direction << 24) | epoch);
+  view.setBigUint64(4, counter);
+  return iv;
+}
+
+function buildAad(direction, { type, sessionId, seq, baseSeq, flags }) {
+  const dir = direction === DIRECTION_TO_CLIENT ? 'h2c' : 'c2h';
+  return new TextEncoder().encode(`${dir}|${type}|${sessionId || ''}|${seq ?? ''}|${baseSeq ?? ''}|${flags || 0}`);
+}
+
+// Binary frames, laid out as in the host's BINARY FRAMES section:
+// u8 type | u8 flags | u8 idLength | sessionId | u32 seq | [u32 baseSeq] | iv(12) | ciphertext | tag(16)
+const FRAME_TYPES = { e2e_output: 1, e2e_snapshot: 2, e2e_input: 3 };
+const FRAME_TYPE_NAMES = { 1: 'e2e_output', 2: 'e2e_snapshot', 3: 'e2e_input' };
+const FRAME_FLAG_DEFLATE = 0x01;
+const FRAME_FLAG_BASE_SEQ = 0x02;
+
+// Compression this browser can undo (DecompressionStream needs Safari 16.4+)
+function supportedCompression() {
+  try {
+    new DecompressionStream('deflate-raw');
+    return ['deflate-raw'];
+  } catch (e) {
+    return [];
+  }
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).arrayBuffer();
+}
+
+/**
+ * Read a binary frame's header. The header is in the clear so terminals can route
+ * frames before decrypting, but it is only authentic once decryptOutput accepts it.
+ * Returns null for anything that isn't a well-formed frame.
+ */
+export function parseFrame(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 3) return null;
+  const type = FRAME_TYPE_NAMES[bytes[0]];
+  const flags = bytes[1];
+  const idEnd = 3 + bytes[2];
+  const hasBaseSeq = (flags & FRAME_FLAG_BASE_SEQ) !== 0;
+  const seqEnd = idEnd + (hasBaseSeq ? 8 : 4);
+  if (!type || bytes.length < seqEnd + 12 + 16) return null;
+
+  const view = new DataView(buffer);
+  return {
+    type,
+    sessionId: String.fromCharCode(...bytes.subarray(3, idEnd)),
+    seq: view.getUint32(idEnd),
+    ...(hasBaseSeq && { baseSeq: view.getUint32(idEnd + 4) }),
+    flags,
+    iv: bytes.subarray(seqEnd, seqEnd + 12),
+    ciphertext: bytes.subarray(seqEnd + 12) // Tag included, as WebCrypto expects
+  };
+}
+
+// Assemble an input frame (input carries no sequence, so seq is 0)
+function buildFrame(type, sessionId, iv, ciphertext) {
+  const headerLength = 3 + sessionId.length + 4;
+  const frame = new Uint8Array(headerLength + iv.byteLength + ciphertext.byteLength);
+  frame[0] = FRAME_TYPES[type];
+  frame[2] = sessionId.length;
+  for (let i = 0; i < sessionId.length; i++) {
+    frame[3 + i] = sessionId.charCodeAt(i);
+  }
+  frame.set(iv, headerLength);
+  frame.set(new Uint8Array(ciphertext), headerLength + iv.byteLength);
+  return frame.buffer;
+}
+
 // Load BIP39 wordlist
 async function loadBIP39Words() {
   const response = await fetch('/bip39-words.json');
   return await response.json();
 }
 
+// Generate our half of an ECDH exchange
+async function generateKeyPair() {
+  return window.crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    ['deriveBits']
+  );
+}
+
+// Answer the server's half of an ECDH exchange (initial or rekey): our public key to
+// send back, the AES-GCM session key and the fingerprint both sides can compare.
+// clientKeyPair: a key pair already sent to the server (the initial exchange), else a
+// new one is generated.
+async function exchangeKeys(serverPublicKey, saltBase64, clientKeyPair = null) {
+  // Import server's public key
+  const serverKeyBytes = base64ToArrayBuffer(serverPublicKey);
+  const serverKey = await window.crypto.subtle.importKey(
+    'raw',
+    serverKeyBytes,
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+
+  // Generate our ECDH key pair
+  clientKeyPair = clientKeyPair || await generateKeyPair();
+
+  // Export our public key to send to server
+  const clientPublicKeyRaw = await window.crypto.subtle.exportKey('raw', clientKeyPair.publicKey);
+
+  // Derive shared secret
+  const sharedSecretBits = await window.crypto.subtle.deriveBits(
+    { name: 'ECDH', public: serverKey },
+    clientKeyPair.privateKey,
+    256
+  );
+
+  // Derive session key using HKDF
+  const salt = base64ToArrayBuffer(saltBase64);
+  const sharedSecretKey = await window.crypto.subtle.importKey(
+    'raw',
+    sharedSecretBits,
+    'HKDF',
+    false,
+    ['deriveKey']
+  );
+
+  const sessionKey = await window.crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: salt,
+      info: new TextEncoder().encode('root-operator-e2e-v1')
+    },
+    sharedSecretKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+
+  // Generate fingerprint (must match server algorithm - 12 words = 132 bits)
+  const combined = new Uint8Array(sharedSecretBits.byteLength + salt.byteLength);
+  combined.set(new Uint8Array(sharedSecretBits), 0);
+  combined.set(new Uint8Array(salt), sharedSecretBits.byteLength);
+  const hash = await window.crypto.subtle.digest('SHA-256', combined);
+  const hashBytes = new Uint8Array(hash);
+
+  // Load BIP39 wordlist
+  const wordlist = await loadBIP39Words();
+
+  // Use 11 bits per word to select from 2048-word BIP39 list
+  const words = [];
+  let bitBuffer = 0;
+  let bitsInBuffer = 0;
+  let byteIndex = 0;
+
+  for (let i = 0; i < 12; i++) {
+    while (bitsInBuffer < 11 && byteIndex < hashBytes.length) {
+      bitBuffer = (bitBuffer << 8) | hashBytes[byteIndex++];
+      bitsInBuffer += 8;
+    }
+    bitsInBuffer -= 11;
+    const index = (bitBuffer >> bitsInBuffer) & 0x7FF;
+    words.push(wordlist[index]);
+  }
+
+  return {
+    publicKey: arrayBufferToBase64(clientPublicKeyRaw),
+    sessionKey,
+    fingerprint: words.join('-')
+  };
+}
+
+// Socket stand-in for the hooks that talk to the server after the key exchange. Control
+// messages go out inside e2e_control envelopes and incoming envelopes are delivered
+// opened, so listeners see the same JSON as before; e2e_* messages and binary frames
+// pass through untouched. Once encryption is active, plaintext control messages from
+// the server are dropped: the host no longer sends any, so they were injected en route.
+// The channel doesn't subscribe to the socket itself; useE2E feeds it socket messages
+// through receive(), from one listener it removes again.
+function createChannel(socket, { isEncrypted, seal, open }) {
+  const target = new EventTarget();
+  const deliver = (data) => target.dispatchEvent(new MessageEvent('message', { data }));
+
+  const receive = (event) => {
+    if (typeof event.data !== 'string') {
+      deliver(event.data);
+      return;
+    }
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+
+    if (msg.type === 'e2e_control') {
+      // Opened in arrival order with the rest of the output (see decryptOutput)
+      open(msg).then((plaintext) => {
+        if (plaintext === null) return;
+        try {
+          if (JSON.parse(plaintext).type?.startsWith('e2e_')) return; // Envelopes don't nest
+        } catch (e) {
+          return;
+        }
+        deliver(plaintext);
+      });
+    } else if (!isEncrypted() || msg.type?.startsWith('e2e_')) {
+      deliver(event.data);
+    } else {
+      console.warn('[E2E] Plaintext control message dropped:', msg.type);
+    }
+  };
+
+  return {
+    socket,
+    receive,
+    get readyState() {
+      return socket.readyState;
+    },
+    get encrypted() {
+      return isEncrypted();
+    },
+    // data: a JSON string or binary frame, as for WebSocket.send
+    send(data) {
+      if (typeof data !== 'string' || JSON.parse(data).type?.startsWith('e2e_')) {
+        socket.send(data);
+        return;
+      }
+      if (!isEncrypted()) {
+        console.warn('[E2E] Control message dropped, encryption not active yet');
+        return;
+      }
+      seal(data).then((encrypted) => {
+        if (encrypted && socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ type: 'e2e_control', ...encrypted }));
+        }
+      });
+    },
+    addEventListener: (type, listener) => target.addEventListener(type, listener),
+    removeEventListener: (type, listener) => target.removeEventListener(type, listener)
+  };
+}
+
+// Pairing code characters (no ambiguous chars), as on the host
+const PAIRING_CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+function concatBytes(parts) {
+  const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+// SHA-256 over a label, this connection's handshake (raw server and client ECDH public
+// keys and the salt) and optional extra bytes
+async function hashHandshake(label, handshake, extra = new Uint8Array(0)) {
+  if (!handshake) {
+    throw new Error('No key exchange on this connection');
+  }
+  return window.crypto.subtle.digest('SHA-256', concatBytes([
+    new TextEncoder().encode(label),
+    new Uint8Array(base64ToArrayBuffer(handshake.serverPublicKey)),
+    new Uint8Array(base64ToArrayBuffer(handshake.clientPublicKey)),
+    new Uint8Array(base64ToArrayBuffer(handshake.salt)),
+    extra
+  ]));
+}
+
+// Whether the server's ECDH key and salt, revealed in e2e_ready, are the ones e2e_init
+// committed to before it saw ours. Must match commitKeyExchange on the host.
+async function checkCommitment(commitment, serverPublicKey, saltBase64) {
+  const digest = await window.crypto.subtle.digest('SHA-256', concatBytes([
+    new TextEncoder().encode('root-operator-commit-v1'),
+    new Uint8Array(base64ToArrayBuffer(serverPublicKey)),
+    new Uint8Array(base64ToArrayBuffer(saltBase64))
+  ]));
+  return arrayBufferToBase64(digest) === commitment;
+}
+
+// Check the host identity's signature over the exchange's ECDH key and salt (see the
+// host's signKeyExchange). Returns { id, jwk } - id: hex SHA-256 of the raw public key, what devices
+// pin - or null if the host sent no identity or the signature doesn't verify.
+async function verifyHostIdentity(identity, serverPublicKey, saltBase64) {
+  if (!identity?.jwk || typeof identity.signature !== 'string') return null;
+  try {
+    const jwk = { kty: 'EC', crv: 'P-256', x: identity.jwk.x, y: identity.jwk.y };
+    const key = await window.crypto.subtle.importKey(
+      'jwk',
+      jwk,
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      true,
+      ['verify']
+    );
+    const valid = await window.crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      base64ToArrayBuffer(identity.signature),
+      concatBytes([
+        new TextEncoder().encode('root-operator-host-v1'),
+        new Uint8Array(base64ToArrayBuffer(serverPublicKey)),
+        new Uint8Array(base64ToArrayBuffer(saltBase64))
+      ])
+    );
+    if (!valid) {
+      console.error('[E2E] Host identity signature invalid');
+      return null;
+    }
+    const hash = await window.crypto.subtle.digest('SHA-256', await window.crypto.subtle.exportKey('raw', key));
+    const id = Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+    return { id, jwk };
+  } catch (e) {
+    console.error('[E2E] Host identity check failed:', e);
+    return null;
+  }
+}
+
 export function useE2E(socket) {
   const [e2eReady, setE2eReady] = useState(false);
   const [fingerprint, setFingerprint] = useState(null);
+  const [keyRotatedAt, setKeyRotatedAt] = useState(null); // Time of the last rekey
+  const [hostIdentity, setHostIdentity] = useState(null); // Verified signer of the key exchange
   const fingerprintRef = useRef(null);
-  const sessionKeyRef = useRef(null);
   const e2eReadyRef = useRef(false);  // Ref to avoid stale closure in callbacks
+  const framingRef = useRef('json');  // 'binary' once the server agrees to binary frames
+  // Keys and nonce counters. Sending uses one key; receiving may briefly hold two
+  // during a rekey, as the server keeps using the old key until it has our answer.
+  const sendKeyRef = useRef(null);  // { key, epoch, counter } - counter: last one used
+  const recvKeyRef = useRef(null);  // { key, epoch, counter } - counter: last one accepted
+  const nextRecvKeyRef = useRef(null);  // { key, epoch } while rekeying
+  const pendingFingerprintRef = useRef(null);  // Fingerprint of the key being rotated in
+  const handshakeRef = useRef(null);  // Public keys and salt of this connection's exchange
+  const pendingExchangeRef = useRef(null);  // { commitment, keyPair, publicKey } until e2e_ready
+  // Queues that keep encryption and decryption in order, so counters follow the wire order
+  const encryptQueueRef = useRef(Promise.resolve());
+  const decryptQueueRef = useRef(Promise.resolve());
+
+  // Forget every key and the handshake; nothing is encrypted or decrypted until the
+  // next key exchange
+  const resetKeys = useCallback(() => {
+    setE2eReady(false);
+    e2eReadyRef.current = false;
+    setFingerprint(null);
+    setKeyRotatedAt(null);
+    setHostIdentity(null);
+    fingerprintRef.current = null;
+    sendKeyRef.current = null;
+    recvKeyRef.current = null;
+    nextRecvKeyRef.current = null;
+    pendingFingerprintRef.current = null;
+    handshakeRef.current = null;
+    pendingExchangeRef.current = null;
+    framingRef.current = 'json';
+  }, []);
 
   // Reset E2E state when socket changes (handles reconnection)
   // This ensures we don't use stale keys from a previous session
   useEffect(() => {
     if (socket === null) {
-      // Socket disconnected - reset E2E state
-      setE2eReady(false);
-      e2eReadyRef.current = false;
-      setFingerprint(null);
-      fingerprintRef.current = null;
-      sessionKeyRef.current = null;
+      resetKeys();
     }
-  }, [socket]);
+  }, [socket, resetKeys]);
 
-  // Handle E2E key exchange initiation from server
-  const handleE2EInit = useCallback(async (serverPublicKey, saltBase64) => {
+  // Handle E2E key exchange initiation from server: it only commits to its key, so ours
+  // goes out before we learn it (see checkCommitment)
+  const handleE2EInit = useCallback(async (commitment) => {
     if (!socket) return;
 
     // Reset E2E ready state - starting fresh key exchange (fixes reconnection state)
     setE2eReady(false);
     e2eReadyRef.current = false;
+    pendingExchangeRef.current = null;
 
     try {
-      console.log('[E2E] Received server public key, starting key exchange');
-
-      // Import server's public key
-      const serverKeyBytes = base64ToArrayBuffer(serverPublicKey);
-      const serverKey = await window.crypto.subtle.importKey(
-        'raw',
-        serverKeyBytes,
-        { name: 'ECDH', namedCurve: 'P-256' },
-        false,
-        []
-      );
-
-      // Generate our ECDH key pair
-      const clientKeyPair = await window.crypto.subtle.generateKey(
-        { name: 'ECDH', namedCurve: 'P-256' },
-        true,
-        ['deriveBits']
-      );
-
-      // Export our public key to send to server
-      const clientPublicKeyRaw = await window.crypto.subtle.exportKey('raw', clientKeyPair.publicKey);
-      const clientPublicKeyBase64 = arrayBufferToBase64(clientPublicKeyRaw);
-
-      // Derive shared secret
-      const sharedSecretBits = await window.crypto.subtle.deriveBits(
-        { name: 'ECDH', public: serverKey },
-        clientKeyPair.privateKey,
-        256
-      );
-
-      // Derive session key using HKDF
-      const salt = base64ToArrayBuffer(saltBase64);
-      const sharedSecretKey = await window.crypto.subtle.importKey(
-        'raw',
-        sharedSecretBits,
-        'HKDF',
-        false,
-        ['deriveKey']
-      );
-
-      sessionKeyRef.current = await window.crypto.subtle.deriveKey(
-        {
-          name: 'HKDF',
-          hash: 'SHA-256',
-          salt: salt,
-          info: new TextEncoder().encode('root-operator-e2e-v1')
-        },
-        sharedSecretKey,
-        { name: 'AES-GCM', length: 256 },
-        false,
-        ['encrypt', 'decrypt']
-      );
-
-      // Generate fingerprint (must match server algorithm - 12 words = 132 bits)
-      const combined = new Uint8Array(sharedSecretBits.byteLength + salt.byteLength);
-      combined.set(new Uint8Array(sharedSecretBits), 0);
-      combined.set(new Uint8Array(salt), sharedSecretBits.byteLength);
-      const hash = await window.crypto.subtle.digest('SHA-256', combined);
-      const hashBytes = new Uint8Array(hash);
-
-      // Load BIP39 wordlist
-      const wordlist = await loadBIP39Words();
-
-      // Use 11 bits per word to select from 2048-word BIP39 list
-      const words = [];
-      let bitBuffer = 0;
-      let bitsInBuffer = 0;
-      let byteIndex = 0;
-
-      for (let i = 0; i < 12; i++) {
-        while (bitsInBuffer < 11 && byteIndex < hashBytes.length) {
-          bitBuffer = (bitBuffer << 8) | hashBytes[byteIndex++];
-          bitsInBuffer += 8;
-        }
-        bitsInBuffer -= 11;
-        const index = (bitBuffer >> bitsInBuffer) & 0x7FF;
-        words.push(wordlist[index]);
+      if (typeof commitment !== 'string') {
+        throw new Error('No key commitment from server');
       }
-      const fp = words.join('-');
-      fingerprintRef.current = fp;  // Set ref immediately for race-free comparison
-      setFingerprint(fp);
+      console.log('[E2E] Received server commitment, starting key exchange');
 
-      console.log('[E2E] Fingerprint:', fp);
+      const keyPair = await generateKeyPair();
+      const publicKey = arrayBufferToBase64(await window.crypto.subtle.exportKey('raw', keyPair.publicKey));
+      pendingExchangeRef.current = { commitment, keyPair, publicKey };
 
-      // Send our public key to server
+      // Send our public key to server, offering binary frames and rekeying (servers
+      // that don't know them ignore the offer)
       socket.send(JSON.stringify({
         type: 'e2e_client_key',
-        publicKey: clientPublicKeyBase64
+        publicKey,
+        framing: ['binary'],
+        compression: supportedCompression(),
+        rekey: true
       }));
 
       console.log('[E2E] Sent client public key');
@@ -150,85 +430,333 @@ export function useE2E(socket) {
     }
   }, [socket]);
 
-  // Handle E2E ready confirmation from server
-  // Uses ref for comparison to avoid race condition with React state updates
-  const handleE2EReady = useCallback((serverFingerprint) => {
-    if (serverFingerprint === fingerprintRef.current) {
-      // Set ref FIRST so decryptOutput can use it immediately (before React re-render)
-      e2eReadyRef.current = true;
-      setE2eReady(true);
-      console.log('[E2E] Encryption active! Fingerprint verified:', fingerprintRef.current);
-    } else {
-      console.error('[E2E] FINGERPRINT MISMATCH! Possible MITM attack.');
-      console.error('  Server:', serverFingerprint);
-      console.error('  Client:', fingerprintRef.current);
-    }
-  }, []);
+  // Handle E2E ready from server: its key and salt (checked against e2e_init's commitment),
+  // the host identity's signature over them, its fingerprint and the framing it agreed to
+  // ('binary' or 'json'). Runs in the decryption queue, so encrypted messages right behind
+  // e2e_ready wait for the key instead of being dropped.
+  // identity: whether it matches the pinned one is up to useAuth, which won't
+  // authenticate on a channel signed by someone else
+  const handleE2EReady = useCallback((msg) => {
+    const pending = pendingExchangeRef.current;
+    pendingExchangeRef.current = null;
+
+    const run = async () => {
+      try {
+        if (!pending) {
+          throw new Error('e2e_ready without a key exchange');
+        }
+        const { publicKey: serverPublicKey, salt: saltBase64 } = msg;
+        if (!(await checkCommitment(pending.commitment, serverPublicKey, saltBase64))) {
+          console.error('[E2E] Server key does not match its commitment! Possible MITM attack.');
+          return null;
+        }
 
-  // Encrypt message for sending
-  // Uses ref (e2eReadyRef) to avoid stale closure issue during React re-render
-  const encryptInput = useCallback(async (plaintext) => {
-    if (!e2eReadyRef.current || !sessionKeyRef.current) {
+        const identity = await verifyHostIdentity(msg.identity, serverPublicKey, saltBase64);
+        const { sessionKey, fingerprint: fp } = await exchangeKeys(serverPublicKey, saltBase64, pending.keyPair);
+        if (msg.fingerprint !== fp) {
+          console.error('[E2E] FINGERPRINT MISMATCH! Possible MITM attack.');
+          console.error('  Server:', msg.fingerprint);
+          console.error('  Client:', fp);
+          return null;
+        }
+
+        // Counters start over with every key
+        sendKeyRef.current = { key: sessionKey, epoch: 0, counter: 0n };
+        recvKeyRef.current = { key: sessionKey, epoch: 0, counter: 0n };
+        nextRecvKeyRef.current = null;
+        pendingFingerprintRef.current = null;
+        handshakeRef.current = { serverPublicKey, clientPublicKey: pending.publicKey, salt: saltBase64 };
+        framingRef.current = msg.framing === 'binary' ? 'binary' : 'json';
+
+        fingerprintRef.current = fp;
+        setHostIdentity(identity);
+        setFingerprint(fp);
+        setKeyRotatedAt(null);
+        // Set ref FIRST so decryptOutput can use it immediately (before React re-render)
+        e2eReadyRef.current = true;
+        setE2eReady(true);
+        console.log('[E2E] Encryption active! Fingerprint verified:', fp);
+      } catch (e) {
+        console.error('[E2E] Key exchange failed:', e);
+      }
       return null;
+    };
+    const result = decryptQueueRef.current.then(run);
+    decryptQueueRef.current = result;
+    return result;
+  }, []);
+
+  // What this device signs to authenticate on this connection: the challenge bound to
+  // the key exchange it just made, so the signature is worthless on any other channel.
+  // Must match buildAuthTranscript on the host.
+  const authTranscript = useCallback(
+    (challenge) => hashHandshake('root-operator-auth-v1', handshakeRef.current, new TextEncoder().encode(challenge)),
+    []
+  );
+
+  // Pairing code for this connection, derived from the key exchange so the operator who
+  // types it into the tray confirms this very channel. Must match derivePairingCode.
+  const derivePairingCode = useCallback(async () => {
+    const hash = await hashHandshake('root-operator-pairing-v1', handshakeRef.current);
+    const base = BigInt(PAIRING_CODE_CHARS.length);
+    let value = new DataView(hash).getBigUint64(0);
+    let code = '';
+    for (let i = 0; i < 6; i++) {
+      code += PAIRING_CODE_CHARS[Number(value % base)];
+      value /= base;
     }
+    return code;
+  }, []);
 
-    const iv = window.crypto.getRandomValues(new Uint8Array(12));
-    const encoded = new TextEncoder().encode(plaintext);
+  // Run fn after every encryption queued before it
+  const enqueueEncrypt = useCallback((fn) => {
+    const result = encryptQueueRef.current.then(fn);
+    encryptQueueRef.current = result.catch(() => {});
+    return result;
+  }, []);
 
+  // Encrypt bytes with the current send key (WebCrypto appends the auth tag); null
+  // once the key is gone. Only call from the encryption queue.
+  // context: { type, sessionId } of the message the bytes are sent in
+  const sealBytes = useCallback(async (bytes, context) => {
+    const sendKey = sendKeyRef.current;
+    if (!sendKey) return null;
+    sendKey.counter += 1n;
+    const iv = buildNonce(DIRECTION_TO_HOST, sendKey.epoch, sendKey.counter);
     const ciphertext = await window.crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv: iv },
-      sessionKeyRef.current,
-      encoded
+      { name: 'AES-GCM', iv: iv, additionalData: buildAad(DIRECTION_TO_HOST, context) },
+      sendKey.key,
+      bytes
     );
+    return { iv, ciphertext };
+  }, []);
+
+  const encryptBytes = useCallback(
+    (bytes, context) => enqueueEncrypt(() => sealBytes(bytes, context)),
+    [enqueueEncrypt, sealBytes]
+  );
+
+  // Encrypt message for sending; context is the { type, sessionId } it is sent as
+  // Uses ref (e2eReadyRef) to avoid stale closure issue during React re-render
+  const encryptInput = useCallback(async (plaintext, context) => {
+    if (!e2eReadyRef.current || !sendKeyRef.current) {
+      return null;
+    }
+
+    const encrypted = await encryptBytes(new TextEncoder().encode(plaintext), context);
+    if (!encrypted) return null;
 
     // Extract auth tag (last 16 bytes of ciphertext in WebCrypto)
-    const ciphertextArray = new Uint8Array(ciphertext);
+    const ciphertextArray = new Uint8Array(encrypted.ciphertext);
     const data = ciphertextArray.slice(0, -16);
     const tag = ciphertextArray.slice(-16);
 
     return {
-      iv: arrayBufferToBase64(iv),
+      iv: arrayBufferToBase64(encrypted.iv),
       data: arrayBufferToBase64(data),
       tag: arrayBufferToBase64(tag)
     };
-  }, []);  // No deps - uses refs for real-time values
+  }, [encryptBytes]);
 
-  // Decrypt message from server
-  // Uses ref (e2eReadyRef) to avoid stale closure issue during React re-render
-  const decryptOutput = useCallback(async (encrypted) => {
-    if (!e2eReadyRef.current || !sessionKeyRef.current) {
+  // Encrypt terminal input for a session as a ready-to-send message: a binary frame
+  // if the server agreed to them, otherwise JSON e2e_input
+  const encodeInput = useCallback(async (sessionId, plaintext) => {
+    if (!e2eReadyRef.current || !sendKeyRef.current) {
       return null;
     }
+    const context = { type: 'e2e_input', sessionId };
 
-    try {
-      const iv = base64ToArrayBuffer(encrypted.iv);
-      const data = base64ToArrayBuffer(encrypted.data);
-      const tag = base64ToArrayBuffer(encrypted.tag);
+    if (framingRef.current === 'binary') {
+      const encrypted = await encryptBytes(new TextEncoder().encode(plaintext), { ...context, seq: 0, flags: 0 });
+      return encrypted && buildFrame('e2e_input', sessionId, encrypted.iv, encrypted.ciphertext);
+    }
 
-      // Combine data and tag (WebCrypto expects them together)
-      const combined = new Uint8Array(data.byteLength + tag.byteLength);
-      combined.set(new Uint8Array(data), 0);
-      combined.set(new Uint8Array(tag), data.byteLength);
+    const encrypted = await encryptInput(plaintext, context);
+    return encrypted && JSON.stringify({ ...context, ...encrypted });
+  }, [encryptBytes, encryptInput]);
+
+  // Decrypt a message from the server: a JSON message with base64 iv/data/tag, or a
+  // binary frame from parseFrame (inflated after decryption if it was compressed).
+  // Its type and sessionId are checked as additional data, and a counter not above
+  // the last accepted one (replayed or reordered) is rejected. The first message
+  // under a rekeyed key retires the old one. Runs in call order, which is arrival
+  // order as long as callers decrypt straight from the message event.
+  // Uses ref (e2eReadyRef) to avoid stale closure issue during React re-render
+  const decryptOutput = useCallback(async (msg) => {
+    const run = async () => {
+      if (!e2eReadyRef.current || !recvKeyRef.current) {
+        return null;
+      }
 
-      const decrypted = await window.crypto.subtle.decrypt(
-        { name: 'AES-GCM', iv: iv },
-        sessionKeyRef.current,
-        combined
-      );
+      try {
+        let iv;
+        let combined;
+        if (msg.ciphertext) {
+          iv = msg.iv;
+          combined = msg.ciphertext;
+        } else {
+          iv = new Uint8Array(base64ToArrayBuffer(msg.iv));
+          const data = base64ToArrayBuffer(msg.data);
+          const tag = base64ToArrayBuffer(msg.tag);
+
+          // Combine data and tag (WebCrypto expects them together)
+          combined = new Uint8Array(data.byteLength + tag.byteLength);
+          combined.set(new Uint8Array(data), 0);
+          combined.set(new Uint8Array(tag), data.byteLength);
+        }
 
+        if (iv.length !== 12 || iv[0] !== DIRECTION_TO_CLIENT) {
+          console.error('[E2E] Frame with a foreign nonce rejected (reflected?)');
+          return null;
+        }
+        const view = new DataView(iv.buffer, iv.byteOffset, 12);
+        const epoch = view.getUint32(0) & 0xFFFFFF;
+        const counter = view.getBigUint64(4);
+
+        const next = nextRecvKeyRef.current;
+        const slot = next && epoch === next.epoch
+          ? { key: next.key, epoch, counter: 0n }
+          : recvKeyRef.current;
+        if (epoch !== slot.epoch) {
+          console.error(`[E2E] Frame for unknown key epoch ${epoch} rejected`);
+          return null;
+        }
+        if (counter <= slot.counter) {
+          console.error('[E2E] Replayed or reordered frame rejected');
+          return null;
+        }
+
+        const decrypted = await window.crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: iv, additionalData: buildAad(DIRECTION_TO_CLIENT, msg) },
+          slot.key,
+          combined
+        );
+        // Only an authentic frame moves the counter or retires the old key
+        slot.counter = counter;
+        if (slot !== recvKeyRef.current) {
+          recvKeyRef.current = slot;
+          nextRecvKeyRef.current = null;
+        }
+        return decrypted;
+      } catch (e) {
+        console.error('[E2E] Decryption failed:', e);
+        return null;
+      }
+    };
+    const result = decryptQueueRef.current.then(run);
+    decryptQueueRef.current = result;
+
+    let decrypted = await result;
+    if (decrypted === null) return null;
+    try {
+      // flags only come from binary frames and were authenticated with the payload
+      if (msg.flags & FRAME_FLAG_DEFLATE) {
+        decrypted = await inflate(decrypted);
+      }
       return new TextDecoder().decode(decrypted);
     } catch (e) {
-      console.error('[E2E] Decryption failed:', e);
+      console.error('[E2E] Decompression failed:', e);
       return null;
     }
   }, []);  // No deps - uses refs for real-time values
 
+  // Handle a rekey request from the server (e2e_rekey, encrypted under the current key).
+  // The answer goes out under the current key from inside the encryption queue, and
+  // everything queued after it uses the new key, matching the order the server switches.
+  const handleE2ERekey = useCallback(async (msg) => {
+    const plaintext = await decryptOutput(msg);
+    if (plaintext === null || !socket) return;
+
+    try {
+      const request = JSON.parse(plaintext);
+      const { publicKey, sessionKey, fingerprint: fp } = await exchangeKeys(request.publicKey, request.salt);
+      const epoch = (sendKeyRef.current.epoch + 1) % 0x1000000;
+      nextRecvKeyRef.current = { key: sessionKey, epoch };
+      pendingFingerprintRef.current = fp;
+
+      await enqueueEncrypt(async () => {
+        const encrypted = await sealBytes(new TextEncoder().encode(JSON.stringify({ publicKey })), { type: 'e2e_rekey_ack' });
+        if (!encrypted || socket.readyState !== WebSocket.OPEN) return;
+        const ciphertext = new Uint8Array(encrypted.ciphertext);
+        socket.send(JSON.stringify({
+          type: 'e2e_rekey_ack',
+          iv: arrayBufferToBase64(encrypted.iv),
+          data: arrayBufferToBase64(ciphertext.slice(0, -16)),
+          tag: arrayBufferToBase64(ciphertext.slice(-16))
+        }));
+        sendKeyRef.current = { key: sessionKey, epoch, counter: 0n };
+      });
+      console.log('[E2E] Rekey answered, epoch', epoch);
+    } catch (e) {
+      console.error('[E2E] Rekey failed:', e);
+    }
+  }, [socket, decryptOutput, enqueueEncrypt, sealBytes]);
+
+  // The server switched to the new key; its fingerprint replaces the old one. If the two
+  // sides derived different keys, someone is in the middle: the keys are dropped and the
+  // connection closed, and the reconnect starts over with a verified key exchange.
+  const handleE2ERekeyDone = useCallback(async (msg) => {
+    const plaintext = await decryptOutput(msg);
+    const expected = pendingFingerprintRef.current;
+    if (plaintext === null || !expected) return;
+    pendingFingerprintRef.current = null;
+
+    let done;
+    try {
+      done = JSON.parse(plaintext);
+    } catch (e) {
+      return;
+    }
+    if (done.fingerprint !== expected) {
+      console.error('[E2E] FINGERPRINT MISMATCH after rekey! Possible MITM attack.');
+      console.error('  Server:', done.fingerprint);
+      console.error('  Client:', expected);
+      resetKeys();
+      socket?.close(4001, 'Fingerprint mismatch');
+      return;
+    }
+    fingerprintRef.current = expected;
+    setFingerprint(expected);
+    setKeyRotatedAt(Date.now());
+    console.log('[E2E] Session key rotated. Fingerprint:', expected);
+  }, [socket, decryptOutput, resetKeys]);
+
+  // Everything after the handshake goes through this instead of the socket
+  const channel = useMemo(() => socket && createChannel(socket, {
+    isEncrypted: () => e2eReadyRef.current,
+    seal: (plaintext) => encryptInput(plaintext, { type: 'e2e_control' }),
+    open: decryptOutput
+  }), [socket, encryptInput, decryptOutput]);
+
+  // One socket listener per socket, handing messages to whichever channel is current. A
+  // listener per channel would open every envelope twice whenever the channel is
+  // recreated (or created twice, as StrictMode does), and the second open fails the
+  // counter check.
+  const channelRef = useRef(null);
+  useEffect(() => {
+    channelRef.current = channel;
+  }, [channel]);
+  useEffect(() => {
+    if (!socket) return;
+    const handleMessage = (event) => channelRef.current?.receive(event);
+    socket.addEventListener('message', handleMessage);
+    return () => socket.removeEventListener('message', handleMessage);
+  }, [socket]);
+
   return {
+    channel,
     e2eReady,
     fingerprint,
+    keyRotatedAt,
+    hostIdentity,
     encryptInput,
+    encodeInput,
     decryptOutput,
     handleE2EInit,
-    handleE2EReady
+    handleE2EReady,
+    handleE2ERekey,
+    handleE2ERekeyDone,
+    authTranscript,
+    derivePairingCode
   };
 }
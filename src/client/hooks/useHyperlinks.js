@@ -0,0 +1,67 @@
+import { useEffect, useState, useCallback } from 'react';
+
+// Same allowlist as the host's sanitizer, checked again before opening
+const LINK_SCHEMES = ['http:', 'https:'];
+
+function parseLink(uri) {
+  try {
+    const url = new URL(uri);
+    return LINK_SCHEMES.includes(url.protocol) ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Hook for OSC 8 hyperlinks in a terminal. The link text can say anything, so
+ * hovering shows the real target and activating a link only asks to open it:
+ * `pendingLink` holds the parsed URL until open() or dismiss().
+ */
+export function useHyperlinks(terminal) {
+  const [pendingLink, setPendingLink] = useState(null); // URL
+
+  useEffect(() => {
+    if (!terminal) return;
+    let tooltip = null;
+
+    const hideTooltip = () => {
+      tooltip?.remove();
+      tooltip = null;
+    };
+
+    terminal.options.linkHandler = {
+      activate: (event, uri) => {
+        hideTooltip();
+        const url = parseLink(uri);
+        if (url) setPendingLink(url);
+      },
+      // xterm-hover keeps the tooltip from triggering other links
+      hover: (event, uri) => {
+        hideTooltip();
+        if (!terminal.element) return;
+        const bounds = terminal.element.getBoundingClientRect();
+        tooltip = document.createElement('div');
+        tooltip.className = 'xterm-hover link-tooltip';
+        tooltip.textContent = uri;
+        tooltip.style.left = `${Math.max(0, event.clientX - bounds.left)}px`;
+        tooltip.style.top = `${Math.max(0, event.clientY - bounds.top + 16)}px`;
+        terminal.element.appendChild(tooltip);
+      },
+      leave: hideTooltip,
+    };
+
+    return () => {
+      hideTooltip();
+      terminal.options.linkHandler = null;
+    };
+  }, [terminal]);
+
+  const open = useCallback(() => {
+    if (pendingLink) window.open(pendingLink.href, '_blank', 'noopener,noreferrer');
+    setPendingLink(null);
+  }, [pendingLink]);
+
+  const dismiss = useCallback(() => setPendingLink(null), []);
+
+  return { pendingLink, open, dismiss };
+}
@@ -0,0 +1,53 @@
+import { useEffect, useRef, useCallback } from 'react';
+
+// Acknowledge at least every ACK_BYTES of output, or ACK_DELAY_MS after the first
+// unacknowledged frame. The host's window is 512 KB, so this stays well inside it.
+const ACK_BYTES = 64 * 1024;
+const ACK_DELAY_MS = 100;
+
+/**
+ * Hook for output flow control. Call the returned ack(seq, bytes) once output up to
+ * seq has been parsed by the terminal; acknowledgements are batched and cumulative
+ * (output_ack carries only the newest seq). The host pauses the shell or resyncs
+ * this device when it stops acknowledging.
+ */
+export function useOutputAcks(socket, sessionId) {
+  const pendingRef = useRef({ seq: null, bytes: 0, timer: null });
+
+  const flush = useCallback(() => {
+    const pending = pendingRef.current;
+    clearTimeout(pending.timer);
+    pending.timer = null;
+    if (pending.seq === null) return;
+
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'output_ack', sessionId, seq: pending.seq }));
+    }
+    pending.seq = null;
+    pending.bytes = 0;
+  }, [socket, sessionId]);
+
+  // A new socket starts from a fresh attach, so nothing pending carries over
+  useEffect(() => {
+    const pending = pendingRef.current;
+    return () => {
+      clearTimeout(pending.timer);
+      pending.timer = null;
+      pending.seq = null;
+      pending.bytes = 0;
+    };
+  }, [socket, sessionId]);
+
+  return useCallback((seq, bytes) => {
+    if (seq === undefined || seq === null) return;
+    const pending = pendingRef.current;
+    pending.seq = pending.seq === null ? seq : Math.max(pending.seq, seq);
+    pending.bytes += bytes;
+
+    if (pending.bytes >= ACK_BYTES) {
+      flush();
+    } else if (!pending.timer) {
+      pending.timer = setTimeout(flush, ACK_DELAY_MS);
+    }
+  }, [flush]);
+}
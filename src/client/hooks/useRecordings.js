@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+
+/**
+ * Hook for session recordings kept by the host (asciicast v2 files).
+ *
+ * The list is plaintext metadata; a recording itself arrives as several
+ * encrypted e2e_recording frames that are decrypted and joined here.
+ */
+export function useRecordings(socket, decryptOutput) {
+  const [recordings, setRecordings] = useState([]);
+  const [error, setError] = useState(null);
+  const pendingRef = useRef(null); // { id, chunks, received, resolve, reject }
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleMessage = async (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+
+      if (msg.type === 'recording_list' && Array.isArray(msg.recordings)) {
+        setRecordings(msg.recordings);
+        return;
+      }
+
+      const pending = pendingRef.current;
+      if (!pending || msg.id !== pending.id) return;
+
+      if (msg.type === 'recording_error') {
+        pendingRef.current = null;
+        pending.reject(new Error(msg.message || 'Recording unavailable'));
+        return;
+      }
+
+      if (msg.type === 'e2e_recording') {
+        const chunk = await decryptOutput(msg);
+        if (pendingRef.current !== pending) return; // Cancelled meanwhile
+        if (chunk === null) {
+          pendingRef.current = null;
+          pending.reject(new Error('Failed to decrypt recording'));
+          return;
+        }
+        pending.chunks[msg.index] = chunk;
+        pending.received++;
+        if (pending.received === msg.total) {
+          pendingRef.current = null;
+          pending.resolve(pending.chunks.join(''));
+        }
+      }
+    };
+
+    socket.addEventListener('message', handleMessage);
+    return () => socket.removeEventListener('message', handleMessage);
+  }, [socket, decryptOutput]);
+
+  const refresh = useCallback(() => {
+    setError(null);
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'recording_list' }));
+    }
+  }, [socket]);
+
+  // Resolves with the recording's asciicast text. Only one download runs at a time.
+  const load = useCallback((id) => {
+    if (pendingRef.current) {
+      pendingRef.current.reject(new Error('Cancelled'));
+      pendingRef.current = null;
+    }
+    if (socket?.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('Not connected'));
+    }
+    return new Promise((resolve, reject) => {
+      pendingRef.current = { id, chunks: [], received: 0, resolve, reject };
+      socket.send(JSON.stringify({ type: 'recording_get', id }));
+    }).catch((err) => {
+      if (err.message !== 'Cancelled') setError(err.message);
+      throw err;
+    });
+  }, [socket]);
+
+  return { recordings, error, refresh, load };
+}
@@ -0,0 +1,78 @@
+import { useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Hook for a session's scrollback kept on the host, beyond what xterm holds.
+ *
+ * search(query, options) resolves with { matches: [{ line, text }], nextBefore,
+ * firstLine, totalLines }, newest match first; pass nextBefore as `before` for the
+ * next page. lines(from, count) resolves with { lines: [{ line, text }], ... }.
+ * Requests and results are encrypted with the session key.
+ */
+export function useScrollback(sessionId, socket, encryptInput, decryptOutput) {
+  const requestsRef = useRef(new Map()); // requestId -> { resolve, reject }
+  const nextIdRef = useRef(1);
+
+  useEffect(() => {
+    if (!socket) return;
+    const requests = requestsRef.current;
+
+    const handleMessage = async (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+      if (msg.type !== 'e2e_scrollback_result' || msg.sessionId !== sessionId) return;
+
+      const plaintext = await decryptOutput(msg);
+      if (plaintext === null) return;
+
+      let result;
+      try {
+        result = JSON.parse(plaintext);
+      } catch (e) {
+        return;
+      }
+      const request = requests.get(result.requestId);
+      if (!request) return;
+      requests.delete(result.requestId);
+
+      if (result.error) {
+        request.reject(new Error(result.error));
+      } else {
+        request.resolve(result);
+      }
+    };
+
+    socket.addEventListener('message', handleMessage);
+    return () => {
+      socket.removeEventListener('message', handleMessage);
+      for (const { reject } of requests.values()) reject(new Error('Disconnected'));
+      requests.clear();
+    };
+  }, [socket, sessionId, decryptOutput]);
+
+  const request = useCallback(async (op) => {
+    if (socket?.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected');
+    }
+    const requestId = nextIdRef.current++;
+    const encrypted = await encryptInput(JSON.stringify({ requestId, op }), { type: 'e2e_scrollback', sessionId });
+    if (!encrypted) {
+      throw new Error('Connection not secured');
+    }
+    return new Promise((resolve, reject) => {
+      requestsRef.current.set(requestId, { resolve, reject });
+      socket.send(JSON.stringify({ type: 'e2e_scrollback', sessionId, ...encrypted }));
+    });
+  }, [socket, sessionId, encryptInput]);
+
+  const search = useCallback((query, { ignoreCase = false, before } = {}) => (
+    request({ type: 'search', query, ignoreCase, ...(before && { before }) })
+  ), [request]);
+
+  const lines = useCallback((from, count) => request({ type: 'lines', from, count }), [request]);
+
+  return { search, lines };
+}
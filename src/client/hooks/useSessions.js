@@ -0,0 +1,78 @@
+import { useEffect, useCallback } from 'react';
+import { useSessionStore } from '../stores/sessionStore';
+
+/**
+ * Hook that keeps the session store in sync with the server's session registry
+ * and exposes tab management actions.
+ */
+export function useSessions(socket) {
+  const sessions = useSessionStore((state) => state.sessions);
+  const activeSessionId = useSessionStore((state) => state.activeSessionId);
+  const profiles = useSessionStore((state) => state.profiles);
+  const role = useSessionStore((state) => state.role);
+  const setActiveSession = useSessionStore((state) => state.setActiveSession);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const { setSessions, addSession, removeSession, setProfiles, setRole } = useSessionStore.getState();
+
+    const handleMessage = (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+
+      if (msg.type === 'session_list' && Array.isArray(msg.sessions)) {
+        setSessions(msg.sessions);
+        if (Array.isArray(msg.profiles)) {
+          setProfiles(msg.profiles);
+        }
+        // The server enforces the role; the UI only hides what would be rejected
+        if (typeof msg.role === 'string') {
+          setRole(msg.role);
+        }
+      }
+
+      if (msg.type === 'session_created' && msg.session) {
+        addSession(msg.session, msg.focus);
+      }
+
+      if (msg.type === 'session_closed') {
+        removeSession(msg.sessionId);
+      }
+
+      if (msg.type === 'session_error') {
+        console.warn('[Sessions] Server error:', msg.message);
+      }
+    };
+
+    socket.addEventListener('message', handleMessage);
+    return () => socket.removeEventListener('message', handleMessage);
+  }, [socket]);
+
+  // profileId is optional; the server falls back to its default profile
+  const createSession = useCallback((profileId) => {
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'session_create', ...(profileId && { profileId }) }));
+    }
+  }, [socket]);
+
+  const closeSession = useCallback((sessionId) => {
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'session_close', sessionId }));
+    }
+  }, [socket]);
+
+  return {
+    sessions,
+    activeSessionId,
+    profiles,
+    role,
+    setActiveSession,
+    createSession,
+    closeSession
+  };
+}
@@ -0,0 +1,121 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+
+// Commands remembered per terminal; older marks are dropped (their lines may be too)
+const MAX_COMMANDS = 500;
+
+function disposeCommand(command) {
+  command.prompt.dispose();
+  command.output?.dispose();
+  command.end?.dispose();
+}
+
+// Prompts still in the buffer (a reset or trimmed scrollback disposes markers)
+const livePrompts = (commands) => commands.filter((command) => !command.prompt.isDisposed);
+
+// Red/green bar in the gutter of a finished command's prompt line
+function decorateCommand(terminal, command) {
+  const failed = command.exitCode !== 0;
+  const decoration = terminal.registerDecoration({
+    marker: command.prompt,
+    width: 1,
+    layer: 'top',
+    overviewRulerOptions: { color: failed ? '#ef4444' : '#22c55e', position: 'left' },
+  });
+  decoration?.onRender((element) => {
+    element.classList.add('command-mark', failed ? 'command-mark-failed' : 'command-mark-ok');
+    element.title = `Exit code ${command.exitCode}`;
+  });
+}
+
+/**
+ * Hook for OSC 133 shell integration marks in a terminal's output.
+ *
+ * The host passes through prompt start (A), command executed (C) and command
+ * finished (D;exit code) marks; each becomes an xterm marker so prompts can be
+ * navigated and a command's output selected. Output written before this page
+ * attached (snapshots, restored content) carries no marks.
+ */
+export function useShellIntegration(terminal) {
+  const commandsRef = useRef([]); // { prompt, output, end, exitCode } with xterm markers
+  const [hasMarks, setHasMarks] = useState(false);
+
+  useEffect(() => {
+    if (!terminal) return;
+    const commands = [];
+    commandsRef.current = commands;
+    const current = () => commands[commands.length - 1];
+
+    const handler = terminal.parser.registerOscHandler(133, (data) => {
+      const [kind, code] = data.split(';');
+      const command = current();
+
+      if (kind === 'A') {
+        const prompt = terminal.registerMarker(0);
+        if (!prompt) return true;
+        commands.push({ prompt, output: null, end: null, endsMidLine: false, exitCode: null });
+        if (commands.length > MAX_COMMANDS) disposeCommand(commands.shift());
+        setHasMarks(true);
+      } else if (kind === 'C' && command && !command.output) {
+        command.output = terminal.registerMarker(0);
+      } else if (kind === 'D' && command?.output && !command.end) {
+        command.end = terminal.registerMarker(0);
+        // Output without a trailing newline ends on the line D was written on
+        command.endsMidLine = terminal.buffer.active.cursorX > 0;
+        if (code !== undefined) {
+          command.exitCode = parseInt(code, 10);
+          decorateCommand(terminal, command);
+        }
+      }
+      return true;
+    });
+
+    return () => {
+      handler.dispose();
+      commands.forEach(disposeCommand);
+      commandsRef.current = [];
+      setHasMarks(false);
+    };
+  }, [terminal]);
+
+  // Scroll to the previous (-1) or next (1) prompt relative to the top of the viewport
+  const jumpToPrompt = useCallback((direction) => {
+    if (!terminal) return;
+    const top = terminal.buffer.active.viewportY;
+    const prompts = livePrompts(commandsRef.current);
+    const target = direction < 0
+      ? prompts.reverse().find((command) => command.prompt.line < top)
+      : prompts.find((command) => command.prompt.line > top);
+    if (target) {
+      terminal.scrollToLine(target.prompt.line);
+    } else if (direction > 0) {
+      terminal.scrollToBottom();
+    }
+  }, [terminal]);
+
+  // Select a finished command's output: the most recent one when following the output,
+  // otherwise the first one shown (or the last before it when scrolled into output).
+  // Returns the selected text.
+  const selectOutput = useCallback(() => {
+    if (!terminal) return '';
+    const { viewportY: top, baseY } = terminal.buffer.active;
+    const finished = livePrompts(commandsRef.current).filter((command) =>
+      command.output && command.end && !command.output.isDisposed && !command.end.isDisposed);
+    if (finished.length === 0) return '';
+
+    let target = finished[finished.length - 1];
+    if (top < baseY) {
+      target = finished.find((command) => command.prompt.line >= top && command.prompt.line < top + terminal.rows)
+        || [...finished].reverse().find((command) => command.prompt.line < top)
+        || target;
+    }
+    const start = target.output.line;
+    const end = target.endsMidLine ? target.end.line : target.end.line - 1;
+    if (end < start) return '';
+
+    terminal.selectLines(start, end);
+    terminal.scrollToLine(Math.max(0, target.prompt.line));
+    return terminal.getSelection();
+  }, [terminal]);
+
+  return { hasMarks, jumpToPrompt, selectOutput };
+}
@@ -3,8 +3,9 @@ import { Terminal } from 'xterm';
 import { FitAddon } from 'xterm-addon-fit';
 import { WebLinksAddon } from 'xterm-addon-web-links';
 import { useTerminalPersistence } from './useTerminalPersistence';
+import { useOutputAcks } from './useOutputAcks';
 
-export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRef, shiftRef, onModifierChange) {
+export function useTerminal(containerRef, sessionId, socket, encodeInput, e2eReady, ctrlRef, shiftRef, onModifierChange) {
   const termRef = useRef(null);
   const fitAddonRef = useRef(null);
   const socketRef = useRef(socket);
@@ -15,19 +16,56 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
   const rafIdRef = useRef(null);
   const [isReady, setIsReady] = useState(false);
 
+  // Size arbitration: this device asks for the size that fits its container, the
+  // server answers with the session's effective size (which may belong to another
+  // device). When they differ the terminal is letterboxed instead of refitted.
+  const desiredSizeRef = useRef(null);
+  const effectiveSizeRef = useRef(null);
+  const [sizeInfo, setSizeInfo] = useState({ letterboxed: false, cols: null, rows: null, policy: null });
+
   // Content tracking for persistence
   const contentBufferRef = useRef('');
   const hasReceivedServerBufferRef = useRef(false);
   const hasRestoredFromStorageRef = useRef(false);
 
   // Persistence hook
-  const { saveContent, loadContent, markServerBufferReceived } = useTerminalPersistence();
+  const { saveContent, loadContent, markServerBufferReceived } = useTerminalPersistence(sessionId);
+
+  // Sequence number of the last output frame written to this terminal (null = no state)
+  // Seeded from sessionStorage so a reloaded page can resume instead of repainting
+  const storedStateRef = useRef(undefined);
+  const lastSeqRef = useRef(null);
+  if (storedStateRef.current === undefined) {
+    storedStateRef.current = loadContent();
+    lastSeqRef.current = storedStateRef.current?.seq ?? null;
+  }
 
   // Keep socket ref updated
   useEffect(() => {
     socketRef.current = socket;
   }, [socket]);
 
+  // Output is acknowledged once xterm has parsed it (flow control)
+  const ackOutput = useOutputAcks(socket, sessionId);
+  const ackOutputRef = useRef(ackOutput);
+  ackOutputRef.current = ackOutput;
+
+  // Compare the effective size with what this device asked for
+  const policyRef = useRef(null);
+  const updateSizeInfo = useCallback(() => {
+    const desired = desiredSizeRef.current;
+    const effective = effectiveSizeRef.current;
+    const letterboxed = !!(desired && effective &&
+      (desired.cols !== effective.cols || desired.rows !== effective.rows));
+    setSizeInfo((prev) => {
+      if (prev.letterboxed === letterboxed && prev.cols === effective?.cols &&
+          prev.rows === effective?.rows && prev.policy === policyRef.current) {
+        return prev;
+      }
+      return { letterboxed, cols: effective?.cols ?? null, rows: effective?.rows ?? null, policy: policyRef.current };
+    });
+  }, []);
+
   // Initialize terminal
   useEffect(() => {
     if (!containerRef.current || termRef.current) return;
@@ -59,6 +97,8 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
         fontFamily: 'Menlo, Monaco, "Courier New", monospace',
         scrollback: 5000,
         convertEol: true,
+        // Decorations (shell integration gutter marks) are still a proposed API
+        allowProposedApi: true,
       });
 
       fitAddon = new FitAddon();
@@ -88,13 +128,25 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
       // Helper to sync terminal size with backend
       const syncSize = () => {
         if (!fitAddon || cancelled) return;
+        // Skip hidden tabs (display: none) - fitting a zero-size container collapses the PTY
+        if (!container.clientWidth || !container.clientHeight) return;
         try {
-          fitAddon.fit();
-          term.scrollToBottom();
           const dims = fitAddon.proposeDimensions();
-          if (dims && socketRef.current?.readyState === WebSocket.OPEN) {
+          if (!dims || isNaN(dims.cols) || isNaN(dims.rows)) return;
+          desiredSizeRef.current = dims;
+
+          // Until the server picks a size, fit the container like a single client would
+          const size = effectiveSizeRef.current || dims;
+          if (term.cols !== size.cols || term.rows !== size.rows) {
+            term.resize(size.cols, size.rows);
+          }
+          term.scrollToBottom();
+          updateSizeInfo();
+
+          if (socketRef.current?.readyState === WebSocket.OPEN) {
             socketRef.current.send(JSON.stringify({
               type: 'resize',
+              sessionId,
               cols: dims.cols,
               rows: dims.rows
             }));
@@ -110,24 +162,33 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
         syncSize();
         term.focus();
 
-        // Flush output queue
-        while (outputQueueRef.current.length > 0) {
-          term.write(outputQueueRef.current.shift());
-        }
-
-        // Restore from sessionStorage on page reload (only if no server buffer yet)
-        // This handles the case where user reloads the page
+        // Restore from sessionStorage on page reload (only if no server snapshot yet)
+        // This handles the case where user reloads the page; it must be written before
+        // any queued resume delta, which continues from the stored sequence number
         if (!hasReceivedServerBufferRef.current && !hasRestoredFromStorageRef.current) {
-          const storedContent = loadContent();
+          const storedContent = storedStateRef.current?.content;
           if (storedContent) {
             console.log('[Terminal] Restoring content from sessionStorage');
             hasRestoredFromStorageRef.current = true;
             contentBufferRef.current = storedContent;
             term.write(storedContent);
-            term.scrollToBottom();
           }
         }
 
+        // Flush output queue
+        let queuedBytes = 0;
+        while (outputQueueRef.current.length > 0) {
+          const queued = outputQueueRef.current.shift();
+          contentBufferRef.current += queued;
+          queuedBytes += queued.length;
+          term.write(queued);
+        }
+        if (queuedBytes > 0) {
+          const queuedSeq = lastSeqRef.current;
+          term.write('', () => ackOutputRef.current(queuedSeq, queuedBytes));
+        }
+        term.scrollToBottom();
+
         setIsReady(true);
       });
 
@@ -187,19 +248,21 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
   useEffect(() => {
     if (!e2eReady || !fitAddonRef.current || !socketRef.current) return;
     if (socketRef.current.readyState !== WebSocket.OPEN) return;
+    if (!containerRef.current?.clientWidth || !containerRef.current?.clientHeight) return;
 
     try {
-      fitAddonRef.current.fit();
       const dims = fitAddonRef.current.proposeDimensions();
-      if (dims) {
+      if (dims && !isNaN(dims.cols) && !isNaN(dims.rows)) {
+        desiredSizeRef.current = dims;
         socketRef.current.send(JSON.stringify({
           type: 'resize',
+          sessionId,
           cols: dims.cols,
           rows: dims.rows
         }));
       }
     } catch (e) {}
-  }, [e2eReady]);
+  }, [e2eReady, containerRef, sessionId]);
 
   // Handle input from terminal
   // Note: isReady dependency ensures this re-runs after terminal is created
@@ -216,7 +279,7 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
         return;
       }
 
-      if (!e2eReady || !encryptInput) {
+      if (!e2eReady || !encodeInput) {
         return;
       }
 
@@ -231,23 +294,22 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
         }
       }
 
-      const encrypted = await encryptInput(modifiedData);
-      if (encrypted && socketRef.current?.readyState === WebSocket.OPEN) {
-        socketRef.current.send(JSON.stringify({
-          type: 'e2e_input',
-          ...encrypted
-        }));
+      const message = await encodeInput(sessionId, modifiedData);
+      if (message && socketRef.current?.readyState === WebSocket.OPEN) {
+        socketRef.current.send(message);
       }
     };
 
     const disposable = term.onData(handleData);
     return () => disposable.dispose();
-  }, [isReady, socket, encryptInput, e2eReady, ctrlRef, shiftRef, onModifierChange]);
+  }, [isReady, sessionId, socket, encodeInput, e2eReady, ctrlRef, shiftRef, onModifierChange]);
 
   // Write to terminal with batching for mobile performance
   // Accumulates data and flushes once per animation frame (max 60/sec)
   // This prevents render storm from rapid PTY output (e.g., Claude Code streaming)
-  const write = useCallback((data) => {
+  const write = useCallback((data, seq) => {
+    if (seq !== undefined) lastSeqRef.current = seq;
+
     if (!termRef.current) {
       outputQueueRef.current.push(data);
       return;
@@ -263,10 +325,11 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
 
         if (termRef.current && writeBufferRef.current) {
           const buffered = writeBufferRef.current;
+          const bufferedSeq = lastSeqRef.current;
           writeBufferRef.current = '';
 
           // Single batched write + scroll
-          termRef.current.write(buffered);
+          termRef.current.write(buffered, () => ackOutput(bufferedSeq, buffered.length));
           termRef.current.scrollToBottom();
 
           // Track content for persistence
@@ -275,53 +338,82 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
           if (contentBufferRef.current.length > 1024 * 1024) {
             contentBufferRef.current = contentBufferRef.current.slice(-1024 * 1024);
           }
-          saveContent(contentBufferRef.current);
+          saveContent(contentBufferRef.current, lastSeqRef.current);
         }
       });
     }
-  }, [saveContent]);
-
-  // Write server buffer (initial data on connect/reconnect)
-  // Server buffer is source of truth - clears terminal and writes fresh content
-  const writeServerBuffer = useCallback((data) => {
-    if (!data) return;
+  }, [saveContent, ackOutput]);
 
-    // Mark that we received server buffer - don't use stale sessionStorage
+  // Write screen snapshot (sent by the server on attach when resuming is not possible)
+  // The snapshot is the host's serialized screen, modes and recent scrollback, so the
+  // terminal is reset and repainted from it rather than appending a raw output replay
+  const writeSnapshot = useCallback((data, seq) => {
+    // Mark that we received server state - don't use stale sessionStorage
     hasReceivedServerBufferRef.current = true;
     markServerBufferReceived();
+    lastSeqRef.current = seq;
 
-    // Reset content buffer to server data
-    contentBufferRef.current = data;
+    // Drop any batched output that predates the snapshot
+    writeBufferRef.current = '';
+    outputQueueRef.current = [];
 
     if (termRef.current) {
-      // Clear terminal and write server buffer (prevents duplication on reconnect)
-      termRef.current.clear();
-      termRef.current.write(data);
+      // Reset content buffer to server data
+      contentBufferRef.current = data;
+
+      // Full reset (not clear) so alternate screen, cursor and modes match the host
+      termRef.current.reset();
+      termRef.current.write(data, () => ackOutput(seq, data.length));
       termRef.current.scrollToBottom();
-      saveContent(data);
+      saveContent(data, seq);
     } else {
+      // Content buffer is rebuilt from the queue once the terminal exists
+      contentBufferRef.current = '';
       outputQueueRef.current.push(data);
     }
-  }, [saveContent, markServerBufferReceived]);
+  }, [saveContent, markServerBufferReceived, ackOutput]);
+
+  // Apply the session's effective size chosen by the server's resize policy
+  const applyEffectiveSize = useCallback((cols, rows, policy) => {
+    effectiveSizeRef.current = { cols, rows };
+    policyRef.current = policy ?? null;
+    const term = termRef.current;
+    if (term && (term.cols !== cols || term.rows !== rows)) {
+      try {
+        term.resize(cols, rows);
+        term.scrollToBottom();
+      } catch (e) {
+        // Ignore resize errors during initialization
+      }
+    }
+    updateSizeInfo();
+  }, [updateSizeInfo]);
+
+  // Ask the server to size the session for this device (typist/owner policies)
+  const claimSize = useCallback(() => {
+    if (socketRef.current?.readyState === WebSocket.OPEN) {
+      socketRef.current.send(JSON.stringify({ type: 'resize_claim', sessionId }));
+    }
+  }, [sessionId]);
+
+  // Last output sequence this terminal has rendered (sent when attaching to resume)
+  const getLastSeq = useCallback(() => lastSeqRef.current, []);
 
   // Send special input (toolbar buttons)
   const sendSpecial = useCallback(async (data) => {
-    if (!socketRef.current || socketRef.current.readyState !== WebSocket.OPEN || !e2eReady || !encryptInput) {
+    if (!socketRef.current || socketRef.current.readyState !== WebSocket.OPEN || !e2eReady || !encodeInput) {
       return;
     }
 
-    const encrypted = await encryptInput(data);
-    if (encrypted) {
-      socketRef.current.send(JSON.stringify({
-        type: 'e2e_input',
-        ...encrypted
-      }));
+    const message = await encodeInput(sessionId, data);
+    if (message) {
+      socketRef.current.send(message);
     }
-  }, [e2eReady, encryptInput]);
+  }, [sessionId, e2eReady, encodeInput]);
 
-  // Refit terminal to container
+  // Refit terminal to container (unless the server has picked another size)
   const refit = useCallback(() => {
-    if (fitAddonRef.current && termRef.current) {
+    if (fitAddonRef.current && termRef.current && !effectiveSizeRef.current) {
       try {
         fitAddonRef.current.fit();
         termRef.current.scrollToBottom();
@@ -335,8 +427,12 @@ export function useTerminal(containerRef, socket, encryptInput, e2eReady, ctrlRe
     terminal: termRef.current,
     isReady,
     write,
-    writeServerBuffer,
+    writeSnapshot,
+    getLastSeq,
     sendSpecial,
-    refit
+    refit,
+    sizeInfo,
+    applyEffectiveSize,
+    claimSize
   };
 }
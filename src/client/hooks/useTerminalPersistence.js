@@ -5,22 +5,27 @@ const MAX_CONTENT_SIZE = 1024 * 1024; // 1MB
 const SAVE_DEBOUNCE_MS = 500;
 
 /**
- * Hook for persisting terminal content to sessionStorage.
+ * Hook for persisting terminal content to sessionStorage, keyed per terminal session.
+ * The output sequence number the content ends at is stored alongside it, so a reloaded
+ * page can resume the session from there instead of requesting a full snapshot.
  *
  * Uses sessionStorage (not localStorage) for security:
  * - Clears when tab closes, reducing XSS exposure window
  * - Per-tab isolation prevents conflicts
  * - Terminal output may contain sensitive data
  */
-export function useTerminalPersistence() {
+export function useTerminalPersistence(sessionId) {
+  const storageKey = `${STORAGE_KEY}:${sessionId}`;
   const saveTimeoutRef = useRef(null);
   const contentBufferRef = useRef('');
+  const seqRef = useRef(null);
 
   /**
-   * Save terminal content (debounced)
+   * Save terminal content and the sequence number it ends at (debounced)
    */
-  const saveContent = useCallback((content) => {
+  const saveContent = useCallback((content, seq = null) => {
     contentBufferRef.current = content;
+    seqRef.current = seq;
 
     if (saveTimeoutRef.current) {
       clearTimeout(saveTimeoutRef.current);
@@ -33,8 +38,9 @@ export function useTerminalPersistence() {
           ? content.slice(-MAX_CONTENT_SIZE)
           : content;
 
-        sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+        sessionStorage.setItem(storageKey, JSON.stringify({
           content: truncated,
+          seq,
           timestamp: Date.now()
         }));
       } catch (e) {
@@ -42,35 +48,39 @@ export function useTerminalPersistence() {
         console.warn('[Persistence] Failed to save terminal state:', e.message);
       }
     }, SAVE_DEBOUNCE_MS);
-  }, []);
+  }, [storageKey]);
 
   /**
    * Load terminal content from sessionStorage
+   * Returns { content, seq } or null
    */
   const loadContent = useCallback(() => {
     try {
-      const stored = sessionStorage.getItem(STORAGE_KEY);
+      const stored = sessionStorage.getItem(storageKey);
       if (!stored) return null;
 
-      const { content } = JSON.parse(stored);
-      return content || null;
+      const { content, seq } = JSON.parse(stored);
+      if (!content) return null;
+      // Content truncated to the size cap no longer matches the server stream from the start,
+      // but it still ends at seq, which is all resuming needs
+      return { content, seq: Number.isSafeInteger(seq) ? seq : null };
     } catch (e) {
       console.warn('[Persistence] Failed to load terminal state:', e.message);
       return null;
     }
-  }, []);
+  }, [storageKey]);
 
   /**
    * Clear stored content
    */
   const clearContent = useCallback(() => {
     try {
-      sessionStorage.removeItem(STORAGE_KEY);
+      sessionStorage.removeItem(storageKey);
       contentBufferRef.current = '';
     } catch (e) {
       // Ignore errors
     }
-  }, []);
+  }, [storageKey]);
 
   /**
    * Mark that we received server buffer (to avoid using stale sessionStorage)
@@ -78,11 +88,11 @@ export function useTerminalPersistence() {
   const markServerBufferReceived = useCallback(() => {
     try {
       // Clear sessionStorage since server buffer is the source of truth
-      sessionStorage.removeItem(STORAGE_KEY);
+      sessionStorage.removeItem(storageKey);
     } catch (e) {
       // Ignore errors
     }
-  }, []);
+  }, [storageKey]);
 
   /**
    * Get current content buffer (for immediate save on page hide)
@@ -100,8 +110,9 @@ export function useTerminalPersistence() {
             ? contentBufferRef.current.slice(-MAX_CONTENT_SIZE)
             : contentBufferRef.current;
 
-          sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+          sessionStorage.setItem(storageKey, JSON.stringify({
             content: truncated,
+            seq: seqRef.current,
             timestamp: Date.now()
           }));
         } catch (e) {
@@ -112,7 +123,7 @@ export function useTerminalPersistence() {
 
     document.addEventListener('visibilitychange', handleVisibilityChange);
     return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
-  }, []);
+  }, [storageKey]);
 
   // Cleanup timeout on unmount
   useEffect(() => {
@@ -35,6 +35,8 @@ export function useWebSocket() {
   const heartbeatIntervalRef = useRef(null);
   const heartbeatTimeoutRef = useRef(null);
   const wsUrlRef = useRef(null);
+  const channelRef = useRef(null); // Encrypted channel for heartbeats (see setChannel)
+  const pongListenerRef = useRef(null); // Listener setChannel added to channelRef's channel
 
   const clearHeartbeat = useCallback(() => {
     if (heartbeatIntervalRef.current) {
@@ -51,7 +53,10 @@ export function useWebSocket() {
     clearHeartbeat();
     heartbeatIntervalRef.current = setInterval(() => {
       if (ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
+        // Pings are plaintext only until the E2E channel is up
+        const channel = channelRef.current;
+        const target = channel?.socket === ws && channel.encrypted ? channel : ws;
+        target.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
         heartbeatTimeoutRef.current = setTimeout(() => {
           console.log('[WS] Heartbeat timeout');
           ws.close(4000, 'Heartbeat timeout');
@@ -67,6 +72,27 @@ export function useWebSocket() {
     }
   }, []);
 
+  // Hand over the E2E channel (useE2E) once there is one: pings then go out encrypted
+  // and pongs come back through it. The previous channel's listener is removed, so a
+  // channel handed over again (or replaced) never ends up with more than one.
+  const setChannel = useCallback((channel) => {
+    if (!pongListenerRef.current) {
+      pongListenerRef.current = (event) => {
+        try {
+          if (JSON.parse(event.data).type === 'pong') {
+            handlePong();
+          }
+        } catch {
+          // Not JSON (binary frame)
+        }
+      };
+    }
+    const listener = pongListenerRef.current;
+    channelRef.current?.removeEventListener('message', listener);
+    channelRef.current = channel;
+    channel?.addEventListener('message', listener);
+  }, [handlePong]);
+
   const connect = useCallback(() => {
     if (!wsUrlRef.current) {
       const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
@@ -77,6 +103,7 @@ export function useWebSocket() {
     setConnectionState('connecting');
 
     const ws = new WebSocket(wsUrlRef.current);
+    ws.binaryType = 'arraybuffer'; // Binary E2E frames (see useE2E parseFrame)
     socketRef.current = ws;
     setSocket(ws);
 
@@ -179,5 +206,6 @@ export function useWebSocket() {
     reconnectAttempt,
     disconnect,
     forceReconnect,
+    setChannel,
   };
 }
@@ -0,0 +1,54 @@
+import { create } from 'zustand';
+
+/**
+ * Terminal session (tab) store.
+ *
+ * The server is the source of truth for which sessions exist; this store
+ * mirrors its session list and tracks which tab is shown on this device.
+ */
+export const useSessionStore = create((set) => ({
+  sessions: [],
+  activeSessionId: null,
+  profiles: [], // Shell profiles new sessions can start from: [{ id, name }]
+  role: 'full', // This device's role: 'full' | 'read-only' | 'restricted'
+
+  // Replace the list (initial attach or explicit refresh)
+  // Keeps the current tab if it still exists, otherwise falls back to the first one
+  setSessions: (sessions) => set((state) => ({
+    sessions,
+    activeSessionId: sessions.some((s) => s.id === state.activeSessionId)
+      ? state.activeSessionId
+      : sessions[0]?.id ?? null
+  })),
+
+  // The same session may be announced twice (first to everyone, then with focus to the
+  // device that asked for it), so an existing entry can still take focus
+  addSession: (session, focus) => set((state) => {
+    if (state.sessions.some((s) => s.id === session.id)) {
+      return focus ? { activeSessionId: session.id } : state;
+    }
+    return {
+      sessions: [...state.sessions, session],
+      activeSessionId: focus || !state.activeSessionId ? session.id : state.activeSessionId
+    };
+  }),
+
+  removeSession: (sessionId) => set((state) => {
+    const index = state.sessions.findIndex((s) => s.id === sessionId);
+    if (index === -1) return state;
+
+    const sessions = state.sessions.filter((s) => s.id !== sessionId);
+    let activeSessionId = state.activeSessionId;
+    if (activeSessionId === sessionId) {
+      // Activate the neighbouring tab, like closing a browser tab
+      activeSessionId = sessions[Math.min(index, sessions.length - 1)]?.id ?? null;
+    }
+    return { sessions, activeSessionId };
+  }),
+
+  setActiveSession: (sessionId) => set({ activeSessionId: sessionId }),
+
+  setProfiles: (profiles) => set({ profiles }),
+
+  setRole: (role) => set({ role })
+}));
@@ -0,0 +1,81 @@
+// Role of a paired device, shared by the pairing flow and the Paired Devices list.
+// Restricted devices also pick the one shell profile they are confined to. The
+// Paired Devices list also sets whether OSC 52 clipboard writes reach the device.
+const ROLES = [
+  { id: 'full', label: 'Full' },
+  { id: 'read-only', label: 'Read-only' },
+  { id: 'restricted', label: 'Restricted' },
+];
+
+const CLIPBOARD_MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'ask', label: 'Ask' },
+  { id: 'allow', label: 'Allow' },
+];
+
+const chipClass = (selected) =>
+  `rounded-full text-[10px] px-2 h-5 transition-colors duration-200 ${
+    selected ? 'bg-[#4B5AFF] text-white' : 'bg-muted/50 text-muted-foreground hover:text-foreground'
+  }`;
+
+function DeviceRolePicker({ role, profileId, profiles, onChange, clipboard, onClipboardChange, disabled }) {
+  const handleRole = (nextRole) => {
+    if (nextRole === role) return;
+    // Restricted devices start on the first (default) profile
+    onChange({
+      role: nextRole,
+      profileId: nextRole === 'restricted' ? (profileId || profiles[0]?.id || null) : null,
+    });
+  };
+
+  return (
+    <div className="flex flex-col gap-1">
+      <div className="flex gap-1">
+        {ROLES.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => handleRole(id)}
+            disabled={disabled}
+            className={chipClass(role === id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {role === 'restricted' && (
+        <div className="flex flex-wrap gap-1">
+          {profiles.map((profile) => (
+            <button
+              key={profile.id}
+              type="button"
+              onClick={() => onChange({ role, profileId: profile.id })}
+              disabled={disabled}
+              className={`font-mono ${chipClass(profileId === profile.id)}`}
+            >
+              {profile.name}
+            </button>
+          ))}
+        </div>
+      )}
+      {onClipboardChange && (
+        <div className="flex items-center gap-1">
+          <span className="text-[10px] text-muted-foreground/60 mr-1">Clipboard</span>
+          {CLIPBOARD_MODES.map(({ id, label }) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => onClipboardChange(id)}
+              disabled={disabled}
+              className={chipClass(clipboard === id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeviceRolePicker;
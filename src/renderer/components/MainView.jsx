@@ -1,10 +1,11 @@
 import { useState, useEffect, useRef } from 'react';
-import { Settings2, Shield, ShieldCheck, Copy, Check, CirclePlay, CirclePause, Loader, Plus, X } from 'lucide-react';
+import { Settings2, Shield, ShieldCheck, Copy, Check, CirclePlay, CirclePause, Loader, Plus, QrCode, RotateCw, X } from 'lucide-react';
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
 import { useElectron } from '../hooks/useElectron';
 import FingerprintSection from './FingerprintSection';
+import DeviceRolePicker from './DeviceRolePicker';
 
 // Random connecting state words
 const CONNECTING_WORDS = ['Bridging', 'Phasing', 'Warping', 'Tunneling', 'Gliding', 'Flying', 'Encoding'];
@@ -16,8 +17,10 @@ const PAIRING_CODE_REGEXP = /^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]*$/;
 const MAX_NAME_LENGTH = 10;
 const NAME_PATTERN = /^[a-zA-Z0-9]+(-[a-zA-Z0-9]+)*$/;
 
+const DEFAULT_ACCESS = { role: 'full', profileId: null };
+
 function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
-  const { invoke } = useElectron();
+  const { invoke, on } = useElectron();
   const [fingerprintVisible, setFingerprintVisible] = useState(false);
   const [copied, setCopied] = useState(false);
   const [pairingMode, setPairingMode] = useState(false);
@@ -25,9 +28,15 @@ function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
   const [deviceName, setDeviceName] = useState('');
   const [nameError, setNameError] = useState('');
   const [nameWarning, setNameWarning] = useState('');
+  const [access, setAccess] = useState(DEFAULT_ACCESS);
+  const [profiles, setProfiles] = useState([]);
   const [pairingCode, setPairingCode] = useState('');
   const [pairingError, setPairingError] = useState('');
   const [pairingLoading, setPairingLoading] = useState(false);
+  const [qrMode, setQrMode] = useState(false);
+  const [qrLink, setQrLink] = useState(null); // { qr: data URL, expiresAt }
+  const [qrError, setQrError] = useState('');
+  const [qrSecondsLeft, setQrSecondsLeft] = useState(0);
   const [connectingWord, setConnectingWord] = useState(CONNECTING_WORDS[0]);
   const wasConnectingRef = useRef(false);
 
@@ -42,6 +51,24 @@ function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
     wasConnectingRef.current = connecting;
   }, [connecting]);
 
+  // Count down the QR code's lifetime; the host refuses it after expiresAt anyway
+  useEffect(() => {
+    if (!qrLink) return;
+    const tick = () => setQrSecondsLeft(Math.max(0, Math.ceil((qrLink.expiresAt - Date.now()) / 1000)));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [qrLink]);
+
+  // The scanned device named itself and is in: nothing left to show
+  useEffect(() => {
+    if (!qrMode) return;
+    return on('PAIRING_LINK_USED', () => {
+      setQrMode(false);
+      setQrLink(null);
+    });
+  }, [qrMode, on]);
+
   const handleToggle = () => {
     if (!active && !connecting) {
       onStart();
@@ -70,8 +97,13 @@ function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
     setDeviceName('');
     setNameError('');
     setNameWarning('');
+    setAccess(DEFAULT_ACCESS);
     setPairingCode('');
     setPairingError('');
+    // Restricted devices are confined to one of these
+    invoke('GET_SHELL_PROFILES')
+      .then((shellProfiles) => setProfiles(shellProfiles || []))
+      .catch(() => setProfiles([]));
   };
 
   const handleClosePairing = () => {
@@ -80,10 +112,49 @@ function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
     setDeviceName('');
     setNameError('');
     setNameWarning('');
+    setAccess(DEFAULT_ACCESS);
     setPairingCode('');
     setPairingError('');
   };
 
+  const createPairingLink = async (nextAccess) => {
+    setQrLink(null);
+    setQrError('');
+    try {
+      const result = await invoke('CREATE_PAIRING_LINK', nextAccess.role, nextAccess.profileId);
+      if (result.success) {
+        setQrLink({ qr: result.qr, expiresAt: result.expiresAt });
+      } else {
+        setQrError(result.error || 'Failed to create QR code');
+      }
+    } catch (e) {
+      setQrError('Failed to create QR code');
+    }
+  };
+
+  const handleOpenQr = () => {
+    setQrMode(true);
+    setAccess(DEFAULT_ACCESS);
+    createPairingLink(DEFAULT_ACCESS);
+    invoke('GET_SHELL_PROFILES')
+      .then((shellProfiles) => setProfiles(shellProfiles || []))
+      .catch(() => setProfiles([]));
+  };
+
+  const handleCloseQr = () => {
+    setQrMode(false);
+    setQrLink(null);
+    setQrError('');
+    setAccess(DEFAULT_ACCESS);
+    invoke('CANCEL_PAIRING_LINK').catch(() => {});
+  };
+
+  // The role travels with the token, so a different role needs a new code
+  const handleQrAccessChange = (nextAccess) => {
+    setAccess(nextAccess);
+    createPairingLink(nextAccess);
+  };
+
   // Sanitize device name input
   const sanitizeName = (value) => {
     return value
@@ -150,7 +221,7 @@ function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
     setPairingError('');
 
     try {
-      const result = await invoke('VERIFY_PAIRING_CODE', code, deviceName);
+      const result = await invoke('VERIFY_PAIRING_CODE', code, deviceName, access.role, access.profileId);
       if (result.success) {
         handleClosePairing();
       } else {
@@ -165,6 +236,72 @@ function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
     setPairingLoading(false);
   };
 
+  // QR Pairing View: the device scans, names itself, and is paired with this role
+  if (qrMode) {
+    const qrExpired = qrLink && qrSecondsLeft <= 0;
+    const minutes = Math.floor(qrSecondsLeft / 60);
+    const seconds = (qrSecondsLeft % 60).toString().padStart(2, '0');
+
+    return (
+      <div className="flex flex-col gap-1 pl-5 pr-4 py-2">
+        {/* Row 1: SCAN_TO_PAIR + Close Button */}
+        <div className="flex justify-between items-center">
+          <span className="font-mono text-xs font-normal tracking-wider text-foreground">
+            SCAN_TO_PAIR
+          </span>
+          <Button
+            variant="ghost"
+            size="icon-sm"
+            onClick={handleCloseQr}
+            className="rounded-full text-muted-foreground transition-colors duration-200"
+          >
+            <X strokeWidth={2} />
+          </Button>
+        </div>
+
+        {/* Row 2: QR code, countdown and role */}
+        <div className="flex flex-col items-center justify-center pt-1 pb-3">
+          <div className="w-36 h-36 rounded-md bg-white p-1.5 flex items-center justify-center">
+            {qrLink && !qrExpired ? (
+              <img src={qrLink.qr} alt="Pairing QR code" className="w-full h-full" />
+            ) : !qrLink && !qrError ? (
+              <Loader strokeWidth={2} className="w-4 h-4 text-black/40 animate-spin" />
+            ) : null}
+          </div>
+
+          {qrExpired ? (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => createPairingLink(access)}
+              className="rounded-full text-xs h-7 mt-1"
+            >
+              <RotateCw strokeWidth={2} />
+              New code
+            </Button>
+          ) : (
+            <p className="text-xs text-muted-foreground mt-2">
+              {qrError ? '' : qrLink ? `Scan with the device's camera · ${minutes}:${seconds}` : 'Creating code...'}
+            </p>
+          )}
+
+          {qrError && (
+            <p className="text-xs text-destructive">{qrError}</p>
+          )}
+
+          <div className="mt-3">
+            <DeviceRolePicker
+              role={access.role}
+              profileId={access.profileId}
+              profiles={profiles}
+              onChange={handleQrAccessChange}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // Pairing Mode View - Step 1: Name Input
   if (pairingMode && pairingStep === 1) {
     return (
@@ -221,6 +358,15 @@ function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
           {nameWarning && !nameError && (
             <p className="text-xs text-amber-500">{nameWarning}</p>
           )}
+
+          <div className="mt-3">
+            <DeviceRolePicker
+              role={access.role}
+              profileId={access.profileId}
+              profiles={profiles}
+              onChange={setAccess}
+            />
+          </div>
         </div>
       </div>
     );
@@ -309,6 +455,17 @@ function MainView({ tunnelState, onStart, onStop, onShowSettings }) {
             <Plus strokeWidth={2} className={url ? 'text-[#4B5AFF]' : ''} />
           </Button>
 
+          <Button
+            variant="ghost"
+            size="icon-sm"
+            onClick={handleOpenQr}
+            disabled={!url}
+            className="rounded-full transition-none"
+            title="Pair with QR Code"
+          >
+            <QrCode strokeWidth={2} className={url ? 'text-[#4B5AFF]' : ''} />
+          </Button>
+
           <Button
             variant="ghost"
             size="icon-sm"
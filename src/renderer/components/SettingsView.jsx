@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
-import { X, Trash2, Loader, Check } from 'lucide-react';
+import { X, Trash2, Loader, Check, Plus, ChevronRight, RotateCw } from 'lucide-react';
 import { useElectron } from '../hooks/useElectron';
+import ShellProfileEditor from './ShellProfileEditor';
+import DeviceRolePicker from './DeviceRolePicker';
 import { Button } from "@/components/ui/button";
 import { Switch } from "@/components/ui/switch";
 import {
@@ -19,13 +21,75 @@ const SUBDOMAIN_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
 // Worker domain from environment (must be set in .env file)
 const WORKER_DOMAIN = import.meta.env.VITE_WORKER_DOMAIN;
 
+// Shell profiles: the main process keeps args/env as arrays, the form edits them as text
+const DEFAULT_PROFILE_ID = 'default';
+const MAX_SHELL_PROFILES = 16;
+
+const splitWords = (text) => text.split(/\s+/).filter(Boolean);
+
+const profileToForm = (profile) => ({
+  ...profile,
+  args: profile.args.join(' '),
+  env: profile.env.join(' '),
+});
+
+const formToProfile = (form) => ({
+  ...form,
+  args: splitWords(form.args),
+  env: splitWords(form.env),
+});
+
+// How the host picks one PTY size when several devices view a session
+const RESIZE_POLICIES = [
+  { id: 'smallest', label: 'Smallest screen', description: 'Fit every attached device' },
+  { id: 'typist', label: 'Active typist', description: 'Follow the device that typed last' },
+  { id: 'owner', label: 'Pinned owner', description: 'Keep the size of the device that claimed it' },
+];
+
+// Minimum command duration for a notification on the phone (seconds, 0 = off)
+const NOTIFY_THRESHOLDS = [
+  { value: 0, label: 'Off' },
+  { value: 10, label: '10s' },
+  { value: 30, label: '30s' },
+  { value: 60, label: '1m' },
+  { value: 300, label: '5m' },
+];
+
+// Paired devices need re-approval after this many days since approval / since last use (0 = never)
+const KEY_MAX_AGE_OPTIONS = [
+  { value: 30, label: '30d' },
+  { value: 90, label: '90d' },
+  { value: 180, label: '180d' },
+  { value: 365, label: '1y' },
+  { value: 0, label: 'Never' },
+];
+const KEY_IDLE_OPTIONS = [
+  { value: 7, label: '7d' },
+  { value: 30, label: '30d' },
+  { value: 90, label: '90d' },
+  { value: 0, label: 'Never' },
+];
+
+const EXPIRED_LABELS = {
+  age: 'Approval expired',
+  idle: 'Expired after going unused',
+};
+
 function SettingsView({ onBack, tunnelState }) {
   const { invoke } = useElectron();
 
   // Form state
   const [debugLogging, setDebugLogging] = useState(false);
+  const [resizePolicy, setResizePolicy] = useState('smallest');
+  const [recordSessions, setRecordSessions] = useState(false);
+  const [commandNotifySeconds, setCommandNotifySeconds] = useState(30);
+  const [keyMaxAgeDays, setKeyMaxAgeDays] = useState(90);
+  const [keyIdleDays, setKeyIdleDays] = useState(30);
   const [subdomain, setSubdomain] = useState('');
   const [pairedDevices, setPairedDevices] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [storedProfiles, setStoredProfiles] = useState([]); // Last saved, for device roles
+  const [expandedProfile, setExpandedProfile] = useState(null);
 
   // Initial values for dirty checking
   const initialValues = useRef({});
@@ -35,28 +99,49 @@ function SettingsView({ onBack, tunnelState }) {
 
   // Subdomain-specific status (for validation errors)
   const [subdomainError, setSubdomainError] = useState('');
+  const [profilesError, setProfilesError] = useState('');
 
   // Load settings and paired devices
   useEffect(() => {
     async function loadSettings() {
       try {
-        const [settings, currentSubdomain, devices] = await Promise.all([
+        const [settings, currentSubdomain, devices, shellProfiles] = await Promise.all([
           invoke('GET_STORE', 'cfSettings'),
           invoke('GET_SUBDOMAIN'),
-          invoke('GET_PAIRED_DEVICES')
+          invoke('GET_PAIRED_DEVICES'),
+          invoke('GET_SHELL_PROFILES')
         ]);
 
         const loadedDebug = (settings && settings.debugLogging) || false;
+        const loadedPolicy = (settings && settings.resizePolicy) || 'smallest';
+        const loadedRecord = (settings && settings.recordSessions) || false;
+        const loadedNotify = settings && Number.isInteger(settings.commandNotifySeconds) ? settings.commandNotifySeconds : 30;
+        const loadedMaxAge = settings && Number.isInteger(settings.keyMaxAgeDays) ? settings.keyMaxAgeDays : 90;
+        const loadedIdle = settings && Number.isInteger(settings.keyIdleDays) ? settings.keyIdleDays : 30;
         const loadedSubdomain = currentSubdomain || '';
+        const loadedProfiles = (shellProfiles || []).map(profileToForm);
 
         setDebugLogging(loadedDebug);
+        setResizePolicy(loadedPolicy);
+        setRecordSessions(loadedRecord);
+        setCommandNotifySeconds(loadedNotify);
+        setKeyMaxAgeDays(loadedMaxAge);
+        setKeyIdleDays(loadedIdle);
         setSubdomain(loadedSubdomain);
         setPairedDevices(devices || []);
+        setProfiles(loadedProfiles);
+        setStoredProfiles(loadedProfiles);
 
         // Store initial values for dirty checking
         initialValues.current = {
           debugLogging: loadedDebug,
+          resizePolicy: loadedPolicy,
+          recordSessions: loadedRecord,
+          commandNotifySeconds: loadedNotify,
+          keyMaxAgeDays: loadedMaxAge,
+          keyIdleDays: loadedIdle,
           subdomain: loadedSubdomain,
+          profiles: JSON.stringify(loadedProfiles),
         };
       } catch (e) {
         console.error('Failed to load settings:', e);
@@ -71,10 +156,16 @@ function SettingsView({ onBack, tunnelState }) {
 
     const isDirty =
       debugLogging !== initialValues.current.debugLogging ||
-      subdomain !== initialValues.current.subdomain;
+      resizePolicy !== initialValues.current.resizePolicy ||
+      recordSessions !== initialValues.current.recordSessions ||
+      commandNotifySeconds !== initialValues.current.commandNotifySeconds ||
+      keyMaxAgeDays !== initialValues.current.keyMaxAgeDays ||
+      keyIdleDays !== initialValues.current.keyIdleDays ||
+      subdomain !== initialValues.current.subdomain ||
+      JSON.stringify(profiles) !== initialValues.current.profiles;
 
     setSaveState(isDirty ? 'dirty' : 'idle');
-  }, [debugLogging, subdomain, saveState]);
+  }, [debugLogging, resizePolicy, recordSessions, commandNotifySeconds, keyMaxAgeDays, keyIdleDays, subdomain, profiles, saveState]);
 
   const handleRemoveDevice = async (kid) => {
     try {
@@ -85,6 +176,76 @@ function SettingsView({ onBack, tunnelState }) {
     }
   };
 
+  // Re-approval applies immediately; the device signs in on its next try
+  const handleReapproveDevice = async (kid) => {
+    try {
+      const result = await invoke('REAPPROVE_DEVICE', kid);
+      if (result.success) {
+        setPairedDevices(prev => prev.map(d => (d.kid === kid ? { ...d, expired: null } : d)));
+      } else {
+        console.error('Failed to re-approve device:', result.error);
+      }
+    } catch (e) {
+      console.error('Failed to re-approve device:', e);
+    }
+  };
+
+  // Roles apply immediately, like removal (a connected device switches on the spot)
+  const handleChangeDeviceRole = async (kid, { role, profileId }) => {
+    try {
+      const result = await invoke('SET_DEVICE_ROLE', kid, role, profileId);
+      if (result.success) {
+        setPairedDevices(prev => prev.map(d => (d.kid === kid ? { ...d, role, profileId } : d)));
+      } else {
+        console.error('Failed to change device role:', result.error);
+      }
+    } catch (e) {
+      console.error('Failed to change device role:', e);
+    }
+  };
+
+  const handleChangeDeviceClipboard = async (kid, clipboard) => {
+    try {
+      const result = await invoke('SET_DEVICE_CLIPBOARD', kid, clipboard);
+      if (result.success) {
+        setPairedDevices(prev => prev.map(d => (d.kid === kid ? { ...d, clipboard } : d)));
+      } else {
+        console.error('Failed to change device clipboard:', result.error);
+      }
+    } catch (e) {
+      console.error('Failed to change device clipboard:', e);
+    }
+  };
+
+  const handleAddProfile = () => {
+    const id = `profile-${Date.now().toString(36)}`;
+    setProfiles(prev => [
+      ...prev,
+      {
+        id,
+        name: `Profile ${prev.length + 1}`,
+        shell: '',
+        args: '--login',
+        cwd: '',
+        env: '',
+        startupCommand: '',
+        backend: 'pty',
+        tmuxSession: 'main'
+      }
+    ]);
+    setExpandedProfile(id);
+  };
+
+  const handleChangeProfile = (updated) => {
+    setProfiles(prev => prev.map(p => (p.id === updated.id ? updated : p)));
+    setProfilesError('');
+  };
+
+  const handleRemoveProfile = (id) => {
+    setProfiles(prev => prev.filter(p => p.id !== id));
+    setProfilesError('');
+  };
+
   // Sanitize subdomain input - allow lowercase alphanumeric and hyphens
   const sanitizeSubdomain = (value) => {
     return value
@@ -119,11 +280,24 @@ function SettingsView({ onBack, tunnelState }) {
     }
 
     setSubdomainError('');
+    setProfilesError('');
     setSaveState('saving');
 
     try {
       // Save settings
-      await invoke('SET_STORE', 'cfSettings', { debugLogging });
+      await invoke('SET_STORE', 'cfSettings', {
+        debugLogging,
+        resizePolicy,
+        recordSessions,
+        commandNotifySeconds,
+        keyMaxAgeDays,
+        keyIdleDays
+      });
+
+      // New expiry limits may expire devices (or stop listing them as expiring)
+      if (keyMaxAgeDays !== initialValues.current.keyMaxAgeDays || keyIdleDays !== initialValues.current.keyIdleDays) {
+        setPairedDevices((await invoke('GET_PAIRED_DEVICES')) || []);
+      }
 
       // Update subdomain if changed (already sanitized via input handler)
       if (subdomain !== initialValues.current.subdomain) {
@@ -135,10 +309,30 @@ function SettingsView({ onBack, tunnelState }) {
         }
       }
 
+      // Save shell profiles if changed (main process validates and normalizes them)
+      let savedProfiles = profiles;
+      if (JSON.stringify(profiles) !== initialValues.current.profiles) {
+        const result = await invoke('SET_SHELL_PROFILES', profiles.map(formToProfile));
+        if (!result.success) {
+          setProfilesError(result.error || 'Failed to save profiles');
+          setSaveState('dirty');
+          return;
+        }
+        savedProfiles = result.profiles.map(profileToForm);
+        setProfiles(savedProfiles);
+        setStoredProfiles(savedProfiles);
+      }
+
       // Update initial values
       initialValues.current = {
         debugLogging,
+        resizePolicy,
+        recordSessions,
+        commandNotifySeconds,
+        keyMaxAgeDays,
+        keyIdleDays,
         subdomain,
+        profiles: JSON.stringify(savedProfiles),
       };
 
       setSaveState('saved');
@@ -260,27 +454,214 @@ function SettingsView({ onBack, tunnelState }) {
                   {pairedDevices.map((device) => (
                     <div
                       key={device.kid}
-                      className="flex justify-between items-center py-1.5 px-2 bg-muted/30 rounded"
+                      className="flex flex-col gap-1 py-1.5 px-2 bg-muted/30 rounded"
+                    >
+                      <div className="flex justify-between items-center">
+                        <span className="font-mono text-xs text-muted-foreground">
+                          {device.name}
+                        </span>
+                        <Button
+                          variant="ghost"
+                          size="icon-sm"
+                          onClick={() => handleRemoveDevice(device.kid)}
+                          className="rounded-full text-muted-foreground hover:text-destructive transition-colors duration-200 h-6 w-6"
+                        >
+                          <Trash2 strokeWidth={2} className="h-3 w-3" />
+                        </Button>
+                      </div>
+                      {device.expired && (
+                        <div className="flex justify-between items-center">
+                          <span className="text-[10px] text-amber-500">
+                            {EXPIRED_LABELS[device.expired] || 'Expired'}
+                          </span>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleReapproveDevice(device.kid)}
+                            className="rounded-full text-[10px] h-5 px-2 text-[#4B5AFF] gap-1"
+                          >
+                            <RotateCw strokeWidth={2} className="h-3 w-3" />
+                            Re-approve
+                          </Button>
+                        </div>
+                      )}
+                      <DeviceRolePicker
+                        role={device.role}
+                        profileId={device.profileId}
+                        profiles={storedProfiles}
+                        onChange={(access) => handleChangeDeviceRole(device.kid, access)}
+                        clipboard={device.clipboard}
+                        onClipboardChange={(clipboard) => handleChangeDeviceClipboard(device.kid, clipboard)}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="flex flex-col gap-2 mt-3">
+                <span className="text-xs text-muted-foreground">
+                  Require re-approval after
+                </span>
+                <div className="flex flex-col gap-1">
+                  <span className="text-[10px] text-muted-foreground/60">Since approval</span>
+                  <div className="flex gap-1">
+                    {KEY_MAX_AGE_OPTIONS.map((option) => (
+                      <button
+                        key={option.value}
+                        onClick={() => setKeyMaxAgeDays(option.value)}
+                        className={`flex-1 py-1.5 rounded text-xs transition-colors duration-200 ${
+                          keyMaxAgeDays === option.value ? 'bg-muted/50 text-foreground' : 'bg-muted/20 text-muted-foreground'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex flex-col gap-1">
+                  <span className="text-[10px] text-muted-foreground/60">Unused for</span>
+                  <div className="flex gap-1">
+                    {KEY_IDLE_OPTIONS.map((option) => (
+                      <button
+                        key={option.value}
+                        onClick={() => setKeyIdleDays(option.value)}
+                        className={`flex-1 py-1.5 rounded text-xs transition-colors duration-200 ${
+                          keyIdleDays === option.value ? 'bg-muted/50 text-foreground' : 'bg-muted/20 text-muted-foreground'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </AccordionContent>
+          </AccordionItem>
+
+          {/* Section 3: Shell Profiles */}
+          <AccordionItem value="shell-profiles" className="border-none">
+            <AccordionTrigger className="text-sm font-medium hover:no-underline py-3">
+              Shell Profiles
+            </AccordionTrigger>
+            <AccordionContent className="pb-4">
+              <div className="flex flex-col gap-1">
+                {profiles.map((profile) => (
+                  <div key={profile.id} className="flex flex-col gap-1">
+                    <button
+                      onClick={() => setExpandedProfile(expandedProfile === profile.id ? null : profile.id)}
+                      className="flex items-center gap-1 py-1.5 px-2 bg-muted/30 rounded text-left"
                     >
+                      <ChevronRight
+                        strokeWidth={2}
+                        className={`h-3 w-3 text-muted-foreground transition-transform duration-200 ${
+                          expandedProfile === profile.id ? 'rotate-90' : ''
+                        }`}
+                      />
                       <span className="font-mono text-xs text-muted-foreground">
-                        {device.name}
+                        {profile.name || 'Untitled'}
                       </span>
-                      <Button
-                        variant="ghost"
-                        size="icon-sm"
-                        onClick={() => handleRemoveDevice(device.kid)}
-                        className="rounded-full text-muted-foreground hover:text-destructive transition-colors duration-200 h-6 w-6"
-                      >
-                        <Trash2 strokeWidth={2} className="h-3 w-3" />
-                      </Button>
+                    </button>
+                    {expandedProfile === profile.id && (
+                      <ShellProfileEditor
+                        profile={profile}
+                        isDefault={profile.id === DEFAULT_PROFILE_ID}
+                        onChange={handleChangeProfile}
+                        onRemove={() => handleRemoveProfile(profile.id)}
+                      />
+                    )}
+                  </div>
+                ))}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={handleAddProfile}
+                  disabled={profiles.length >= MAX_SHELL_PROFILES}
+                  className="self-start rounded-full text-xs h-7 px-2 text-muted-foreground gap-1"
+                >
+                  <Plus strokeWidth={2} className="h-3 w-3" />
+                  Add profile
+                </Button>
+                {profilesError && (
+                  <span className="text-xs text-destructive">{profilesError}</span>
+                )}
+              </div>
+            </AccordionContent>
+          </AccordionItem>
+
+          {/* Section 4: Terminal Size */}
+          <AccordionItem value="resize-policy" className="border-none">
+            <AccordionTrigger className="text-sm font-medium hover:no-underline py-3">
+              Terminal Size
+            </AccordionTrigger>
+            <AccordionContent className="pb-4">
+              <div className="flex flex-col gap-1">
+                {RESIZE_POLICIES.map((policy) => (
+                  <button
+                    key={policy.id}
+                    onClick={() => setResizePolicy(policy.id)}
+                    className={`flex justify-between items-center py-1.5 px-2 rounded text-left transition-colors duration-200 ${
+                      resizePolicy === policy.id ? 'bg-muted/50' : 'bg-muted/20'
+                    }`}
+                  >
+                    <div className="flex flex-col">
+                      <span className="text-xs text-foreground">{policy.label}</span>
+                      <span className="text-[10px] text-muted-foreground/60">{policy.description}</span>
                     </div>
+                    {resizePolicy === policy.id && (
+                      <Check strokeWidth={2} className="h-3 w-3 text-[#4B5AFF]" />
+                    )}
+                  </button>
+                ))}
+              </div>
+            </AccordionContent>
+          </AccordionItem>
+
+          {/* Section 5: Recording */}
+          <AccordionItem value="recording" className="border-none">
+            <AccordionTrigger className="text-sm font-medium hover:no-underline py-3">
+              Recording
+            </AccordionTrigger>
+            <AccordionContent className="pb-4">
+              <div className="flex justify-between items-center">
+                <span className="text-xs text-muted-foreground">
+                  Record terminal output (asciicast, no keystrokes)
+                </span>
+                <Switch
+                  id="record-sessions"
+                  checked={recordSessions}
+                  onCheckedChange={setRecordSessions}
+                />
+              </div>
+            </AccordionContent>
+          </AccordionItem>
+
+          {/* Section 6: Notifications */}
+          <AccordionItem value="notifications" className="border-none">
+            <AccordionTrigger className="text-sm font-medium hover:no-underline py-3">
+              Notifications
+            </AccordionTrigger>
+            <AccordionContent className="pb-4">
+              <div className="flex flex-col gap-2">
+                <span className="text-xs text-muted-foreground">
+                  Notify paired devices when a command runs longer than
+                </span>
+                <div className="flex gap-1">
+                  {NOTIFY_THRESHOLDS.map((threshold) => (
+                    <button
+                      key={threshold.value}
+                      onClick={() => setCommandNotifySeconds(threshold.value)}
+                      className={`flex-1 py-1.5 rounded text-xs transition-colors duration-200 ${
+                        commandNotifySeconds === threshold.value ? 'bg-muted/50 text-foreground' : 'bg-muted/20 text-muted-foreground'
+                      }`}
+                    >
+                      {threshold.label}
+                    </button>
                   ))}
                 </div>
-              )}
+              </div>
             </AccordionContent>
           </AccordionItem>
 
-          {/* Section 3: Debug Logging */}
+          {/* Section 7: Debug Logging */}
           <AccordionItem value="debug-logging" className="border-none">
             <AccordionTrigger className="text-sm font-medium hover:no-underline py-3">
               Debug Logging
@@ -0,0 +1,59 @@
+import { Trash2 } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+
+// Form fields for one shell profile. Arguments and env vars are edited as
+// space-separated text and split when settings are saved. tmux profiles use
+// the shell field for the tmux binary and have no arguments or startup command.
+const FIELDS = [
+  { key: 'name', label: 'Name', placeholder: 'Dev' },
+  { key: 'shell', label: 'Shell', placeholder: 'auto (zsh, bash, sh)', backend: 'pty' },
+  { key: 'args', label: 'Arguments', placeholder: '--login', backend: 'pty' },
+  { key: 'shell', label: 'tmux binary', placeholder: 'auto', backend: 'tmux' },
+  { key: 'tmuxSession', label: 'tmux session', placeholder: 'main', backend: 'tmux' },
+  { key: 'cwd', label: 'Directory', placeholder: '~' },
+  { key: 'env', label: 'Allowed env vars', placeholder: 'SSH_AUTH_SOCK' },
+  { key: 'startupCommand', label: 'Startup command', placeholder: 'tmux new -A -s main', backend: 'pty' },
+];
+
+function ShellProfileEditor({ profile, isDefault, onChange, onRemove }) {
+  return (
+    <div className="flex flex-col gap-1.5 py-2 px-2 bg-muted/30 rounded">
+      <div className="flex justify-between items-center">
+        <span className="text-[10px] text-muted-foreground/60">tmux control mode</span>
+        <Switch
+          checked={profile.backend === 'tmux'}
+          onCheckedChange={(checked) => onChange({ ...profile, backend: checked ? 'tmux' : 'pty' })}
+        />
+      </div>
+      {FIELDS.filter((field) => !field.backend || field.backend === profile.backend).map(({ key, label, placeholder }) => (
+        <label key={`${key}-${label}`} className="flex flex-col gap-0.5">
+          <span className="text-[10px] text-muted-foreground/60">{label}</span>
+          <input
+            type="text"
+            value={profile[key]}
+            onChange={(e) => onChange({ ...profile, [key]: e.target.value })}
+            placeholder={placeholder}
+            spellCheck={false}
+            className="font-mono bg-transparent border-none text-xs text-foreground focus:outline-none focus:bg-muted/30 rounded py-0.5 transition-colors"
+          />
+        </label>
+      ))}
+      {!isDefault && (
+        <div className="flex justify-end">
+          <Button
+            variant="ghost"
+            size="icon-sm"
+            onClick={onRemove}
+            className="rounded-full text-muted-foreground hover:text-destructive transition-colors duration-200 h-6 w-6"
+            title="Remove profile"
+          >
+            <Trash2 strokeWidth={2} className="h-3 w-3" />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ShellProfileEditor;
@@ -19,14 +19,12 @@ export function useElectron() {
 
   // Listen to IPC events
   const on = useCallback((channel, callback) => {
-    api.on(channel, callback);
+    // preload.js returns a function removing the listener it wrapped
+    const off = api.on(channel, callback);
 
     // Return cleanup function
     return () => {
-      // Note: preload.js needs to support removeListener for this to work
-      if (api.removeListener) {
-        api.removeListener(channel, callback);
-      }
+      if (off) off();
     };
   }, [api]);
 
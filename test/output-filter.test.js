@@ -0,0 +1,29 @@
+// Known-malicious (and a few benign) escape sequences against the output filter.
+// Each vector in fixtures/output-filter-vectors.json lists its input chunks and the
+// filtered data and events expected from them. Every vector is also fed one character
+// at a time, since a PTY may split a sequence anywhere.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createOutputFilter } = require('../output-filter');
+const vectors = require('./fixtures/output-filter-vectors.json');
+
+function run(chunks) {
+    const filter = createOutputFilter();
+    const results = chunks.map(chunk => filter.write(chunk));
+    return {
+        data: results.map(result => result.data).join(''),
+        events: results.flatMap(result => result.events.map(({ offset, ...event }) => event))
+    };
+}
+
+const withoutOffsets = events => events.map(({ offset, ...event }) => event);
+
+for (const vector of vectors) {
+    test(vector.name, () => {
+        assert.deepStrictEqual(run(vector.input), { data: vector.data, events: withoutOffsets(vector.events) });
+    });
+
+    test(`${vector.name} (one character per chunk)`, () => {
+        assert.deepStrictEqual(run(Array.from(vector.input.join(''))), { data: vector.data, events: withoutOffsets(vector.events) });
+    });
+}